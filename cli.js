@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * CASH-FLOW RISK ASSESSMENT MODEL - BATCH SCORING CLI
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Scores a portfolio file server-side with the exact engine the browser app
+ * uses (engine.js), so pipeline results match the interactive report.
+ *
+ * USAGE:
+ *   node cli.js <input.csv|input.json|input.ndjson> [--policy policy.json] [--output results.csv|results.json|results.ndjson]
+ *               [--invalid reject|skip|impute] [--errors errors.csv] [--monitor column]
+ *               [--reference value]
+ *
+ * INPUT:
+ * - CSV with a header row (same columns as the browser upload)
+ * - JSON array of records, or an object with a "records" array
+ * - NDJSON, one record per line
+ * - Either may instead be a raw transaction ledger (customer_id, date,
+ *   amount, description[, balance]); the four criteria are then derived
+ *   and the feature values are added to the output
+ *
+ * OUTPUT:
+ * - .json output: { metadata, records } - processed records (scores,
+ *   decision, rule, reasons) plus the policy and thresholds used
+ * - .ndjson output: a metadata line, then one record per line
+ * - anything else: CSV with the same columns and quoting as the browser
+ *   export, and like it without metadata (no policy or thresholds)
+ * - no --output: CSV on stdout
+ * Optional loan_amount and term (months) columns add exposure and expected
+ * loss (PD x LGD x loan amount, loss model from the policy).
+ * Optional monthly_income, monthly_obligations and requested_amount columns
+ * add debt-to-income, the affordable payment and counter-offers.
+ * Other categorical columns (region, channel, ...) are kept as segments,
+ * written to the output, and the weakest segments are named in the summary.
+ * Final Decision is filled for auto decisions only; Manual Review and
+ * Elevated Risk records stay pending (reviews are recorded in the browser app).
+ * XLSX needs SheetJS and is only available in the browser app.
+ * A decision summary is written to stderr.
+ *
+ * VALIDATION:
+ * Rows are checked exactly as in the browser upload (missing, non-numeric,
+ * out of 0-100, duplicate customer_id). --invalid picks what happens to
+ * problem rows (default: skip); --errors writes the row-level error report.
+ *
+ * FAIR LENDING:
+ * --monitor names a segment column (e.g. age_band) to check for disparate
+ * impact: approval rate and adverse impact ratio per group against the
+ * group with the highest approval rate (or the --reference group), four-fifths
+ * rule failures and the policy rules behind them. Printed with the summary;
+ * decisions and output are unchanged. A --reference value that matches no
+ * group is reported, and the highest approval rate is used instead.
+ *
+ * POLICY:
+ * Optional JSON policy in the format of the in-page editor ("Edit full policy
+ * as JSON"). Defaults to the shipped policy.
+ *
+ * EXIT CODES:
+ * 0 = success, 1 = usage, input or policy error, or a rejected file
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('./engine');
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+const USAGE = 'Usage: node cli.js <input.csv|input.json|input.ndjson> [--policy policy.json]' +
+    ' [--output results.csv|results.json|results.ndjson]' +
+    ' [--invalid reject|skip|impute] [--errors errors.csv] [--monitor column] [--reference value]';
+
+/**
+ * Parses command-line arguments
+ *
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { input, policy, output, invalid, errors, monitor, reference }
+ */
+function parseArgs(argv) {
+    const options = { input: null, policy: null, output: null, invalid: 'skip', errors: null, monitor: null, reference: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--policy' || arg === '--output' || arg === '--errors') {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a file path`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--monitor') {
+            if (!argv[i + 1]) throw new Error('--monitor needs a column name');
+            options.monitor = engine.normalizeColumnName(argv[++i]);
+        } else if (arg === '--reference') {
+            if (!argv[i + 1]) throw new Error('--reference needs a group value');
+            options.reference = argv[++i].trim();
+        } else if (arg === '--invalid') {
+            if (!engine.VALIDATION_MODES.includes(argv[i + 1])) {
+                throw new Error(`--invalid must be one of ${engine.VALIDATION_MODES.join(', ')}`);
+            }
+            options.invalid = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (!options.input) {
+            options.input = arg;
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================================================
+// INPUT READING
+// ============================================================================
+
+/**
+ * Reads an input file into raw rows
+ *
+ * @param {string} file - Path to a .csv, .json or .ndjson file
+ * @returns {Array} Rows keyed by column name
+ */
+function readRows(file) {
+    const format = engine.getFileFormat(file);
+    if (format === 'xlsx') {
+        throw new Error('XLSX input needs the browser app; save the sheet as CSV or JSON');
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+
+    if (format === 'json' || format === 'ndjson') {
+        return engine.parseJSONRecords(text);
+    }
+
+    return engine.parseCSV(text);
+}
+
+/**
+ * Serializes processed records in the format implied by the output name
+ *
+ * @param {Array} processed - Processed records
+ * @param {Object} policy - Policy used
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} File contents
+ */
+function formatOutput(processed, policy, options) {
+    const format = options.output ? engine.getFileFormat(options.output) : 'csv';
+    const metadata = () => engine.buildExportMetadata(policy, {
+        source: path.basename(options.input),
+        recordCount: processed.length
+    });
+
+    if (format === 'xlsx') {
+        throw new Error('XLSX output needs the browser app; use .csv, .json or .ndjson');
+    }
+    if (format === 'json') return engine.formatJSONExport(processed, metadata());
+    if (format === 'ndjson') return engine.formatNDJSON(processed, metadata());
+
+    return engine.formatCSV(engine.toExportRows(processed));
+}
+
+/**
+ * Loads and validates a policy file
+ *
+ * @param {string|null} file - Path to a policy JSON file
+ * @returns {Object} Policy ready for processData
+ */
+function readPolicy(file) {
+    if (!file) return engine.normalizePolicy(engine.DEFAULT_POLICY);
+
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = engine.validatePolicy(policy);
+    if (errors.length > 0) {
+        throw new Error(`Invalid policy: ${errors.join('; ')}`);
+    }
+
+    return engine.normalizePolicy(policy);
+}
+
+/**
+ * Prints a disparate impact analysis to stderr
+ *
+ * @param {Object} analysis - From engine.analyzeDisparateImpact
+ */
+function printFairLending(analysis) {
+    const percent = rate => `${Math.round(rate * 100)}%`;
+    const label = value => (value === '' ? '(blank)' : value);
+
+    if (analysis.reference === null) {
+        console.error(`Fair lending (${analysis.attribute}): no group to compare against`);
+        return;
+    }
+    if (analysis.referenceFallback) {
+        console.error(`Fair lending (${analysis.attribute}): no group "${analysis.requestedReference}", ` +
+            'using the highest approval rate as the reference');
+    }
+    console.error(`Fair lending (${analysis.attribute}), reference ${label(analysis.reference)} ` +
+        `(${analysis.requestedReference === null || analysis.referenceFallback ? 'highest approval rate, ' : ''}` +
+        `${percent(analysis.referenceRate)} auto-approved):`);
+    analysis.groups.forEach(group => {
+        const air = group.air === null ? 'AIR n/a' : `AIR ${group.air.toFixed(2)}`;
+        const notes = [
+            group.value === analysis.reference ? 'reference' : null,
+            group.flagged ? 'FAILS four-fifths rule' : null,
+            group.significant ? `z ${group.z.toFixed(2)}` : null,
+            group.small ? `fewer than ${engine.FAIR_LENDING.minGroupSize} customers` : null
+        ].filter(Boolean);
+        console.error(`  ${label(group.value)}: ${group.total} customers, ${percent(group.approvalRate)} approved, ${air}` +
+            (notes.length > 0 ? ` (${notes.join('; ')})` : ''));
+        if (group.flagged && group.drivers.length > 0) {
+            console.error(`    driven by ${group.drivers.slice(0, 3)
+                .map(driver => `${driver.rule} (+${Math.round(driver.gap * 100)} pts ${driver.decision})`).join(', ')}`);
+        }
+    });
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Runs the CLI
+ *
+ * @param {Array} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 1;
+    }
+
+    if (options.help || !options.input) {
+        console.error(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    try {
+        const policy = readPolicy(options.policy);
+        const rows = readRows(options.input);
+        const ledger = engine.isLedgerFormat(Object.keys(rows[0] || {}));
+        const validation = ledger
+            ? engine.deriveCriteria(rows, options.invalid)
+            : engine.validateRecords(rows, options.invalid);
+        const { data, errors, missingColumns } = validation;
+
+        if (missingColumns.length > 0) {
+            throw new Error(`Missing columns: ${missingColumns.join(', ')}`);
+        }
+
+        if (options.errors) {
+            fs.writeFileSync(options.errors, engine.formatCSV(engine.toErrorRows(errors)) + '\n');
+        }
+        errors.slice(0, 10).forEach(error => {
+            console.error(`  line ${error.row}: ${error.column} - ${error.reason}` +
+                (error.value !== '' ? ` ("${error.value}")` : ''));
+        });
+        if (errors.length > 10) {
+            console.error(`  ... ${errors.length - 10} more` + (options.errors ? ` (see ${options.errors})` : ''));
+        }
+
+        if (validation.rejected) {
+            throw new Error(`File rejected: ${validation.invalidRowCount} invalid rows`);
+        }
+        if (data.length === 0) {
+            throw new Error('No valid data found in file');
+        }
+
+        if (options.reference !== null && !options.monitor) {
+            throw new Error('--reference needs --monitor');
+        }
+        if (options.monitor && !engine.getSegmentDimensions(data).includes(options.monitor)) {
+            throw new Error(`--monitor: no segment column "${options.monitor}" in the file`);
+        }
+
+        const processed = engine.processData(data, policy);
+        const output = formatOutput(processed, policy, options);
+
+        if (options.output) {
+            fs.writeFileSync(options.output, output + '\n');
+        } else {
+            process.stdout.write(output + '\n');
+        }
+
+        // Summary
+        const counts = engine.countDecisions(processed);
+        const skipped = validation.invalidRowCount - validation.imputedCount;
+        if (ledger) {
+            console.error(`Derived criteria from ${validation.lineCount} ledger lines`);
+        }
+        console.error(`Scored ${processed.length} customers` +
+            (validation.imputedCount > 0 ? ` (${validation.imputedCount} rows imputed)` : '') +
+            (skipped > 0 ? ` (${skipped} invalid ${ledger ? 'ledger lines' : 'rows'} skipped)` : '') +
+            ` with "${policy.name || 'custom policy'}"`);
+        engine.DECISIONS.forEach(decision => {
+            console.error(`  ${decision}: ${counts[decision]}`);
+        });
+        if (validation.skippedColumns.length > 0) {
+            console.error('Not kept as segments: ' + validation.skippedColumns
+                .map(skippedColumn => `${skippedColumn.column} (${skippedColumn.reason})`).join(', '));
+        }
+        const exposure = engine.summarizeExposure(processed).total;
+        if (exposure.priced > 0) {
+            console.error(`Exposure ${Math.round(exposure.exposure).toLocaleString()}, ` +
+                `expected loss ${Math.round(exposure.expectedLoss).toLocaleString()}` +
+                (exposure.unpriced > 0 ? ` (${exposure.unpriced} customer${exposure.unpriced === 1 ? '' : 's'} without loan_amount)` : ''));
+        }
+        const checked = processed.filter(d => d.max_payment !== null);
+        if (checked.length > 0) {
+            console.error(`Affordability checked for ${checked.length} customers: ` +
+                `${checked.filter(d => d.affordable === false).length} with a requested payment over the DTI limit, ` +
+                `${checked.filter(d => d.counter_amount !== null).length} counter-offers`);
+        }
+        if (options.monitor) {
+            printFairLending(engine.analyzeDisparateImpact(processed, options.monitor, options.reference));
+        }
+        engine.findWorstSegments(processed).forEach(worst => {
+            console.error(`Weakest ${worst.dimension}: ${worst.value} - ` +
+                `${Math.round(worst.rates.deny * 100)}% of ${worst.total} auto-denied ` +
+                `vs ${Math.round(worst.portfolioRates.deny * 100)}% overall`);
+        });
+
+        return 0;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseCSV: engine.parseCSV };
@@ -0,0 +1,3699 @@
+/**
+ * ============================================================================
+ * CASH-FLOW RISK ASSESSMENT MODEL - SCORING ENGINE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Headless scoring engine shared by the browser app (script.js) and the
+ * batch-scoring CLI (cli.js). Nothing in this file touches `document`,
+ * `window` or AppState, so the same decisions are produced in both places.
+ *
+ * LOADING:
+ * - Browser: classic <script> before script.js; declarations become globals
+ * - Node: require('./engine') returns the public functions and constants
+ *
+ * CONTENTS:
+ * 1. Risk assessment configuration (thresholds, default policy)
+ * 2. Risk scoring and decision policy evaluation
+ * 3. Policy validation
+ * 4. Data processing and policy comparison
+ * 5. Outcome backtesting: default rates, discrimination (AUC, KS, Gini)
+ *    and threshold optimization
+ * 6. Underwriter review: final decisions and override rates
+ * 7. Hash-chained audit log (SHA-256 via Web Crypto)
+ * 8. Criteria derivation from raw transaction ledgers
+ * 9. Record import normalization and export formatting (CSV, JSON, NDJSON,
+ *    metadata for spreadsheet exports)
+ *
+ * VERSION: 1.0
+ * ============================================================================
+ */
+
+// ============================================================================
+// RISK ASSESSMENT CONFIGURATION
+// ============================================================================
+
+/**
+ * Risk level thresholds for individual criteria
+ * These define the boundaries for categorizing scores
+ *
+ * These are the shipped baseline values. Each policy carries its own copy
+ * in `policy.thresholds`, which the what-if simulator can change.
+ *
+ * SCORING METHODOLOGY:
+ * - Low Risk (70-100): Excellent performance, minimal concern
+ * - Moderate Risk (50-69): Acceptable but monitor closely
+ * - Elevated Risk (35-49): Significant concerns, needs attention
+ * - High Risk (0-34): Critical issues, high default probability
+ */
+const RISK_THRESHOLDS = Object.freeze({
+    low: 70,        // >= 70: Low Risk
+    moderate: 50,   // 50-69: Moderate Risk
+    elevated: 35,   // 35-49: Elevated Risk
+    high: 0         // 0-34: High Risk
+});
+
+/**
+ * The four scoring criteria, in display order
+ */
+const CRITERIA = ['transaction_history', 'affordability', 'employment', 'behavior'];
+
+/**
+ * Possible lending decisions, in display order
+ */
+const DECISIONS = ['Auto Approve', 'Manual Review', 'Elevated Risk', 'Auto Deny'];
+
+/**
+ * Short risk categories returned by getCriteriaRisk
+ */
+const RISK_CATEGORIES = ['low', 'moderate', 'elevated', 'high'];
+
+/**
+ * Overall risk levels returned by getRiskLevel, best to worst
+ */
+const RISK_LEVELS = ['Low Risk', 'Moderate Risk', 'Elevated Risk', 'High Risk'];
+
+/**
+ * Default decision policy
+ *
+ * POLICY FORMAT:
+ * Rules are evaluated top to bottom; the first enabled rule whose `when`
+ * condition holds decides the outcome. If no rule matches, the policy's
+ * `defaultDecision` applies and the record is tagged with rule 'DEFAULT'.
+ *
+ * CONDITIONS:
+ * - { count: 'elevated', op: '>=', value: 2 }  Number of criteria at a level
+ * - { criterion: 'affordability', is: 'elevated' }  Level of one criterion
+ * - { all: [...] } / { any: [...] } / { not: {...} }  Combinators
+ * - { always: true }  Matches every customer
+ *
+ * THRESHOLDS:
+ * Score boundaries for low/moderate/elevated (see RISK_THRESHOLDS).
+ *
+ * WEIGHTS:
+ * Relative importance of each criterion in the combined score. Weights are
+ * normalized by their sum, so they need not add up to 100.
+ *
+ * LOSS MODEL:
+ * 12-month probability of default (PD) per combined-score risk level and
+ * the loss given default (LGD), both as fractions. Used for expected loss
+ * only; decisions do not depend on them (see calculateExpectedLoss).
+ *
+ * AFFORDABILITY CHECK:
+ * Highest debt-to-income ratio (existing obligations plus the new payment,
+ * over monthly income) a loan may reach, the annual interest rate used to
+ * price payments, the term assumed when a customer has none, and the
+ * longest term a counter-offer may propose. Used for the income-based
+ * check and counter-offers only (see calculateAffordability).
+ *
+ * The rules below reproduce the original hardcoded decision logic.
+ */
+const DEFAULT_POLICY = {
+    name: 'Standard Cash-Flow Policy',
+    thresholds: { ...RISK_THRESHOLDS },
+    weights: {
+        transaction_history: 25,
+        affordability: 25,
+        employment: 25,
+        behavior: 25
+    },
+    lossModel: {
+        pd: { low: 0.01, moderate: 0.04, elevated: 0.12, high: 0.30 },
+        lgd: 0.45
+    },
+    affordabilityCheck: {
+        maxDti: 0.40,
+        annualRate: 0.12,
+        defaultTerm: 36,
+        maxTerm: 60
+    },
+    defaultDecision: 'Manual Review',
+    rules: [
+        {
+            id: 'DENY-ANY-HIGH',
+            enabled: true,
+            decision: 'Auto Deny',
+            description: 'Any criterion is High Risk',
+            when: { count: 'high', op: '>=', value: 1 }
+        },
+        {
+            id: 'DENY-MULTI-ELEVATED',
+            enabled: true,
+            decision: 'Auto Deny',
+            description: 'Two or more criteria are Elevated Risk',
+            when: { count: 'elevated', op: '>=', value: 2 }
+        },
+        {
+            id: 'DENY-AFF-ELEVATED',
+            enabled: true,
+            decision: 'Auto Deny',
+            description: 'Elevated affordability with all others Moderate',
+            when: {
+                all: [
+                    { criterion: 'affordability', is: 'elevated' },
+                    { count: 'moderate', op: '==', value: 3 }
+                ]
+            }
+        },
+        {
+            id: 'APPROVE-ALL-LOW',
+            enabled: true,
+            decision: 'Auto Approve',
+            description: 'All criteria are Low Risk',
+            when: { count: 'low', op: '==', value: 4 }
+        },
+        {
+            id: 'APPROVE-LOW-MODERATE',
+            enabled: true,
+            decision: 'Auto Approve',
+            description: '2+ criteria Low Risk, remainder Moderate',
+            when: {
+                all: [
+                    { count: 'low', op: '>=', value: 2 },
+                    { count: 'elevated', op: '==', value: 0 }
+                ]
+            }
+        },
+        {
+            id: 'ELEVATED-SINGLE',
+            enabled: true,
+            decision: 'Elevated Risk',
+            description: 'Single Elevated Risk criterion',
+            when: { count: 'elevated', op: '==', value: 1 }
+        }
+    ]
+};
+
+/**
+ * Maximum number of principal reasons cited for a denial
+ * (adverse-action notices conventionally list no more than four)
+ */
+const MAX_PRINCIPAL_REASONS = 4;
+
+/**
+ * Comparison operators allowed in count conditions
+ */
+const CONDITION_OPERATORS = {
+    '>=': (a, b) => a >= b,
+    '>': (a, b) => a > b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<=': (a, b) => a <= b,
+    '<': (a, b) => a < b
+};
+
+/**
+ * Groups decisions into the three headline outcomes
+ */
+const OUTCOME_GROUPS = {
+    approve: ['Auto Approve'],
+    review: ['Manual Review', 'Elevated Risk'],
+    deny: ['Auto Deny']
+};
+
+/**
+ * When a segment is called out as worst-performing: at least minSize
+ * customers and an auto-deny rate minGap (fraction) above the portfolio's
+ */
+const SEGMENT_INSIGHT = Object.freeze({ minSize: 10, minGap: 0.10 });
+
+/**
+ * Fair lending monitoring: an adverse impact ratio below fourFifths is
+ * flagged (four-fifths rule); |z| of at least zCritical is statistically
+ * significant (95%, two-sided); groups under minGroupSize customers are
+ * reported but marked as too small to rely on
+ */
+const FAIR_LENDING = Object.freeze({ fourFifths: 0.8, zCritical: 1.96, minGroupSize: 30 });
+
+// ============================================================================
+// RISK SCORING
+// ============================================================================
+
+/**
+ * Determines risk level based on score
+ *
+ * @param {number} score - Score value (0-100)
+ * @param {Object} thresholds - Threshold set (defaults to the shipped thresholds)
+ * @returns {string} Risk level category
+ *
+ * LOGIC:
+ * Uses predefined thresholds to categorize scores.
+ * Conservative approach - borderline cases fall to higher risk.
+ */
+function getRiskLevel(score, thresholds = RISK_THRESHOLDS) {
+    if (score >= thresholds.low) return 'Low Risk';
+    if (score >= thresholds.moderate) return 'Moderate Risk';
+    if (score >= thresholds.elevated) return 'Elevated Risk';
+    return 'High Risk';
+}
+
+/**
+ * Determines risk category for a single criterion
+ * Used for decision logic evaluation
+ *
+ * @param {number} score - Score value (0-100)
+ * @param {Object} thresholds - Threshold set (defaults to the shipped thresholds)
+ * @returns {string} Short risk category
+ */
+function getCriteriaRisk(score, thresholds = RISK_THRESHOLDS) {
+    if (score >= thresholds.low) return 'low';
+    if (score >= thresholds.moderate) return 'moderate';
+    if (score >= thresholds.elevated) return 'elevated';
+    return 'high';
+}
+
+/**
+ * Determines lending decision based on multi-criteria analysis
+ *
+ * @param {Object} customer - Customer data with all scores
+ * @param {Object} policy - Decision policy (see DEFAULT_POLICY)
+ * @returns {Object} { decision, rule, reasons } - rule is the ID of the rule
+ *          that fired; reasons are ordered reason codes explaining it
+ *
+ * DECISION LOGIC:
+ * Each criterion is bucketed into low/moderate/elevated/high, then the
+ * policy rules are evaluated in order. The first enabled rule whose
+ * condition holds wins; otherwise the policy default applies.
+ *
+ * REASON CODES:
+ * Produced by the same condition evaluation that selects the rule, so the
+ * explanation always matches the decision (see evaluateCondition).
+ */
+function determineDecision(customer, policy = DEFAULT_POLICY) {
+    const context = buildRiskContext(customer, policy.thresholds || RISK_THRESHOLDS);
+    const { thresholds, risks } = context;
+
+    for (const rule of policy.rules) {
+        if (rule.enabled === false) continue;
+
+        const reasons = [];
+        if (evaluateCondition(rule.when, context, reasons)) {
+            if (reasons.length === 0) {
+                reasons.push(`${rule.id}: ${rule.description || rule.decision}`);
+            }
+            return { decision: rule.decision, rule: rule.id, reasons: [...new Set(reasons)] };
+        }
+    }
+
+    // No rule matched - list every criterion short of Low Risk, weakest first
+    const shortfalls = CRITERIA
+        .filter(criterion => risks[criterion] !== 'low')
+        .sort((a, b) => customer[a] - customer[b])
+        .map(criterion => describeCriterionRisk(criterion, customer[criterion], risks[criterion], thresholds));
+
+    return {
+        decision: policy.defaultDecision,
+        rule: 'DEFAULT',
+        reasons: ['DEFAULT: no policy rule matched', ...shortfalls]
+    };
+}
+
+/**
+ * Buckets each criterion and counts the buckets - the context every rule
+ * condition is evaluated against
+ *
+ * @param {Object} customer - Customer data with all scores
+ * @param {Object} thresholds - Threshold set
+ * @returns {Object} { customer, thresholds, risks, riskCounts }
+ */
+function buildRiskContext(customer, thresholds) {
+    const risks = {};
+    const riskCounts = {
+        low: 0,
+        moderate: 0,
+        elevated: 0,
+        high: 0
+    };
+
+    // Bucket and count risk levels
+    CRITERIA.forEach(criterion => {
+        const risk = getCriteriaRisk(customer[criterion], thresholds);
+        risks[criterion] = risk;
+        riskCounts[risk]++;
+    });
+
+    return { customer, thresholds, risks, riskCounts };
+}
+
+/**
+ * Evaluates every policy rule for a customer, not just the first match
+ *
+ * @param {Object} customer - Customer data with all scores
+ * @param {Object} policy - Decision policy
+ * @returns {Array} One entry per rule, in policy order:
+ *          { id, decision, description, enabled, matched, fired, reasons }
+ *
+ * Used to document a decision (credit memo): `fired` marks the rule that
+ * decided, later rules with `matched` would also have applied.
+ */
+function evaluateRules(customer, policy = DEFAULT_POLICY) {
+    const context = buildRiskContext(customer, policy.thresholds || RISK_THRESHOLDS);
+    let decided = false;
+
+    return policy.rules.map(rule => {
+        const reasons = [];
+        const enabled = rule.enabled !== false;
+        const matched = enabled && evaluateCondition(rule.when, context, reasons);
+        const fired = matched && !decided;
+        if (fired) decided = true;
+
+        return {
+            id: rule.id,
+            decision: rule.decision,
+            description: rule.description || '',
+            enabled,
+            matched,
+            fired,
+            reasons: [...new Set(reasons)]
+        };
+    });
+}
+
+/**
+ * Evaluates a policy rule condition against a customer's risk buckets
+ *
+ * @param {Object} condition - Condition node (see DEFAULT_POLICY)
+ * @param {Object} context - { customer, thresholds, risks, riskCounts } for the customer
+ * @param {Array} reasons - Optional accumulator; receives reason codes for
+ *                          every leaf that made the condition hold
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateCondition(condition, context, reasons = []) {
+    if (condition.always) return true;
+
+    if (condition.all) {
+        const collected = [];
+        const holds = condition.all.every(c => evaluateCondition(c, context, collected));
+        if (holds) reasons.push(...collected);
+        return holds;
+    }
+
+    if (condition.any) {
+        const collected = [];
+        const holds = condition.any.some(c => evaluateCondition(c, context, collected));
+        if (holds) reasons.push(...collected);
+        return holds;
+    }
+
+    // Reasons inside a negation describe why it failed, so they are dropped
+    if (condition.not) return !evaluateCondition(condition.not, context, []);
+
+    if (condition.criterion) {
+        const holds = context.risks[condition.criterion] === condition.is;
+        if (holds) {
+            const score = context.customer[condition.criterion];
+            reasons.push(describeCriterionRisk(condition.criterion, score, condition.is, context.thresholds));
+        }
+        return holds;
+    }
+
+    if (condition.count) {
+        const level = condition.count;
+        const count = context.riskCounts[level];
+        const holds = CONDITION_OPERATORS[condition.op](count, condition.value);
+        if (holds) {
+            reasons.push(...describeRiskCount(level, count, context));
+        }
+        return holds;
+    }
+
+    return false;
+}
+
+/**
+ * Reason code abbreviations per criterion
+ */
+const CRITERION_REASON_CODES = {
+    transaction_history: 'TXN',
+    affordability: 'AFF',
+    employment: 'EMP',
+    behavior: 'BEH'
+};
+
+/**
+ * Builds the reason code for one criterion at a given risk level
+ *
+ * @param {string} criterion - Criterion key
+ * @param {number} score - Criterion score
+ * @param {string} level - Short risk category
+ * @param {Object} thresholds - Threshold set the level was derived from
+ * @returns {string} e.g. "AFF-ELEVATED: affordability 41 below moderate threshold 50"
+ */
+function describeCriterionRisk(criterion, score, level, thresholds) {
+    const boundary = {
+        low: `at or above low threshold ${thresholds.low}`,
+        moderate: `below low threshold ${thresholds.low}`,
+        elevated: `below moderate threshold ${thresholds.moderate}`,
+        high: `below elevated threshold ${thresholds.elevated}`
+    };
+
+    return `${CRITERION_REASON_CODES[criterion]}-${level.toUpperCase()}: ${criterion} ${score} ${boundary[level]}`;
+}
+
+/**
+ * Builds reason codes for a "count" condition
+ *
+ * Adverse levels (elevated, high) also list each offending criterion,
+ * weakest score first, so the principal reasons name the actual criteria.
+ *
+ * @param {string} level - Short risk category being counted
+ * @param {number} count - Number of criteria at that level
+ * @param {Object} context - { customer, thresholds, risks } for the customer
+ * @returns {Array} Reason codes
+ */
+function describeRiskCount(level, count, context) {
+    const reasons = [];
+    const code = level.toUpperCase();
+
+    if (count === 0) {
+        reasons.push(`NO-${code}: no criteria ${level}`);
+    } else if (count >= 2) {
+        reasons.push(`MULTI-${code}: ${count} criteria ${level}`);
+    } else if (level === 'low' || level === 'moderate') {
+        reasons.push(`SINGLE-${code}: 1 criterion ${level}`);
+    }
+
+    if (level === 'elevated' || level === 'high') {
+        CRITERIA
+            .filter(criterion => context.risks[criterion] === level)
+            .sort((a, b) => context.customer[a] - context.customer[b])
+            .forEach(criterion => {
+                reasons.push(describeCriterionRisk(criterion, context.customer[criterion], level, context.thresholds));
+            });
+    }
+
+    return reasons;
+}
+
+/**
+ * Returns the principal reasons to cite in an adverse-action notice
+ *
+ * @param {Object} record - Processed customer record
+ * @returns {Array} Up to four reason codes for denials, otherwise empty
+ */
+function getPrincipalReasons(record) {
+    if (record.decision !== 'Auto Deny') return [];
+    return record.reason_codes.slice(0, MAX_PRINCIPAL_REASONS);
+}
+
+/**
+ * Calculates combined risk score
+ *
+ * @param {Object} customer - Customer data with all scores
+ * @param {Object} weights - Weight per criterion (defaults to equal weights)
+ * @returns {number} Weighted average score across all criteria
+ *
+ * METHODOLOGY:
+ * Weighted arithmetic mean, normalized by the sum of the weights.
+ * With the default policy each criterion contributes 25%.
+ */
+function calculateCombinedScore(customer, weights = DEFAULT_POLICY.weights) {
+    const totalWeight = CRITERIA.reduce((sum, criterion) => sum + weights[criterion], 0);
+
+    return CRITERIA.reduce(
+        (sum, criterion) => sum + customer[criterion] * weights[criterion],
+        0
+    ) / totalWeight;
+}
+
+// ============================================================================
+// POLICY VALIDATION
+// ============================================================================
+
+/**
+ * Validates a decision policy before it is applied
+ *
+ * @param {Object} policy - Candidate policy
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validatePolicy(policy) {
+    const errors = [];
+
+    if (!policy || !Array.isArray(policy.rules)) {
+        return ['Policy must have a "rules" array'];
+    }
+
+    if (!DECISIONS.includes(policy.defaultDecision)) {
+        errors.push(`Unknown default decision "${policy.defaultDecision}"`);
+    }
+
+    if (policy.thresholds) {
+        const errorsBefore = errors.length;
+        validateThresholds(policy.thresholds, errors);
+        if (errors.length > errorsBefore) return errors;
+    }
+
+    if (policy.weights) {
+        const weights = CRITERIA.map(criterion => policy.weights[criterion]);
+        if (weights.some(w => typeof w !== 'number' || !(w >= 0))) {
+            errors.push('Weights must be non-negative numbers for every criterion');
+        } else if (weights.reduce((a, b) => a + b, 0) === 0) {
+            errors.push('At least one criterion weight must be above zero');
+        }
+    }
+
+    if (policy.lossModel) {
+        validateLossModel(policy.lossModel, errors);
+    }
+
+    if (policy.affordabilityCheck) {
+        validateAffordabilityCheck(policy.affordabilityCheck, errors);
+    }
+
+    const seenIds = new Set();
+    policy.rules.forEach((rule, index) => {
+        const label = `Rule ${index + 1}${rule.id ? ` (${rule.id})` : ''}`;
+
+        if (!rule.id) errors.push(`${label}: missing id`);
+        else if (seenIds.has(rule.id)) errors.push(`${label}: duplicate id`);
+        seenIds.add(rule.id);
+
+        if (!DECISIONS.includes(rule.decision)) {
+            errors.push(`${label}: unknown decision "${rule.decision}"`);
+        }
+
+        validateCondition(rule.when, `${label}`, errors);
+    });
+
+    return errors;
+}
+
+/**
+ * Validates a threshold set: 0 <= elevated < moderate < low <= 100
+ *
+ * @param {Object} thresholds - Threshold set
+ * @param {Array} errors - Error accumulator
+ */
+function validateThresholds(thresholds, errors) {
+    const { low, moderate, elevated } = thresholds;
+
+    if ([low, moderate, elevated].some(t => typeof t !== 'number' || isNaN(t))) {
+        errors.push('Thresholds low, moderate and elevated must be numbers');
+        return;
+    }
+
+    if (!(elevated >= 0 && elevated < moderate && moderate < low && low <= 100)) {
+        errors.push('Thresholds must satisfy 0 <= elevated < moderate < low <= 100');
+    }
+}
+
+/**
+ * Validates a loss model: a PD per risk level and an LGD, all within 0-1
+ *
+ * @param {Object} lossModel - { pd: { low, moderate, elevated, high }, lgd }
+ * @param {Array} errors - Error accumulator
+ */
+function validateLossModel(lossModel, errors) {
+    const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+    if (!lossModel.pd || !RISK_CATEGORIES.every(level => isFraction(lossModel.pd[level]))) {
+        errors.push(`Loss model PD must be a number from 0 to 1 for each of ${RISK_CATEGORIES.join(', ')}`);
+    }
+    if (!isFraction(lossModel.lgd)) {
+        errors.push('Loss model LGD must be a number from 0 to 1');
+    }
+}
+
+/**
+ * Validates an affordability check: DTI limit above 0 and at most 1, rate
+ * within 0-1, terms whole months above 0
+ *
+ * @param {Object} check - { maxDti, annualRate, defaultTerm, maxTerm }
+ * @param {Array} errors - Error accumulator
+ */
+function validateAffordabilityCheck(check, errors) {
+    const isTerm = value => Number.isInteger(value) && value > 0;
+
+    if (!(typeof check.maxDti === 'number' && check.maxDti > 0 && check.maxDti <= 1)) {
+        errors.push('Affordability check maxDti must be a number above 0 and at most 1');
+    }
+    if (!(typeof check.annualRate === 'number' && check.annualRate >= 0 && check.annualRate <= 1)) {
+        errors.push('Affordability check annualRate must be a number from 0 to 1');
+    }
+    if (!isTerm(check.defaultTerm) || !isTerm(check.maxTerm)) {
+        errors.push('Affordability check defaultTerm and maxTerm must be whole months above 0');
+    }
+}
+
+/**
+ * Recursively validates a condition node, collecting errors
+ *
+ * @param {Object} condition - Condition node
+ * @param {string} label - Prefix for error messages
+ * @param {Array} errors - Error accumulator
+ */
+function validateCondition(condition, label, errors) {
+    if (!condition || typeof condition !== 'object') {
+        errors.push(`${label}: missing condition`);
+        return;
+    }
+
+    if (condition.always) return;
+
+    if (condition.all || condition.any) {
+        const children = condition.all || condition.any;
+        if (!Array.isArray(children) || children.length === 0) {
+            errors.push(`${label}: "all"/"any" needs a non-empty array`);
+            return;
+        }
+        children.forEach(child => validateCondition(child, label, errors));
+        return;
+    }
+
+    if (condition.not) {
+        validateCondition(condition.not, label, errors);
+        return;
+    }
+
+    if (condition.criterion) {
+        if (!CRITERIA.includes(condition.criterion)) {
+            errors.push(`${label}: unknown criterion "${condition.criterion}"`);
+        }
+        if (!RISK_CATEGORIES.includes(condition.is)) {
+            errors.push(`${label}: unknown risk level "${condition.is}"`);
+        }
+        return;
+    }
+
+    if (condition.count) {
+        if (!RISK_CATEGORIES.includes(condition.count)) {
+            errors.push(`${label}: unknown risk level "${condition.count}"`);
+        }
+        if (!CONDITION_OPERATORS[condition.op]) {
+            errors.push(`${label}: unknown operator "${condition.op}"`);
+        }
+        if (typeof condition.value !== 'number') {
+            errors.push(`${label}: count value must be a number`);
+        }
+        return;
+    }
+
+    errors.push(`${label}: unrecognized condition ${JSON.stringify(condition)}`);
+}
+
+/**
+ * Deep copies a policy so edits never mutate the original
+ *
+ * @param {Object} policy - Policy to copy
+ * @returns {Object} Independent copy
+ */
+function clonePolicy(policy) {
+    return JSON.parse(JSON.stringify(policy));
+}
+
+/**
+ * Fills in thresholds, weights, the loss model and the affordability check
+ * a policy omits with the shipped defaults
+ *
+ * @param {Object} policy - Validated policy
+ * @returns {Object} Copy of the policy with thresholds, weights, lossModel
+ *          and affordabilityCheck present
+ */
+function normalizePolicy(policy) {
+    return {
+        ...clonePolicy(policy),
+        thresholds: policy.thresholds ? { ...policy.thresholds } : { ...RISK_THRESHOLDS },
+        weights: policy.weights ? { ...policy.weights } : { ...DEFAULT_POLICY.weights },
+        lossModel: clonePolicy(policy.lossModel || DEFAULT_POLICY.lossModel),
+        affordabilityCheck: clonePolicy(policy.affordabilityCheck || DEFAULT_POLICY.affordabilityCheck)
+    };
+}
+
+// ============================================================================
+// DATA PROCESSING
+// ============================================================================
+
+/**
+ * Processes raw data to add calculated fields
+ *
+ * @param {Array} rawData - Raw customer data
+ * @param {Object} policy - Decision policy (thresholds, weights, rules)
+ * @returns {Array} Processed data with risk levels and decisions
+ *
+ * DATA TRANSFORMATION:
+ * 1. Calculate weighted combined score
+ * 2. Determine overall risk level
+ * 3. Apply decision policy (records which rule fired and why)
+ * 4. Expected loss from the risk level and the loan amount, if given
+ * 5. Income-based affordability check and counter-offer, if income is known
+ * 6. Add metadata for visualization
+ */
+function processData(rawData, policy = DEFAULT_POLICY) {
+    return rawData.map(customer => {
+        const combinedScore = calculateCombinedScore(customer, policy.weights || DEFAULT_POLICY.weights);
+        const riskLevel = getRiskLevel(combinedScore, policy.thresholds || RISK_THRESHOLDS);
+        const { decision, rule, reasons } = determineDecision(customer, policy);
+
+        return {
+            ...customer,
+            combined_score: Math.round(combinedScore * 10) / 10,
+            risk_level: riskLevel,
+            decision: decision,
+            decision_rule: rule,
+            reason_codes: reasons,
+            ...calculateExpectedLoss(customer, riskLevel, policy.lossModel || DEFAULT_POLICY.lossModel),
+            ...calculateAffordability(customer, decision, reasons,
+                policy.affordabilityCheck || DEFAULT_POLICY.affordabilityCheck)
+        };
+    });
+}
+
+/**
+ * Probability of default, exposure and expected loss for one customer
+ *
+ * @param {Object} customer - Customer data; loan_amount and term (months) optional
+ * @param {string} riskLevel - Combined-score risk level (RISK_LEVELS)
+ * @param {Object} lossModel - { pd: per risk category, lgd } (see DEFAULT_POLICY)
+ * @returns {Object} { pd, lgd, ead, expected_loss } - ead and expected_loss
+ *          are null without a loan amount
+ *
+ * METHODOLOGY:
+ * EL = PD x LGD x EAD, with EAD the loan amount (fully drawn at default).
+ * The policy PD is a 12-month rate; with a term it is stretched to the life
+ * of the loan as 1 - (1 - PD)^(term / 12), assuming a constant hazard.
+ * PD is rounded to 4 decimals and amounts to cents.
+ */
+function calculateExpectedLoss(customer, riskLevel, lossModel) {
+    const annualPd = lossModel.pd[RISK_CATEGORIES[RISK_LEVELS.indexOf(riskLevel)]];
+    const term = customer.term;
+    const pd = term > 0 ? 1 - Math.pow(1 - annualPd, term / 12) : annualPd;
+    const ead = customer.loan_amount == null ? null : customer.loan_amount;
+
+    return {
+        pd: Math.round(pd * 10000) / 10000,
+        lgd: lossModel.lgd,
+        ead,
+        expected_loss: ead === null ? null : Math.round(pd * lossModel.lgd * ead * 100) / 100
+    };
+}
+
+/**
+ * Counter-offer amounts are rounded down to this step
+ */
+const COUNTER_OFFER_STEP = 100;
+
+/**
+ * Debt-to-income, affordable payment and counter-offer for one customer
+ *
+ * @param {Object} customer - Customer data; monthly_income,
+ *        monthly_obligations, requested_amount and term (months) optional
+ * @param {string} decision - Decision from the policy
+ * @param {Array} reasons - Reason codes behind the decision
+ * @param {Object} check - { maxDti, annualRate, defaultTerm, maxTerm } (see DEFAULT_POLICY)
+ * @returns {Object} { dti, loan_dti, max_payment, payment, affordable,
+ *          counter_amount, counter_term } - all null without a monthly income
+ *          - dti: existing obligations over income
+ *          - loan_dti: obligations plus the requested payment over income
+ *          - max_payment: largest new payment that keeps DTI within maxDti
+ *          - counter_amount / counter_term: null unless a counter-offer is made
+ *
+ * METHODOLOGY:
+ * The requested amount is requested_amount, else loan_amount. Payments are
+ * level monthly payments at the policy's annual rate over the customer's
+ * term (defaultTerm when missing). Ledger imports use the monthly income
+ * and obligations derived from the transactions.
+ *
+ * COUNTER-OFFER:
+ * Made when the customer is sent to review or denied mainly on
+ * affordability (the first criterion the reason codes name, else the
+ * weakest criterion) and the requested payment does not fit. Keeps the
+ * amount on the shortest longer term up to maxTerm that fits; otherwise
+ * offers the largest amount that fits the customer's term, rounded down to
+ * COUNTER_OFFER_STEP. No offer when nothing fits. Without a requested
+ * amount the largest fitting amount is offered. The decision itself is not
+ * changed.
+ */
+function calculateAffordability(customer, decision, reasons, check) {
+    const none = {
+        dti: null, loan_dti: null, max_payment: null, payment: null,
+        affordable: null, counter_amount: null, counter_term: null
+    };
+    const features = customer.features || {};
+    const income = customer.monthly_income != null ? customer.monthly_income : features.monthly_income;
+    if (income == null) return none;
+
+    const obligations = (customer.monthly_obligations != null
+        ? customer.monthly_obligations
+        : features.monthly_obligations) || 0;
+    const amount = customer.requested_amount != null ? customer.requested_amount : customer.loan_amount;
+    const term = customer.term > 0 ? customer.term : check.defaultTerm;
+    const rate = check.annualRate / 12;
+
+    const maxPayment = Math.max(0, check.maxDti * income - obligations);
+    const payment = amount == null ? null : calculatePayment(amount, rate, term);
+    const affordable = payment === null ? null : payment <= maxPayment;
+    const cents = value => Math.round(value * 100) / 100;
+
+    const result = {
+        dti: income > 0 ? Math.round(obligations / income * 10000) / 10000 : null,
+        loan_dti: income > 0 && payment !== null ? Math.round((obligations + payment) / income * 10000) / 10000 : null,
+        max_payment: cents(maxPayment),
+        payment: payment === null ? null : cents(payment),
+        affordable,
+        counter_amount: null,
+        counter_term: null
+    };
+
+    if (decision === 'Auto Approve' || affordable || getLeadingCriterion(customer, reasons) !== 'affordability') {
+        return result;
+    }
+
+    // Same amount over a longer term
+    if (amount !== null && amount * rate < maxPayment) {
+        const months = rate === 0
+            ? Math.ceil(amount / maxPayment)
+            : Math.ceil(-Math.log(1 - amount * rate / maxPayment) / Math.log(1 + rate));
+        if (months > term && months <= check.maxTerm) {
+            return { ...result, counter_amount: amount, counter_term: months };
+        }
+    }
+
+    // Smaller amount over the same term
+    const annuity = rate === 0 ? term : (1 - Math.pow(1 + rate, -term)) / rate;
+    const counterAmount = Math.floor(maxPayment * annuity / COUNTER_OFFER_STEP) * COUNTER_OFFER_STEP;
+    if (counterAmount > 0) {
+        return { ...result, counter_amount: counterAmount, counter_term: term };
+    }
+
+    return result;
+}
+
+/**
+ * Level monthly payment that repays a loan over its term
+ *
+ * @param {number} amount - Loan amount
+ * @param {number} rate - Monthly interest rate (fraction)
+ * @param {number} term - Term in months
+ * @returns {number} Monthly payment
+ */
+function calculatePayment(amount, rate, term) {
+    if (rate === 0) return amount / term;
+    return amount * rate / (1 - Math.pow(1 + rate, -term));
+}
+
+/**
+ * The criterion a decision mainly rests on: the first one named in the
+ * reason codes, else the lowest-scoring criterion
+ *
+ * @param {Object} customer - Customer data with all scores
+ * @param {Array} reasons - Reason codes in order
+ * @returns {string} Criterion key
+ */
+function getLeadingCriterion(customer, reasons) {
+    for (const reason of reasons) {
+        const criterion = CRITERIA.find(c => reason.startsWith(`${CRITERION_REASON_CODES[c]}-`));
+        if (criterion) return criterion;
+    }
+    return CRITERIA.reduce((lowest, criterion) => (customer[criterion] < customer[lowest] ? criterion : lowest));
+}
+
+/**
+ * Counts records per decision
+ *
+ * @param {Array} data - Processed customer data
+ * @returns {Object} Count keyed by decision name
+ */
+function countDecisions(data) {
+    const counts = {};
+    DECISIONS.forEach(decision => { counts[decision] = 0; });
+    data.forEach(d => { counts[d.decision]++; });
+    return counts;
+}
+
+/**
+ * Computes approval, review and deny rates for a scored portfolio
+ *
+ * @param {Array} data - Processed customer data
+ * @returns {Object} { approve, review, deny } as fractions of the total
+ */
+function calculateOutcomeRates(data) {
+    const rates = {};
+    Object.entries(OUTCOME_GROUPS).forEach(([outcome, decisions]) => {
+        const count = data.filter(d => decisions.includes(d.decision)).length;
+        rates[outcome] = data.length > 0 ? count / data.length : 0;
+    });
+    return rates;
+}
+
+/**
+ * Builds a decision migration matrix between two scorings of the same customers
+ *
+ * @param {Array} current - Records scored with the current policy
+ * @param {Array} simulated - Same records scored with simulated thresholds
+ * @returns {Object} matrix[fromDecision][toDecision] = count
+ */
+function buildMigrationMatrix(current, simulated) {
+    const matrix = {};
+    DECISIONS.forEach(from => {
+        matrix[from] = {};
+        DECISIONS.forEach(to => { matrix[from][to] = 0; });
+    });
+
+    current.forEach((record, index) => {
+        matrix[record.decision][simulated[index].decision]++;
+    });
+
+    return matrix;
+}
+
+/**
+ * Scores the same raw portfolio with two policies and finds the swap set
+ *
+ * @param {Array} rawData - Raw customer data
+ * @param {Object} champion - Current policy
+ * @param {Object} challenger - Proposed policy
+ * @returns {Object} Scored data, counts, rates and swap set per policy
+ *
+ * SWAP SET:
+ * Customers approved by one policy and denied by the other. Review
+ * outcomes are not swaps - they still go to an underwriter either way.
+ */
+function comparePolicies(rawData, champion, challenger) {
+    const championData = processData(rawData, champion);
+    const challengerData = processData(rawData, challenger);
+
+    const swaps = [];
+    championData.forEach((record, index) => {
+        const other = challengerData[index];
+        const swapIn = record.decision === 'Auto Deny' && other.decision === 'Auto Approve';
+        const swapOut = record.decision === 'Auto Approve' && other.decision === 'Auto Deny';
+
+        if (swapIn || swapOut) {
+            swaps.push({
+                direction: swapIn ? 'swap-in' : 'swap-out',
+                champion: record,
+                challenger: other
+            });
+        }
+    });
+
+    return {
+        champion: {
+            data: championData,
+            counts: countDecisions(championData),
+            rates: calculateOutcomeRates(championData)
+        },
+        challenger: {
+            data: challengerData,
+            counts: countDecisions(challengerData),
+            rates: calculateOutcomeRates(challengerData)
+        },
+        swaps
+    };
+}
+
+/**
+ * Headline figures for one scored portfolio
+ *
+ * @param {Array} data - Processed customer data
+ * @returns {Object} { total, counts, rates, riskMix }
+ *          - counts: per decision (countDecisions)
+ *          - rates: approve / review / deny fractions (calculateOutcomeRates)
+ *          - riskMix: count per overall risk level (RISK_LEVELS)
+ */
+function summarizePortfolio(data) {
+    const riskMix = {};
+    RISK_LEVELS.forEach(level => { riskMix[level] = 0; });
+    data.forEach(d => { riskMix[d.risk_level]++; });
+
+    return {
+        total: data.length,
+        counts: countDecisions(data),
+        rates: calculateOutcomeRates(data),
+        riskMix
+    };
+}
+
+/**
+ * Exposure and expected loss per decision and for the whole portfolio
+ *
+ * @param {Array} data - Processed customer data
+ * @returns {Object} { total, byDecision } - each { exposure, expectedLoss,
+ *          priced, unpriced }; priced counts customers with a loan amount
+ *
+ * Customers without a loan amount are counted as unpriced and add nothing
+ * to exposure or expected loss.
+ */
+function summarizeExposure(data) {
+    const empty = () => ({ exposure: 0, expectedLoss: 0, priced: 0, unpriced: 0 });
+    const total = empty();
+    const byDecision = {};
+    DECISIONS.forEach(decision => { byDecision[decision] = empty(); });
+
+    data.forEach(d => {
+        [total, byDecision[d.decision]].forEach(group => {
+            if (d.ead === null || d.ead === undefined) {
+                group.unpriced++;
+                return;
+            }
+            group.priced++;
+            group.exposure += d.ead;
+            group.expectedLoss += d.expected_loss;
+        });
+    });
+
+    return { total, byDecision };
+}
+
+/**
+ * Segment dimensions present in the data, in first-seen order
+ *
+ * @param {Array} data - Customer records (raw or processed)
+ * @returns {Array} Dimension names (keys of each record's `segments`)
+ */
+function getSegmentDimensions(data) {
+    const dimensions = new Set();
+    data.forEach(d => Object.keys(d.segments || {}).forEach(key => dimensions.add(key)));
+    return [...dimensions];
+}
+
+/**
+ * Decision mix, average score and exposure per value of one segment dimension
+ *
+ * @param {Array} data - Processed customer data
+ * @param {string} dimension - Segment dimension
+ * @returns {Array} [{ value, total, counts, rates, averageScore, exposure,
+ *          expectedLoss }] largest segment first; customers without the
+ *          dimension fall under the value ''
+ */
+function summarizeSegments(data, dimension) {
+    const groups = new Map();
+    data.forEach(d => {
+        const value = (d.segments && d.segments[dimension]) || '';
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(d);
+    });
+
+    return [...groups.entries()]
+        .map(([value, records]) => {
+            const exposure = summarizeExposure(records).total;
+            return {
+                value,
+                total: records.length,
+                counts: countDecisions(records),
+                rates: calculateOutcomeRates(records),
+                averageScore: Math.round(records.reduce((sum, d) => sum + d.combined_score, 0) / records.length * 10) / 10,
+                exposure: exposure.exposure,
+                expectedLoss: exposure.expectedLoss
+            };
+        })
+        .sort((a, b) => b.total - a.total || a.value.localeCompare(b.value));
+}
+
+/**
+ * Finds the worst-performing segment of each dimension
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} options - { minSize, minGap } (defaults SEGMENT_INSIGHT)
+ * @returns {Array} [{ dimension, value, total, rates, portfolioRates, gap }]
+ *          biggest gap first
+ *
+ * METHODOLOGY:
+ * Worst = highest auto-deny rate, then lowest approval rate, among segments
+ * with at least minSize customers (a blank value is not a segment). A
+ * segment is reported only when its deny rate is at least minGap (a
+ * fraction) above the whole portfolio's, so small random differences are
+ * not called out. A dimension with a single value has nothing to compare
+ * and is skipped.
+ */
+function findWorstSegments(data, options = {}) {
+    const { minSize, minGap } = { ...SEGMENT_INSIGHT, ...options };
+    const portfolioRates = calculateOutcomeRates(data);
+
+    return getSegmentDimensions(data)
+        .map(dimension => {
+            const segments = summarizeSegments(data, dimension);
+            if (segments.length < 2) return null;
+
+            const worst = segments
+                .filter(segment => segment.value !== '' && segment.total >= minSize)
+                .sort((a, b) => b.rates.deny - a.rates.deny || a.rates.approve - b.rates.approve)[0];
+            if (!worst) return null;
+
+            const gap = worst.rates.deny - portfolioRates.deny;
+            return gap >= minGap
+                ? { dimension, value: worst.value, total: worst.total, rates: worst.rates, portfolioRates, gap }
+                : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.gap - a.gap);
+}
+
+/**
+ * Scores dated portfolio snapshots with one policy, oldest first, with the
+ * change from each snapshot to the one before it
+ *
+ * @param {Array} snapshots - [{ id, asOf: 'YYYY-MM-DD', name, rawData }]
+ * @param {Object} policy - Policy applied to every snapshot
+ * @returns {Array} [{ id, asOf, name, data, summary, delta }]
+ *          - summary: see summarizePortfolio
+ *          - delta: { total, counts, rates } differences from the previous
+ *            snapshot (null for the first)
+ *
+ * METHODOLOGY:
+ * Every snapshot is re-scored with the same policy, so movements reflect the
+ * book changing rather than the policy changing.
+ */
+function buildSnapshotTrend(snapshots, policy = DEFAULT_POLICY) {
+    const sorted = [...snapshots].sort((a, b) => a.asOf.localeCompare(b.asOf));
+    let previous = null;
+
+    return sorted.map(snapshot => {
+        const data = processData(snapshot.rawData, policy);
+        const summary = summarizePortfolio(data);
+        let delta = null;
+
+        if (previous) {
+            delta = { total: summary.total - previous.total, counts: {}, rates: {} };
+            DECISIONS.forEach(decision => {
+                delta.counts[decision] = summary.counts[decision] - previous.counts[decision];
+            });
+            Object.keys(summary.rates).forEach(outcome => {
+                delta.rates[outcome] = summary.rates[outcome] - previous.rates[outcome];
+            });
+        }
+
+        previous = summary;
+        return { id: snapshot.id, asOf: snapshot.asOf, name: snapshot.name, data, summary, delta };
+    });
+}
+
+/**
+ * Fields a transition matrix can be built on, with their states best to worst
+ */
+const TRANSITION_FIELDS = {
+    risk_level: RISK_LEVELS,
+    decision: DECISIONS
+};
+
+/**
+ * Customer-level transition matrix between two scorings of the same book
+ * taken at different dates
+ *
+ * @param {Array} before - Processed records for period A
+ * @param {Array} after - Processed records for period B
+ * @param {string} field - 'risk_level' or 'decision' (TRANSITION_FIELDS)
+ * @returns {Object} { states, cells, rowTotals, matched, worse, better,
+ *          unchanged, onlyBefore, onlyAfter }
+ *          - cells[from][to]: [{ customer_id, before, after }] records of the
+ *            customers who moved from one state to the other
+ *          - rowTotals[from]: matched customers that started in a state
+ *          - worse / better / unchanged: matched customers whose state moved
+ *            down, up or stayed (states are ordered best to worst)
+ *          - onlyBefore / onlyAfter: records present in one period only
+ *
+ * METHODOLOGY:
+ * Customers are matched on customer_id. Unlike buildMigrationMatrix (same
+ * customers, two policies) the two periods can hold different customers.
+ */
+function buildTransitionMatrix(before, after, field) {
+    const states = TRANSITION_FIELDS[field];
+    const afterById = new Map(after.map(record => [record.customer_id, record]));
+    const beforeIds = new Set(before.map(record => record.customer_id));
+
+    const cells = {};
+    const rowTotals = {};
+    states.forEach(from => {
+        cells[from] = {};
+        rowTotals[from] = 0;
+        states.forEach(to => { cells[from][to] = []; });
+    });
+
+    const result = { states, cells, rowTotals, matched: 0, worse: 0, better: 0, unchanged: 0 };
+    const onlyBefore = [];
+
+    before.forEach(record => {
+        const later = afterById.get(record.customer_id);
+        if (!later) {
+            onlyBefore.push(record);
+            return;
+        }
+
+        const from = record[field];
+        const to = later[field];
+        cells[from][to].push({ customer_id: record.customer_id, before: record, after: later });
+        rowTotals[from]++;
+        result.matched++;
+
+        const move = states.indexOf(to) - states.indexOf(from);
+        if (move > 0) result.worse++;
+        else if (move < 0) result.better++;
+        else result.unchanged++;
+    });
+
+    return {
+        ...result,
+        onlyBefore,
+        onlyAfter: after.filter(record => !beforeIds.has(record.customer_id))
+    };
+}
+
+/**
+ * Locates one customer within the portfolio
+ *
+ * @param {Object} record - Processed customer record
+ * @param {Array} data - Processed portfolio the record belongs to
+ * @returns {Object} { total, rank, combined: { value, average, percentile },
+ *          criteria: { criterion: { value, average, percentile } }, decisionShare }
+ *
+ * METHODOLOGY:
+ * Percentile = share of the portfolio scoring below the customer, counting
+ * ties as half (so a median customer sits at the 50th percentile).
+ * Rank 1 = highest combined score.
+ */
+function getPortfolioPosition(record, data) {
+    const total = data.length;
+
+    const position = (value, values) => {
+        const below = values.filter(v => v < value).length;
+        const equal = values.filter(v => v === value).length;
+        return {
+            value,
+            average: Math.round(values.reduce((sum, v) => sum + v, 0) / total * 10) / 10,
+            percentile: Math.round((below + equal / 2) / total * 100)
+        };
+    };
+
+    const combinedValues = data.map(d => d.combined_score);
+    const criteria = {};
+    CRITERIA.forEach(criterion => {
+        criteria[criterion] = position(record[criterion], data.map(d => d[criterion]));
+    });
+
+    return {
+        total,
+        rank: combinedValues.filter(v => v > record.combined_score).length + 1,
+        combined: position(record.combined_score, combinedValues),
+        criteria,
+        decisionShare: Math.round(data.filter(d => d.decision === record.decision).length / total * 1000) / 10
+    };
+}
+
+/**
+ * How far each criterion is from the band boundaries around it
+ *
+ * @param {Object} customer - Customer data with all scores
+ * @param {Object} thresholds - Threshold set
+ * @returns {Object} Keyed by criterion:
+ *          { score, band, nextBand, toNext, aboveFloor }
+ *          - nextBand / toNext: the better band and the points needed to
+ *            reach it (null when already Low Risk)
+ *          - aboveFloor: points the score can lose before dropping a band
+ *            (null when already High Risk)
+ */
+function getThresholdDistances(customer, thresholds = RISK_THRESHOLDS) {
+    // Bands from best to worst, with the score each one starts at
+    const floors = [
+        { band: 'low', floor: thresholds.low },
+        { band: 'moderate', floor: thresholds.moderate },
+        { band: 'elevated', floor: thresholds.elevated },
+        { band: 'high', floor: -Infinity }
+    ];
+    const round = value => Math.round(value * 10) / 10;
+    const distances = {};
+
+    CRITERIA.forEach(criterion => {
+        const score = customer[criterion];
+        const index = floors.findIndex(level => score >= level.floor);
+        const better = index > 0 ? floors[index - 1] : null;
+
+        distances[criterion] = {
+            score,
+            band: floors[index].band,
+            nextBand: better ? better.band : null,
+            toNext: better ? round(better.floor - score) : null,
+            aboveFloor: floors[index].floor === -Infinity ? null : round(score - floors[index].floor)
+        };
+    });
+
+    return distances;
+}
+
+/**
+ * Finds the customers with the closest score profiles
+ *
+ * @param {Object} record - Customer to compare against
+ * @param {Array} data - Customers to search
+ * @param {number} count - How many to return
+ * @returns {Array} [{ record, distance }] nearest first, excluding the customer
+ *
+ * METHODOLOGY:
+ * Euclidean distance between the four criterion scores (unweighted, so
+ * similarity does not change with the policy's weights).
+ */
+function findSimilarCustomers(record, data, count = 5) {
+    return data
+        .filter(other => other.customer_id !== record.customer_id)
+        .map(other => ({
+            record: other,
+            distance: Math.round(Math.sqrt(CRITERIA.reduce(
+                (sum, criterion) => sum + Math.pow(other[criterion] - record[criterion], 2), 0
+            )) * 10) / 10
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, count);
+}
+
+// ============================================================================
+// OUTCOME BACKTESTING
+// ============================================================================
+
+/**
+ * Required columns of a performance outcomes file (loss_amount is optional)
+ */
+const OUTCOME_COLUMNS = ['customer_id', 'defaulted'];
+
+/**
+ * Accepted spellings of the defaulted flag, compared lowercase
+ */
+const DEFAULT_FLAG_VALUES = {
+    true: ['1', 'true', 'yes', 'y'],
+    false: ['0', 'false', 'no', 'n']
+};
+
+/**
+ * Scores measured for discrimination: the combined score, then each criterion
+ */
+const BACKTEST_SCORES = ['combined_score', ...CRITERIA];
+
+/**
+ * Validates parsed outcome rows (customer_id, defaulted[, loss_amount])
+ *
+ * @param {Array} rows - Parsed rows keyed by source header
+ * @returns {Object} { outcomes, errors, missingColumns, hasLoss }
+ *          - outcomes: customer_id -> { defaulted, loss } (loss null when
+ *            not given)
+ *          - errors: same shape as validateRecords errors; rows with a
+ *            problem are skipped
+ *
+ * VALIDATION:
+ * - defaulted must be 1/0, true/false, yes/no or y/n
+ * - loss_amount, when given, must be a number >= 0
+ * - customer_id must be present and unique (first occurrence kept)
+ */
+function validateOutcomes(rows) {
+    const columns = Object.keys(rows[0] || {}).map(normalizeColumnName);
+    const missingColumns = OUTCOME_COLUMNS.filter(col => !columns.includes(col));
+
+    if (missingColumns.length > 0) {
+        return { outcomes: {}, errors: [], missingColumns, hasLoss: false };
+    }
+
+    const hasLoss = columns.includes('loss_amount');
+    const outcomes = {};
+    const errors = [];
+
+    rows.forEach((raw, index) => {
+        const row = {};
+        Object.keys(raw).forEach(key => {
+            row[normalizeColumnName(key)] = raw[key] == null ? '' : String(raw[key]).trim();
+        });
+
+        const customerId = row.customer_id || '';
+        const flag = (row.defaulted || '').toLowerCase();
+        const rowErrors = [];
+
+        if (!customerId) {
+            rowErrors.push({ column: 'customer_id', value: '', reason: 'Missing customer_id' });
+        } else if (outcomes[customerId]) {
+            rowErrors.push({ column: 'customer_id', value: customerId, reason: 'Duplicate customer_id (first occurrence kept)' });
+        }
+
+        if (!DEFAULT_FLAG_VALUES.true.includes(flag) && !DEFAULT_FLAG_VALUES.false.includes(flag)) {
+            rowErrors.push({ column: 'defaulted', value: row.defaulted || '', reason: flag === '' ? 'Missing value' : 'Not a default flag (1/0, true/false, yes/no)' });
+        }
+
+        let loss = null;
+        if (hasLoss && row.loss_amount !== '') {
+            loss = Number(row.loss_amount);
+            if (!Number.isFinite(loss) || loss < 0) {
+                rowErrors.push({ column: 'loss_amount', value: row.loss_amount, reason: 'Not an amount >= 0' });
+            }
+        }
+
+        if (rowErrors.length > 0) {
+            rowErrors.forEach(error => {
+                errors.push({ row: index + 2, customer_id: customerId, ...error, action: 'Row skipped' });
+            });
+            return;
+        }
+
+        outcomes[customerId] = { defaulted: DEFAULT_FLAG_VALUES.true.includes(flag), loss };
+    });
+
+    return { outcomes, errors, missingColumns: [], hasLoss };
+}
+
+/**
+ * Measures how well a score separates defaulters from non-defaulters
+ *
+ * @param {Array} observations - [{ score, defaulted }]
+ * @returns {Object|null} { auc, ks, ksScore, gini, roc, gains }, or null
+ *          when there are no defaulters or no non-defaulters
+ *          - roc: [{ x: share of non-defaulters, y: share of defaulters }]
+ *          - gains: [{ x: share of customers, y: share of defaulters }]
+ *
+ * METHODOLOGY:
+ * Higher scores mean lower risk, so customers are ranked from the lowest
+ * score up, as a cut-off would decline them. Tied scores move together.
+ * - AUC: area under the ROC curve = probability that a random defaulter
+ *   scores below a random non-defaulter (ties count half)
+ * - KS: largest gap between the cumulative shares of defaulters and
+ *   non-defaulters; ksScore is the score where it occurs
+ * - Gini: 2 x AUC - 1 (0 = random, 1 = perfect)
+ */
+function measureDiscrimination(observations) {
+    const bads = observations.filter(o => o.defaulted).length;
+    const goods = observations.length - bads;
+    if (bads === 0 || goods === 0) return null;
+
+    const sorted = [...observations].sort((a, b) => a.score - b.score);
+    const roc = [{ x: 0, y: 0 }];
+    const gains = [{ x: 0, y: 0 }];
+    let cumBads = 0;
+    let cumGoods = 0;
+    let auc = 0;
+    let ks = 0;
+    let ksScore = null;
+
+    for (let i = 0; i < sorted.length;) {
+        const score = sorted[i].score;
+        const previous = roc[roc.length - 1];
+
+        while (i < sorted.length && sorted[i].score === score) {
+            if (sorted[i].defaulted) cumBads++; else cumGoods++;
+            i++;
+        }
+
+        const point = { x: cumGoods / goods, y: cumBads / bads };
+        auc += (point.x - previous.x) * (point.y + previous.y) / 2;
+        if (point.y - point.x > ks) {
+            ks = point.y - point.x;
+            ksScore = score;
+        }
+
+        roc.push(point);
+        gains.push({ x: (cumBads + cumGoods) / sorted.length, y: point.y });
+    }
+
+    return { auc, ks, ksScore, gini: 2 * auc - 1, roc, gains };
+}
+
+/**
+ * Joins performance outcomes to processed records and backtests the scores
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} outcomes - customer_id -> { defaulted, loss } (validateOutcomes)
+ * @returns {Object} { matched, defaults, defaultRate, loss, unmatchedOutcomes,
+ *          unmatchedRecords, byDecision, byRiskLevel, metrics }
+ *          - byDecision / byRiskLevel: state -> { count, defaults, rate, loss }
+ *            (rate null when there are no customers)
+ *          - metrics: [{ key, ...measureDiscrimination }] for BACKTEST_SCORES
+ *            (just { key } when the outcomes are all one kind)
+ *
+ * Only customers with an outcome are counted; loss sums the given amounts.
+ */
+function summarizeBacktest(data, outcomes) {
+    const joined = data
+        .filter(d => outcomes[d.customer_id])
+        .map(d => ({ record: d, ...outcomes[d.customer_id] }));
+
+    const group = (field, states) => {
+        const groups = {};
+        states.forEach(state => {
+            const members = joined.filter(j => j.record[field] === state);
+            const defaults = members.filter(j => j.defaulted).length;
+            groups[state] = {
+                count: members.length,
+                defaults,
+                rate: members.length > 0 ? defaults / members.length : null,
+                loss: members.reduce((sum, j) => sum + (j.loss || 0), 0)
+            };
+        });
+        return groups;
+    };
+
+    const defaults = joined.filter(j => j.defaulted).length;
+
+    return {
+        matched: joined.length,
+        defaults,
+        defaultRate: joined.length > 0 ? defaults / joined.length : null,
+        loss: joined.reduce((sum, j) => sum + (j.loss || 0), 0),
+        unmatchedOutcomes: Object.keys(outcomes).length - joined.length,
+        unmatchedRecords: data.length - joined.length,
+        byDecision: group('decision', DECISIONS),
+        byRiskLevel: group('risk_level', RISK_LEVELS),
+        metrics: BACKTEST_SCORES.map(key => ({
+            key,
+            ...measureDiscrimination(joined.map(j => ({ score: j.record[key], defaulted: j.defaulted })))
+        }))
+    };
+}
+
+/**
+ * Threshold values searched by optimizeThresholds (every combination with
+ * elevated < moderate < low)
+ */
+const OPTIMIZATION_GRID = Object.freeze({ min: 20, max: 90, step: 5 });
+
+/**
+ * What optimizeThresholds maximizes or minimizes
+ * - profit: revenue from approved non-defaulters less losses on approved defaulters
+ * - bad_rate: lowest default rate among approved customers at or above a
+ *   target approval rate
+ */
+const OPTIMIZATION_OBJECTIVES = ['profit', 'bad_rate'];
+
+/**
+ * Approval rate, bad rate and profit of one threshold set on customers with
+ * known outcomes
+ *
+ * @param {Array} rawData - Customers with an outcome
+ * @param {Object} policy - Policy whose rules and thresholds are applied
+ * @param {Object} outcomes - customer_id -> { defaulted }
+ * @param {Object} economics - { revenuePerGood, lossPerBad }
+ * @returns {Object} { thresholds, approved, approvalRate, bads, badRate, profit }
+ *
+ * Approved means the approve outcome group (Auto Approve), as in the
+ * approval rate shown everywhere else. badRate is null when none are approved.
+ */
+function evaluateThresholdOutcome(rawData, policy, outcomes, economics) {
+    let approved = 0;
+    let bads = 0;
+
+    rawData.forEach(customer => {
+        if (!OUTCOME_GROUPS.approve.includes(determineDecision(customer, policy).decision)) return;
+        approved++;
+        if (outcomes[customer.customer_id].defaulted) bads++;
+    });
+
+    return {
+        thresholds: policy.thresholds,
+        approved,
+        approvalRate: rawData.length > 0 ? approved / rawData.length : 0,
+        bads,
+        badRate: approved > 0 ? bads / approved : null,
+        profit: (approved - bads) * economics.revenuePerGood - bads * economics.lossPerBad
+    };
+}
+
+/**
+ * Searches threshold sets for the best trade-off between approvals and defaults
+ *
+ * @param {Array} rawData - Customer data (only customers with an outcome are used)
+ * @param {Object} policy - Active policy; its rules and weights are kept
+ * @param {Object} outcomes - customer_id -> { defaulted } (validateOutcomes)
+ * @param {Object} options - { objective, revenuePerGood, lossPerBad, targetApprovalRate }
+ * @returns {Object} { matched, current, candidates, frontier, best }
+ *          - current: evaluateThresholdOutcome of the policy's own thresholds
+ *          - candidates: every threshold set on OPTIMIZATION_GRID
+ *          - frontier: candidates no other beats on both approval rate and
+ *            bad rate, by approval rate
+ *          - best: the suggested candidate, or null when no candidate
+ *            reaches the target approval rate
+ *
+ * METHODOLOGY:
+ * Exhaustive grid search: every candidate re-runs the policy rules with its
+ * thresholds over the customers with known outcomes. Candidates that
+ * approve nobody have no bad rate and are left off the frontier.
+ */
+function optimizeThresholds(rawData, policy, outcomes, options) {
+    const known = rawData.filter(customer => outcomes[customer.customer_id]);
+    const evaluate = thresholds => evaluateThresholdOutcome(known, { ...policy, thresholds }, outcomes, options);
+
+    const candidates = [];
+    const { min, max, step } = OPTIMIZATION_GRID;
+    for (let elevated = min; elevated <= max; elevated += step) {
+        for (let moderate = elevated + step; moderate <= max; moderate += step) {
+            for (let low = moderate + step; low <= max; low += step) {
+                candidates.push(evaluate({ low, moderate, elevated, high: 0 }));
+            }
+        }
+    }
+
+    // Highest approval first; keep each candidate with a lower bad rate than all before it
+    const frontier = [];
+    candidates
+        .filter(candidate => candidate.badRate !== null)
+        .sort((a, b) => b.approvalRate - a.approvalRate || a.badRate - b.badRate)
+        .forEach(candidate => {
+            const last = frontier[frontier.length - 1];
+            if (!last || candidate.badRate < last.badRate) frontier.push(candidate);
+        });
+    frontier.reverse();
+
+    let best = null;
+    if (options.objective === 'bad_rate') {
+        best = frontier
+            .filter(candidate => candidate.approvalRate >= options.targetApprovalRate)
+            .sort((a, b) => a.badRate - b.badRate || b.approvalRate - a.approvalRate)[0] || null;
+    } else {
+        best = [...candidates].sort((a, b) => b.profit - a.profit || b.approvalRate - a.approvalRate)[0] || null;
+    }
+
+    return {
+        matched: known.length,
+        current: evaluate(policy.thresholds),
+        candidates,
+        frontier,
+        best
+    };
+}
+
+// ============================================================================
+// FAIR LENDING ANALYSIS
+// ============================================================================
+
+/**
+ * Disparate impact analysis of the auto-approval rate across the groups of
+ * a monitored attribute (a segment column such as age band or geography)
+ *
+ * @param {Array} data - Processed customer data
+ * @param {string} attribute - Segment dimension to monitor
+ * @param {string|null} reference - Reference group value; default is the
+ *        non-blank group with the highest approval rate among groups of at
+ *        least minGroupSize customers (all non-blank groups if none is that large)
+ * @returns {Object} { attribute, reference, referenceRate, referenceFallback,
+ *          requestedReference, groups, flagged }
+ *          referenceFallback is true when `reference` names no group and the
+ *          default was used instead (requestedReference keeps the value asked for)
+ *          groups: [{ value, total, approvalRate, denyRate, air, z,
+ *          significant, flagged, small, scores, drivers }], largest first
+ *
+ * METHODOLOGY:
+ * - Approval rate: share of the group decided Auto Approve
+ * - Adverse impact ratio (AIR): group approval rate / reference approval
+ *   rate; below 0.8 fails the four-fifths rule and is flagged
+ * - z: two-proportion z-test of the group against the reference (pooled
+ *   rate); reported next to the AIR because small groups swing widely
+ * - Scores: mean and quartiles of each criterion and the combined score
+ * - Drivers: see findDisparityDrivers
+ * The analysis only reads scored records. Monitored attributes are never
+ * inputs to scoring or the policy, so nothing here changes a decision.
+ */
+function analyzeDisparateImpact(data, attribute, reference = null) {
+    const { fourFifths, zCritical, minGroupSize } = FAIR_LENDING;
+    const byValue = new Map();
+    data.forEach(d => {
+        const value = (d.segments && d.segments[attribute]) || '';
+        if (!byValue.has(value)) byValue.set(value, []);
+        byValue.get(value).push(d);
+    });
+
+    const groups = [...byValue.entries()].map(([value, records]) => {
+        const rates = calculateOutcomeRates(records);
+        return {
+            value,
+            records,
+            total: records.length,
+            approvalRate: rates.approve,
+            denyRate: rates.deny,
+            small: records.length < minGroupSize,
+            scores: summarizeGroupScores(records)
+        };
+    }).sort((a, b) => b.total - a.total || a.value.localeCompare(b.value));
+
+    const named = groups.filter(group => group.value !== '');
+    const candidates = named.some(group => !group.small) ? named.filter(group => !group.small) : named;
+    const requestedGroup = reference === null ? null : groups.find(group => group.value === reference) || null;
+    const referenceGroup = requestedGroup ||
+        [...candidates].sort((a, b) => b.approvalRate - a.approvalRate)[0] || null;
+
+    groups.forEach(group => {
+        const isReference = group === referenceGroup;
+        const ref = referenceGroup;
+
+        group.air = ref && ref.approvalRate > 0 ? group.approvalRate / ref.approvalRate : null;
+        group.z = ref && !isReference ? twoProportionZ(group.approvalRate, group.total, ref.approvalRate, ref.total) : null;
+        group.significant = group.z !== null && Math.abs(group.z) >= zCritical;
+        group.flagged = !isReference && group.air !== null && group.air < fourFifths;
+        group.drivers = ref && !isReference ? findDisparityDrivers(group.records, ref.records) : [];
+    });
+
+    return {
+        attribute,
+        reference: referenceGroup ? referenceGroup.value : null,
+        referenceRate: referenceGroup ? referenceGroup.approvalRate : null,
+        referenceFallback: reference !== null && !requestedGroup,
+        requestedReference: reference,
+        groups: groups.map(({ records, ...group }) => group),
+        flagged: groups.filter(group => group.flagged).map(group => group.value)
+    };
+}
+
+/**
+ * Mean and quartiles of each criterion and the combined score for a group
+ *
+ * @param {Array} records - Processed records of one group
+ * @returns {Object} { [criterion|'combined_score']: { mean, q1, median, q3 } }
+ */
+function summarizeGroupScores(records) {
+    const summary = {};
+    [...CRITERIA, 'combined_score'].forEach(key => {
+        const values = records.map(d => d[key]).sort((a, b) => a - b);
+        const half = Math.floor(values.length / 2);
+        summary[key] = {
+            mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10,
+            q1: median(values.slice(0, half)),
+            median: median(values),
+            q3: median(values.slice(values.length - half))
+        };
+    });
+    return summary;
+}
+
+/**
+ * Two-proportion z statistic (pooled), negative when the first rate is lower
+ *
+ * @param {number} rate - Group rate
+ * @param {number} total - Group size
+ * @param {number} referenceRate - Reference rate
+ * @param {number} referenceTotal - Reference size
+ * @returns {number|null} z, or null when the pooled rate is 0 or 1
+ */
+function twoProportionZ(rate, total, referenceRate, referenceTotal) {
+    const pooled = (rate * total + referenceRate * referenceTotal) / (total + referenceTotal);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / total + 1 / referenceTotal));
+    return se > 0 ? (rate - referenceRate) / se : null;
+}
+
+/**
+ * Policy rules behind a group's lower approval rate
+ *
+ * @param {Array} records - Processed records of the group
+ * @param {Array} referenceRecords - Processed records of the reference group
+ * @returns {Array} [{ rule, decision, share, referenceShare, gap }] for
+ *          non-approving rules that decide a larger share of the group than
+ *          of the reference, biggest gap first
+ *
+ * LOGIC:
+ * Every record is decided by exactly one rule (or DEFAULT), so the approval
+ * gap between the groups equals the sum over non-approving rules of
+ * (group share - reference share). The rules with the largest positive
+ * differences are the ones driving the disparity.
+ */
+function findDisparityDrivers(records, referenceRecords) {
+    const shares = list => {
+        const counts = new Map();
+        list.forEach(d => {
+            if (OUTCOME_GROUPS.approve.includes(d.decision)) return;
+            const key = `${d.decision_rule}\u0000${d.decision}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return new Map([...counts].map(([key, count]) => [key, count / list.length]));
+    };
+
+    const group = shares(records);
+    const reference = shares(referenceRecords);
+
+    return [...group.keys()]
+        .map(key => {
+            const [rule, decision] = key.split('\u0000');
+            const share = group.get(key);
+            const referenceShare = reference.get(key) || 0;
+            return { rule, decision, share, referenceShare, gap: share - referenceShare };
+        })
+        .filter(driver => driver.gap > 0)
+        .sort((a, b) => b.gap - a.gap);
+}
+
+// ============================================================================
+// UNDERWRITER REVIEW
+// ============================================================================
+
+/**
+ * Final decisions an underwriter can record, and the states of a queued record
+ */
+const REVIEW_OUTCOMES = ['Approve', 'Counter', 'Decline'];
+const REVIEW_STATUSES = ['pending', 'in progress', 'decided'];
+
+/**
+ * Outcome each system decision recommends
+ *
+ * Auto decisions become final as they are. Elevated Risk carries an elevated
+ * criterion, so the policy recommends Decline and an approval overrides it.
+ * Manual Review recommends nothing (null): the policy leaves the call to the
+ * underwriter, so none of its outcomes is an override.
+ */
+const SYSTEM_RECOMMENDATIONS = {
+    'Auto Approve': 'Approve',
+    'Manual Review': null,
+    'Elevated Risk': 'Decline',
+    'Auto Deny': 'Decline'
+};
+
+/**
+ * Whether a record goes to the underwriter review queue
+ *
+ * @param {Object} record - Processed customer record
+ * @returns {boolean} True for Manual Review and Elevated Risk decisions
+ */
+function needsReview(record) {
+    return OUTCOME_GROUPS.review.includes(record.decision);
+}
+
+/**
+ * Validates an underwriter review
+ *
+ * @param {Object} review - { status, assignee, decision, reviewer, note }
+ * @returns {Array} Error messages (empty when valid)
+ *
+ * RULES:
+ * - status must be one of REVIEW_STATUSES
+ * - a decided review needs a final decision, a reviewer name and a note
+ */
+function validateReview(review) {
+    const errors = [];
+    const isBlank = value => !value || String(value).trim() === '';
+
+    if (!REVIEW_STATUSES.includes(review.status)) {
+        errors.push(`Status must be one of ${REVIEW_STATUSES.join(', ')}`);
+    }
+    if (review.status === 'decided') {
+        if (!REVIEW_OUTCOMES.includes(review.decision)) {
+            errors.push(`Final decision must be one of ${REVIEW_OUTCOMES.join(', ')}`);
+        }
+        if (isBlank(review.reviewer)) errors.push('Reviewer name is required');
+        if (isBlank(review.note)) errors.push('A note is required for every final decision');
+    }
+
+    return errors;
+}
+
+/**
+ * Review status of a record
+ *
+ * @param {Object} record - Processed customer record
+ * @param {Object} [review] - Stored review for the customer
+ * @returns {string} One of REVIEW_STATUSES, or '' when not queued
+ */
+function getReviewStatus(record, review) {
+    if (!needsReview(record)) return '';
+    return review ? review.status : 'pending';
+}
+
+/**
+ * Final decision of a record
+ *
+ * @param {Object} record - Processed customer record
+ * @param {Object} [review] - Stored review for the customer
+ * @returns {string} Approve / Counter / Decline, or '' while a queued record
+ *   is undecided
+ */
+function getFinalDecision(record, review) {
+    if (!needsReview(record)) return SYSTEM_RECOMMENDATIONS[record.decision];
+    return review && review.status === 'decided' ? review.decision : '';
+}
+
+/**
+ * Whether a final decision overrides the system recommendation
+ *
+ * @param {Object} record - Processed customer record
+ * @param {string} finalDecision - Final decision, '' while undecided
+ * @returns {boolean} False while undecided and for system decisions that
+ *   recommend nothing (see SYSTEM_RECOMMENDATIONS)
+ */
+function isOverride(record, finalDecision) {
+    const recommendation = SYSTEM_RECOMMENDATIONS[record.decision];
+    return Boolean(finalDecision) && recommendation !== null && finalDecision !== recommendation;
+}
+
+/**
+ * Summarizes the review queue and underwriter overrides
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} reviews - Reviews keyed by customer_id
+ * @returns {Object} { queued, statuses, decided, compared, overrides,
+ *          overrideRate, finalCounts, byDecision }
+ *          - compared: decided reviews of system decisions that recommend
+ *            an outcome (the override rate's denominator)
+ *          - statuses: count per REVIEW_STATUSES entry
+ *          - finalCounts: count per REVIEW_OUTCOMES entry plus Pending, over
+ *            the whole portfolio (auto decisions count as final)
+ *          - byDecision: { queued, decided, overrides, overrideRate } per
+ *            queued system decision
+ *
+ * OVERRIDE RATE:
+ * Decided reviews whose final decision differs from the system
+ * recommendation (isOverride), as a fraction of the decided reviews that
+ * had one. Manual Review recommends nothing, so its rate is null and its
+ * reviews are left out of the overall rate; null also while nothing is
+ * decided. Reviews kept for customers no longer in the queue (e.g. after a
+ * policy change) are ignored.
+ */
+function summarizeReviews(data, reviews = {}) {
+    const statuses = {};
+    REVIEW_STATUSES.forEach(status => { statuses[status] = 0; });
+    const finalCounts = { Pending: 0 };
+    REVIEW_OUTCOMES.forEach(outcome => { finalCounts[outcome] = 0; });
+    const byDecision = {};
+    OUTCOME_GROUPS.review.forEach(decision => {
+        byDecision[decision] = { queued: 0, decided: 0, overrides: 0, overrideRate: null };
+    });
+
+    data.forEach(record => {
+        const review = reviews[record.customer_id];
+        const finalDecision = getFinalDecision(record, review);
+        finalCounts[finalDecision || 'Pending']++;
+
+        if (!needsReview(record)) return;
+
+        const group = byDecision[record.decision];
+        statuses[getReviewStatus(record, review)]++;
+        group.queued++;
+        if (finalDecision) {
+            group.decided++;
+            if (isOverride(record, finalDecision)) group.overrides++;
+        }
+    });
+
+    const total = { queued: 0, decided: 0, compared: 0, overrides: 0 };
+    Object.entries(byDecision).forEach(([decision, group]) => {
+        const recommends = SYSTEM_RECOMMENDATIONS[decision] !== null;
+        if (recommends && group.decided > 0) group.overrideRate = group.overrides / group.decided;
+        total.queued += group.queued;
+        total.decided += group.decided;
+        total.compared += recommends ? group.decided : 0;
+        total.overrides += group.overrides;
+    });
+
+    return {
+        ...total,
+        overrideRate: total.compared > 0 ? total.overrides / total.compared : null,
+        statuses,
+        finalCounts,
+        byDecision
+    };
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * Events written to the audit log
+ *
+ * - import: a dataset was loaded (file or sample)
+ * - score: a dataset was scored with a policy
+ * - policy: the active policy changed
+ * - review: an underwriter recorded a review (overrides included)
+ */
+const AUDIT_EVENT_TYPES = ['import', 'score', 'policy', 'review'];
+
+/**
+ * prevHash of the first entry in a chain
+ */
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Serializes a value as JSON with object keys sorted, so the same content
+ * always hashes the same regardless of key order
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of a string
+ *
+ * @param {string} text - Text to hash (UTF-8)
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256Hex(text) {
+    const subtle = typeof crypto !== 'undefined' && crypto.subtle
+        ? crypto.subtle
+        : typeof require === 'function' ? require('crypto').webcrypto.subtle : null;
+    if (!subtle) {
+        throw new Error('SHA-256 is not available (Web Crypto needs HTTPS or localhost)');
+    }
+
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Fingerprint of an input dataset
+ *
+ * @param {Array} rows - Raw customer records
+ * @returns {Promise<string>} SHA-256 hex of the canonical JSON
+ */
+function hashDataset(rows) {
+    return sha256Hex(canonicalJSON(rows));
+}
+
+/**
+ * Content version of a policy: the first 12 hex digits of its SHA-256
+ *
+ * Two policies with the same rules, thresholds and weights share a version
+ * whatever their name or when they were saved.
+ *
+ * @param {Object} policy - Decision policy
+ * @returns {Promise<string>} Version string
+ */
+async function getPolicyVersion(policy) {
+    return (await sha256Hex(canonicalJSON(normalizePolicy(policy)))).slice(0, 12);
+}
+
+/**
+ * Hash of an audit entry: SHA-256 of every field except `hash` itself
+ *
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>} Hex digest
+ */
+function hashAuditEntry(entry) {
+    const { hash, ...content } = entry;
+    return sha256Hex(canonicalJSON(content));
+}
+
+/**
+ * Creates the next entry of a hash chain
+ *
+ * @param {Object|null} previous - Last entry in the log (null for the first)
+ * @param {Object} fields - { timestamp, type, user, summary, inputHash,
+ *   policyName, policyVersion, counts, details, ... }
+ * @returns {Promise<Object>} Entry with seq, prevHash and hash
+ *
+ * CHAIN:
+ * Each entry stores the previous entry's hash and is hashed including it,
+ * so editing, removing or reordering any entry breaks every hash after it.
+ */
+async function createAuditEntry(previous, fields) {
+    const entry = {
+        seq: previous ? previous.seq + 1 : 1,
+        ...fields,
+        prevHash: previous ? previous.hash : AUDIT_GENESIS_HASH
+    };
+    entry.hash = await hashAuditEntry(entry);
+    return entry;
+}
+
+/**
+ * Verifies an audit log's hash chain
+ *
+ * @param {Array} entries - Entries in log order
+ * @returns {Promise<Object>} { valid, count, headHash, problems: [{ seq, reason }] }
+ *
+ * CHECKS:
+ * - seq runs 1, 2, 3... without gaps
+ * - each prevHash equals the hash of the entry before it
+ * - each hash matches the entry's content
+ */
+async function verifyAuditLog(entries) {
+    const problems = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const expectedPrev = i === 0 ? AUDIT_GENESIS_HASH : entries[i - 1].hash;
+
+        if (entry.seq !== i + 1) {
+            problems.push({ seq: entry.seq, reason: `expected sequence number ${i + 1}` });
+        }
+        if (entry.prevHash !== expectedPrev) {
+            problems.push({ seq: entry.seq, reason: 'previous-hash link broken (entry removed, inserted or reordered)' });
+        }
+        if (entry.hash !== await hashAuditEntry(entry)) {
+            problems.push({ seq: entry.seq, reason: 'content does not match its hash (entry edited)' });
+        }
+    }
+
+    return {
+        valid: problems.length === 0,
+        count: entries.length,
+        headHash: entries.length > 0 ? entries[entries.length - 1].hash : AUDIT_GENESIS_HASH,
+        problems
+    };
+}
+
+/**
+ * Serializes the audit log for export: { metadata, entries }
+ *
+ * @param {Array} entries - Entries in log order
+ * @returns {string} JSON text
+ */
+function formatAuditExport(entries) {
+    return JSON.stringify({
+        metadata: {
+            generator: 'Cash-Flow Risk Assessment Model',
+            exportedAt: new Date().toISOString(),
+            entryCount: entries.length,
+            headHash: entries.length > 0 ? entries[entries.length - 1].hash : AUDIT_GENESIS_HASH
+        },
+        entries
+    }, null, 2);
+}
+
+/**
+ * Reads an exported audit log
+ *
+ * @param {string} text - File contents ({ metadata, entries } or an array)
+ * @returns {Array} Entries in file order
+ * @throws {Error} If the file holds no audit entries
+ */
+function parseAuditLog(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.entries;
+    if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry.hash !== 'string')) {
+        throw new Error('File is not an exported audit log');
+    }
+
+    return entries;
+}
+
+// ============================================================================
+// TRANSACTION LEDGER DERIVATION
+// ============================================================================
+
+/**
+ * Columns a raw transaction ledger must provide; `balance` is optional and
+ * only feeds the negative-balance count
+ *
+ * SIGN CONVENTION:
+ * amount > 0 is a credit (money in), amount < 0 a debit (money out)
+ */
+const LEDGER_COLUMNS = ['customer_id', 'date', 'amount', 'description'];
+
+/**
+ * Description patterns used to classify ledger lines. Whole words only, so
+ * "rent" does not match "current" nor "lease" "release".
+ * nonIncome marks credits that are not income: transfers between the
+ * customer's own accounts, borrowed money and refunds.
+ */
+const LEDGER_PATTERNS = {
+    payroll: /\b(payroll|salary|direct dep\w*|dir dep|wages?|paycheck)\b/i,
+    obligation: /\b(loans?|mortgage|rent|insurance|credit card|card pmt|lease|installments?|utility|utilities|auto ?pay|student)\b/i,
+    nonIncome: /\b(transfer|xfer|tfr|from savings|loan proceeds|disbursement|advance|refund|reversal|chargeback|cash ?back)\b/i,
+    nsf: /\bnsf\b|insufficient funds|overdraft fee|\bod fee/i,
+    stopPayment: /stop pay/i,
+    achReturn: /ach return|returned (ach|item|payment)|return item|\bR0[1-9]\b/i
+};
+
+/**
+ * Scoring anchors for the derived criteria
+ *
+ * METHODOLOGY:
+ * - transaction_history: 60% tenure (full marks at 24 months of history),
+ *   40% activity (full marks at 30 transactions per month)
+ * - affordability: recurring obligations as a share of income; full marks
+ *   at 20% or less, zero at 80% or more, linear between. No income = 0.
+ *   Income is every credit except transfers, loan proceeds and refunds
+ *   (LEDGER_PATTERNS.nonIncome); payroll credits always count
+ * - employment: 50% payroll coverage (share of observed months with a
+ *   payroll credit), 50% regularity (1 - coefficient of variation of the
+ *   days between payroll credits; needs at least 3 credits)
+ * - behavior: starts at 100, minus a penalty per NSF, stop-payment or ACH
+ *   return event and per day with a negative balance
+ */
+const DERIVATION_SETTINGS = {
+    fullTenureMonths: 24,
+    fullActivityPerMonth: 30,
+    obligationRatioBest: 0.2,
+    obligationRatioWorst: 0.8,
+    recurringMinMonths: 3,
+    recurringAmountSpread: 0.25,
+    penalties: { nsf: 15, stopPayment: 20, achReturn: 20, negativeBalanceDay: 2 }
+};
+
+/**
+ * Average days per month, for tenure and monthly rates
+ */
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Whether parsed headers describe a transaction ledger rather than
+ * pre-computed scores
+ *
+ * @param {Array} headers - Source column headers
+ * @returns {boolean} True when every ledger column is present and the
+ *   criterion columns are not
+ */
+function isLedgerFormat(headers) {
+    const normalized = headers.map(normalizeColumnName);
+    return LEDGER_COLUMNS.every(col => normalized.includes(col)) &&
+        !CRITERIA.every(col => normalized.includes(col));
+}
+
+/**
+ * Derives the four criterion scores per customer from ledger lines
+ *
+ * @param {Array} rows - Parsed ledger rows keyed by source header
+ * @param {string} mode - One of VALIDATION_MODES; lines cannot be imputed,
+ *   so 'impute' skips bad lines like 'skip'
+ * @returns {Object} Same shape as validateRecords (no segment columns), with
+ *   a `features` object on every record and `lineCount` (valid ledger lines used)
+ *
+ * DATA TRANSFORMATION:
+ * 1. Validate each line (customer_id, parseable date, numeric amount)
+ * 2. Group lines by customer and sort by date
+ * 3. Compute features (deriveFeatures) and scores (scoreFeatures)
+ */
+function deriveCriteria(rows, mode = 'skip') {
+    const columns = Object.keys(rows[0] || {}).map(normalizeColumnName);
+    const missingColumns = LEDGER_COLUMNS.filter(col => !columns.includes(col));
+
+    if (missingColumns.length > 0) {
+        return { data: [], errors: [], invalidRowCount: 0, imputedCount: 0, rejected: true, missingColumns, segmentColumns: [], skippedColumns: [], lineCount: 0 };
+    }
+
+    const errors = [];
+    const byCustomer = new Map();
+    let lineCount = 0;
+
+    rows.forEach((row, index) => {
+        const normalized = {};
+        Object.keys(row).forEach(key => {
+            normalized[normalizeColumnName(key)] = row[key];
+        });
+
+        const customerId = String(normalized.customer_id == null ? '' : normalized.customer_id).trim();
+        const dateText = String(normalized.date == null ? '' : normalized.date).trim();
+        const amountText = String(normalized.amount == null ? '' : normalized.amount).trim();
+        const balanceText = String(normalized.balance == null ? '' : normalized.balance).trim();
+
+        const time = parseLedgerDate(normalized.date instanceof Date ? normalized.date : dateText);
+        const amount = parseAmount(amountText);
+        const balance = balanceText === '' ? null : parseAmount(balanceText);
+
+        const lineErrors = [];
+        if (!customerId) lineErrors.push({ column: 'customer_id', value: '', reason: 'Missing customer_id' });
+        if (isNaN(time)) lineErrors.push({ column: 'date', value: dateText, reason: dateText ? 'Not an ISO date (YYYY-MM-DD)' : 'Missing value' });
+        if (amount === null) lineErrors.push({ column: 'amount', value: amountText, reason: amountText ? 'Not a number' : 'Missing value' });
+        if (balanceText !== '' && balance === null) lineErrors.push({ column: 'balance', value: balanceText, reason: 'Not a number' });
+
+        if (lineErrors.length > 0) {
+            lineErrors.forEach(error => errors.push({
+                row: index + 2,
+                customer_id: customerId,
+                ...error,
+                action: mode === 'reject' ? 'File rejected' : 'Line skipped'
+            }));
+            return;
+        }
+
+        if (!byCustomer.has(customerId)) byCustomer.set(customerId, []);
+        byCustomer.get(customerId).push({
+            time,
+            amount,
+            balance,
+            description: String(normalized.description || '')
+        });
+        lineCount++;
+    });
+
+    const invalidRowCount = new Set(errors.map(error => error.row)).size;
+    const rejected = mode === 'reject' && errors.length > 0;
+
+    const data = rejected ? [] : [...byCustomer.entries()].map(([customerId, lines]) => {
+        lines.sort((a, b) => a.time - b.time);
+        const features = deriveFeatures(lines);
+        return { customer_id: customerId, ...scoreFeatures(features), features };
+    });
+
+    return { data, errors, invalidRowCount, imputedCount: 0, rejected, missingColumns: [], segmentColumns: [], skippedColumns: [], lineCount };
+}
+
+/**
+ * ISO date, optionally with a time and a UTC offset
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Parses a ledger date as UTC, so months are bucketed the same on every
+ * machine whatever its time zone
+ *
+ * @param {string|Date} value - ISO date text, or a spreadsheet Date cell
+ * @returns {number} Milliseconds since the epoch, NaN when not a valid date
+ *
+ * ACCEPTED:
+ * - YYYY-MM-DD, optionally with a time; a time without an offset is UTC
+ * - Date cells from spreadsheets: their calendar date and time as shown
+ * Other formats (01/05/2024 is January or May) are rejected, not guessed.
+ */
+function parseLedgerDate(value) {
+    if (value instanceof Date) {
+        return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+            value.getHours(), value.getMinutes(), value.getSeconds());
+    }
+
+    const match = ISO_DATE_PATTERN.exec(value);
+    if (!match) return NaN;
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', offset] = match;
+    const time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+
+    // Date.UTC rolls 2024-02-30 over into March
+    const check = new Date(time);
+    if (check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day)) return NaN;
+
+    return offset ? Date.parse(value.replace(' ', 'T')) : time;
+}
+
+/**
+ * Parses a ledger amount, allowing currency symbols and thousands separators
+ *
+ * @param {string} text - Amount as written in the file
+ * @returns {number|null} Amount, or null when not a number
+ */
+function parseAmount(text) {
+    if (text === '') return null;
+
+    const value = Number(text.replace(/[$£€,\s]/g, ''));
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Computes cash-flow features from one customer's date-sorted ledger lines
+ *
+ * @param {Array} lines - [{ time, amount, balance, description }]
+ * @returns {Object} Feature values (see FEATURE_COLUMNS)
+ */
+function deriveFeatures(lines) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const first = lines[0].time;
+    const last = lines[lines.length - 1].time;
+
+    // At least one month, so a short extract is not annualized into extremes
+    const months = Math.max(1, (last - first) / dayMs / DAYS_PER_MONTH);
+    const monthKey = time => new Date(time).toISOString().slice(0, 7);
+    const observedMonths = new Set(lines.map(line => monthKey(line.time)));
+
+    const credits = lines.filter(line => line.amount > 0);
+    const debits = lines.filter(line => line.amount < 0);
+
+    // Income excludes money that is not earned: own-account transfers, loan
+    // proceeds and refunds (a new loan must not raise affordability)
+    const income = credits
+        .filter(line => LEDGER_PATTERNS.payroll.test(line.description) || !LEDGER_PATTERNS.nonIncome.test(line.description))
+        .reduce((sum, line) => sum + line.amount, 0);
+
+    // Recurring obligations: known obligation payees, or a bill-like payee
+    // (same description without digits, at most twice a month, similar
+    // amounts) debited in several distinct months. Card purchases at the
+    // same merchant are frequent and vary in amount, so they do not qualify.
+    const payeeKey = description => description.toLowerCase().replace(/[0-9#*\-/.]+/g, ' ').replace(/\s+/g, ' ').trim();
+    const payees = new Map();
+    debits.forEach(line => {
+        const key = payeeKey(line.description);
+        if (!payees.has(key)) payees.set(key, { months: new Set(), amounts: [] });
+        payees.get(key).months.add(monthKey(line.time));
+        payees.get(key).amounts.push(-line.amount);
+    });
+
+    const isRecurring = key => {
+        const { months: payeeMonths, amounts } = payees.get(key);
+        const middle = median(amounts);
+        return payeeMonths.size >= DERIVATION_SETTINGS.recurringMinMonths &&
+            amounts.length <= 2 * payeeMonths.size &&
+            (Math.max(...amounts) - Math.min(...amounts)) <= DERIVATION_SETTINGS.recurringAmountSpread * middle;
+    };
+
+    const obligations = debits
+        .filter(line => LEDGER_PATTERNS.obligation.test(line.description) || isRecurring(payeeKey(line.description)))
+        .reduce((sum, line) => sum - line.amount, 0);
+
+    const payroll = credits.filter(line => LEDGER_PATTERNS.payroll.test(line.description));
+    const payrollMonths = new Set(payroll.map(line => monthKey(line.time)));
+    const intervals = payroll.slice(1).map((line, i) => (line.time - payroll[i].time) / dayMs);
+    const meanInterval = intervals.length > 0 ? intervals.reduce((a, b) => a + b, 0) / intervals.length : 0;
+    const intervalCv = intervals.length >= 2 && meanInterval > 0
+        ? Math.sqrt(intervals.reduce((sum, d) => sum + Math.pow(d - meanInterval, 2), 0) / intervals.length) / meanInterval
+        : null;
+
+    const negativeDays = new Set(lines
+        .filter(line => line.balance !== null && line.balance < 0)
+        .map(line => new Date(line.time).toISOString().slice(0, 10)));
+
+    const round = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+    return {
+        tenure_months: round((last - first) / dayMs / DAYS_PER_MONTH, 1),
+        transactions_per_month: round(lines.length / months, 1),
+        monthly_income: round(income / months, 2),
+        monthly_obligations: round(obligations / months, 2),
+        obligation_ratio: income > 0 ? round(obligations / income, 3) : null,
+        payroll_deposits: payroll.length,
+        payroll_coverage: round(payrollMonths.size / observedMonths.size, 3),
+        payroll_interval_cv: intervalCv === null ? null : round(intervalCv, 3),
+        nsf_events: lines.filter(line => LEDGER_PATTERNS.nsf.test(line.description)).length,
+        stop_payments: lines.filter(line => LEDGER_PATTERNS.stopPayment.test(line.description)).length,
+        ach_returns: lines.filter(line => LEDGER_PATTERNS.achReturn.test(line.description)).length,
+        negative_balance_days: negativeDays.size
+    };
+}
+
+/**
+ * Converts derived features into the four 0-100 criterion scores
+ *
+ * @param {Object} features - Output of deriveFeatures
+ * @returns {Object} { transaction_history, affordability, employment, behavior }
+ */
+function scoreFeatures(features) {
+    const settings = DERIVATION_SETTINGS;
+    const clamp = value => Math.round(Math.min(100, Math.max(0, value)));
+
+    const tenure = Math.min(1, features.tenure_months / settings.fullTenureMonths);
+    const activity = Math.min(1, features.transactions_per_month / settings.fullActivityPerMonth);
+
+    let affordability = 0;
+    if (features.obligation_ratio !== null) {
+        const span = settings.obligationRatioWorst - settings.obligationRatioBest;
+        affordability = 100 * (settings.obligationRatioWorst - features.obligation_ratio) / span;
+    }
+
+    const regularity = features.payroll_interval_cv === null ? 0 : 1 - Math.min(1, features.payroll_interval_cv);
+
+    const behavior = 100 -
+        features.nsf_events * settings.penalties.nsf -
+        features.stop_payments * settings.penalties.stopPayment -
+        features.ach_returns * settings.penalties.achReturn -
+        features.negative_balance_days * settings.penalties.negativeBalanceDay;
+
+    return {
+        transaction_history: clamp(100 * (0.6 * tenure + 0.4 * activity)),
+        affordability: clamp(affordability),
+        employment: clamp(100 * (0.5 * features.payroll_coverage + 0.5 * regularity)),
+        behavior: clamp(behavior)
+    };
+}
+
+/**
+ * Derived feature columns: key, label (also the export header) and the
+ * criterion each one explains
+ */
+const FEATURE_COLUMNS = [
+    { key: 'tenure_months', label: 'Tenure (months)', criterion: 'transaction_history' },
+    { key: 'transactions_per_month', label: 'Transactions / month', criterion: 'transaction_history' },
+    { key: 'monthly_income', label: 'Monthly income', criterion: 'affordability' },
+    { key: 'monthly_obligations', label: 'Monthly obligations', criterion: 'affordability' },
+    { key: 'obligation_ratio', label: 'Obligation ratio', criterion: 'affordability' },
+    { key: 'payroll_deposits', label: 'Payroll deposits', criterion: 'employment' },
+    { key: 'payroll_coverage', label: 'Payroll coverage', criterion: 'employment' },
+    { key: 'payroll_interval_cv', label: 'Payroll interval CV', criterion: 'employment' },
+    { key: 'nsf_events', label: 'NSF events', criterion: 'behavior' },
+    { key: 'stop_payments', label: 'Stop payments', criterion: 'behavior' },
+    { key: 'ach_returns', label: 'ACH returns', criterion: 'behavior' },
+    { key: 'negative_balance_days', label: 'Negative balance days', criterion: 'behavior' }
+];
+
+// ============================================================================
+// TABLE QUERIES
+// ============================================================================
+
+/**
+ * Fields a table query can filter on
+ *
+ * TYPES:
+ * - range: { field, min, max } - inclusive, either bound may be null
+ * - set: { field, in: [values] } - record value is one of the values
+ * Segment columns are filtered with { segment: dimension, in: [values] }.
+ */
+const QUERY_FIELDS = {
+    transaction_history: { label: 'Transaction History', type: 'range' },
+    affordability: { label: 'Affordability', type: 'range' },
+    employment: { label: 'Employment', type: 'range' },
+    behavior: { label: 'Behavior', type: 'range' },
+    combined_score: { label: 'Combined Score', type: 'range' },
+    decision: { label: 'Decision', type: 'set', values: DECISIONS },
+    risk_level: { label: 'Risk Level', type: 'set', values: RISK_LEVELS }
+};
+
+/**
+ * Whether a query node filters nothing: a range without bounds, an empty
+ * value list, or a group of such conditions. Blank conditions are ignored,
+ * so a half-built filter never hides the whole table.
+ *
+ * @param {Object|null} condition - Query node
+ * @returns {boolean} True when the node is blank
+ */
+function isBlankQuery(condition) {
+    if (!condition) return true;
+
+    const children = condition.all || condition.any;
+    if (children) return children.every(isBlankQuery);
+
+    if (condition.in) return condition.in.length === 0;
+    return condition.min == null && condition.max == null;
+}
+
+/**
+ * Tests a processed record against a table query
+ *
+ * QUERY FORMAT (same all/any nodes as policy rule conditions):
+ * { all|any: [ { all|any: [condition, ...] }, ... ] }
+ * The outer node combines groups, each group combines its conditions.
+ *
+ * @param {Object} record - Processed customer record
+ * @param {Object|null} query - Query (null matches every record)
+ * @returns {boolean} Whether the record matches
+ */
+function matchesQuery(record, query) {
+    if (isBlankQuery(query)) return true;
+
+    const children = query.all || query.any;
+    if (children) {
+        const active = children.filter(child => !isBlankQuery(child));
+        return query.all
+            ? active.every(child => matchesQuery(record, child))
+            : active.some(child => matchesQuery(record, child));
+    }
+
+    if (query.segment) {
+        const value = (record.segments && record.segments[query.segment]) || '';
+        return query.in.includes(value);
+    }
+
+    const value = record[query.field];
+    if (query.in) return query.in.includes(value);
+    return (query.min == null || value >= query.min) && (query.max == null || value <= query.max);
+}
+
+/**
+ * Validates a table query (saved views, imported view files)
+ *
+ * @param {Object} query - Query to check
+ * @returns {Array} Error messages; empty when valid
+ */
+function validateQuery(query) {
+    const errors = [];
+    const isBound = value => value == null || (typeof value === 'number' && isFinite(value));
+
+    const checkNode = (node, depth) => {
+        const children = node && typeof node === 'object' && (node.all || node.any);
+        if (!Array.isArray(children)) {
+            errors.push(depth === 0 ? 'Query must be an "all" or "any" list of groups' : 'Each group must be an "all" or "any" list of conditions');
+            return;
+        }
+        children.forEach(child => (depth === 0 ? checkNode(child, 1) : checkLeaf(child)));
+    };
+
+    const checkLeaf = condition => {
+        if (!condition || typeof condition !== 'object') {
+            errors.push('Missing condition');
+        } else if (condition.segment !== undefined) {
+            if (typeof condition.segment !== 'string' || !Array.isArray(condition.in)) {
+                errors.push('Segment conditions need a segment name and an "in" list');
+            }
+        } else if (!QUERY_FIELDS[condition.field]) {
+            errors.push(`Unknown query field "${condition.field}"`);
+        } else if (QUERY_FIELDS[condition.field].type === 'set') {
+            if (!Array.isArray(condition.in) || !condition.in.every(value => QUERY_FIELDS[condition.field].values.includes(value))) {
+                errors.push(`${QUERY_FIELDS[condition.field].label} needs an "in" list of ${QUERY_FIELDS[condition.field].values.join(', ')}`);
+            }
+        } else if (!isBound(condition.min) || !isBound(condition.max)) {
+            errors.push(`${QUERY_FIELDS[condition.field].label} bounds must be numbers`);
+        } else if (condition.min != null && condition.max != null && condition.min > condition.max) {
+            errors.push(`${QUERY_FIELDS[condition.field].label} minimum is above its maximum`);
+        }
+    };
+
+    checkNode(query, 0);
+    return errors;
+}
+
+/**
+ * Describes a table query in plain text, e.g.
+ * "Decision is Auto Deny or Manual Review and Combined Score 40-60"
+ *
+ * @param {Object|null} query - Query
+ * @returns {string} Description ('' when the query is blank)
+ */
+function describeQuery(query) {
+    if (isBlankQuery(query)) return '';
+
+    const children = query.all || query.any;
+    if (children) {
+        const active = children.filter(child => !isBlankQuery(child));
+        return active.map(child => {
+            const text = describeQuery(child);
+            return (child.all || child.any) && active.length > 1 ? `(${text})` : text;
+        }).join(query.all ? ' and ' : ' or ');
+    }
+
+    if (query.segment) return `${query.segment} is ${query.in.map(value => value || '(blank)').join(' or ')}`;
+
+    const label = QUERY_FIELDS[query.field].label;
+    if (query.in) return `${label} is ${query.in.join(' or ')}`;
+    if (query.min == null) return `${label} ≤ ${query.max}`;
+    if (query.max == null) return `${label} ≥ ${query.min}`;
+    return `${label} ${query.min}-${query.max}`;
+}
+
+// ============================================================================
+// RECORD IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Columns every imported record must provide
+ */
+const REQUIRED_COLUMNS = ['customer_id', ...CRITERIA];
+
+/**
+ * Columns read when present: loan amount (exposure) and term in months,
+ * used for expected loss; monthly income, monthly obligations and the
+ * requested amount, used for the affordability check
+ */
+const OPTIONAL_COLUMNS = ['loan_amount', 'term', 'monthly_income', 'monthly_obligations', 'requested_amount'];
+
+/**
+ * Every field the column mapping wizard can map, required first
+ */
+const MAPPED_COLUMNS = [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS];
+
+/**
+ * Most distinct values a column may have to be kept as a segment dimension
+ */
+const MAX_SEGMENT_VALUES = 50;
+
+/**
+ * Fields the app computes; never read back as segment dimensions when an
+ * export is re-imported
+ */
+const COMPUTED_FIELDS = [
+    'combined_score', 'risk_level', 'decision', 'decision_rule', 'reason_codes',
+    'pd', 'lgd', 'ead', 'expected_loss',
+    'dti', 'loan_dti', 'max_payment', 'payment', 'affordable', 'counter_amount', 'counter_term',
+    'principal_reasons', 'final_decision', 'review_status', 'review', 'features', 'segments'
+];
+
+/**
+ * Normalizes a source header: lowercase, trimmed, whitespace to underscores
+ *
+ * @param {string} name - Source column header
+ * @returns {string} Normalized column name
+ */
+function normalizeColumnName(name) {
+    return String(name).replace(/^\uFEFF/, '').toLowerCase().trim().replace(/\s+/g, '_');
+}
+
+/**
+ * File formats accepted for import and offered for export
+ */
+const FILE_FORMATS = {
+    csv: { extensions: ['.csv', '.txt'], mimeType: 'text/csv' },
+    xlsx: { extensions: ['.xlsx', '.xls'], mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extensions: ['.json'], mimeType: 'application/json' },
+    ndjson: { extensions: ['.ndjson', '.jsonl'], mimeType: 'application/x-ndjson' }
+};
+
+/**
+ * Determines a file's format from its name
+ *
+ * @param {string} fileName - File name or path
+ * @returns {string|null} Key of FILE_FORMATS, or null when not supported
+ */
+function getFileFormat(fileName) {
+    const lower = String(fileName).toLowerCase();
+    const match = Object.entries(FILE_FORMATS)
+        .find(([, format]) => format.extensions.some(ext => lower.endsWith(ext)));
+    return match ? match[0] : null;
+}
+
+/**
+ * Delimiters tried when reading CSV, in order of preference on a tie
+ */
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Splits CSV text into records of fields
+ *
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field separator
+ * @param {number} limit - Stop after this many records (Infinity for all)
+ * @returns {Array} Records, each an array of field strings
+ *
+ * Quoted fields may hold the delimiter, line breaks and "" for a quote.
+ */
+function splitCSVRecords(text, delimiter, limit) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length && records.length < limit; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (records.length < limit && (field !== '' || record.length > 0)) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Skip empty lines
+    return records.filter(r => !(r.length === 1 && r[0] === ''));
+}
+
+/**
+ * Guesses the CSV delimiter from the first lines, as PapaParse does
+ *
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ *
+ * LOGIC:
+ * For each candidate, split the first 10 lines. A candidate qualifies when
+ * it gives every line the same number of fields, more than one. The one
+ * with the most fields wins; comma when none qualifies.
+ */
+function detectCSVDelimiter(text) {
+    let best = { delimiter: ',', fields: 1 };
+
+    CSV_DELIMITERS.forEach(delimiter => {
+        const sample = splitCSVRecords(text, delimiter, 10);
+        const fields = sample.length > 0 ? sample[0].length : 0;
+        if (fields > best.fields && sample.every(record => record.length === fields)) {
+            best = { delimiter, fields };
+        }
+    });
+
+    return best.delimiter;
+}
+
+/**
+ * Parses CSV text into rows keyed by header, for the browser and the CLI
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array} Rows keyed by header; every row has every header
+ *
+ * Comma, semicolon, tab and pipe separated files are accepted (see
+ * detectCSVDelimiter). Empty lines and a leading byte order mark are
+ * skipped. Values stay strings.
+ */
+function parseCSV(text) {
+    const records = splitCSVRecords(text, detectCSVDelimiter(text), Infinity);
+    const [headers, ...body] = records;
+    if (!headers) return [];
+
+    return body.map(values => {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header.replace(/^\uFEFF/, '')] = values[index];
+        });
+        return row;
+    });
+}
+
+/**
+ * Parses JSON or NDJSON text into rows
+ *
+ * @param {string} text - File contents
+ * @returns {Array} Row objects
+ *
+ * ACCEPTED SHAPES:
+ * - JSON array of records
+ * - JSON object with a "records" array (this app's JSON export)
+ * - NDJSON: one record object per line; a { "_metadata": ... } line, as
+ *   written by the NDJSON export, is skipped
+ */
+function parseJSONRecords(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    if (trimmed === '') return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        parsed = undefined;
+    }
+
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && Array.isArray(parsed.records)) return parsed.records;
+    if (parsed && typeof parsed === 'object' && !parsed._metadata) return [parsed];
+
+    // NDJSON
+    const rows = [];
+    trimmed.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Line ${index + 1} is not valid JSON`);
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`Line ${index + 1} is not a JSON object`);
+        }
+        if (!record._metadata) rows.push(record);
+    });
+
+    return rows;
+}
+
+/**
+ * Header fragments that commonly name each field in source-system exports,
+ * compared after removing everything but letters and digits
+ */
+const COLUMN_ALIASES = {
+    customer_id: ['customerid', 'custid', 'customer', 'clientid', 'client', 'accountid', 'applicantid', 'id'],
+    transaction_history: ['transactionhistory', 'txnhist', 'transaction', 'txn', 'trans', 'banking'],
+    affordability: ['affordability', 'afford', 'aff'],
+    employment: ['employment', 'emp', 'job'],
+    behavior: ['behavior', 'behaviour', 'behav', 'beh', 'conduct'],
+    loan_amount: ['loanamount', 'loanamt', 'principal', 'exposure', 'amount', 'loan'],
+    term: ['termmonths', 'term', 'tenor', 'months'],
+    monthly_income: ['monthlyincome', 'netincome', 'grossincome', 'salary', 'income'],
+    monthly_obligations: ['monthlyobligations', 'obligations', 'monthlydebt', 'debtpayments', 'debt', 'commitments'],
+    requested_amount: ['requestedamount', 'amountrequested', 'requested', 'request']
+};
+
+/**
+ * Reduces a header to lowercase letters and digits for fuzzy comparison
+ *
+ * @param {string} name - Source column header
+ * @returns {string} Compact header
+ */
+function compactColumnName(name) {
+    return normalizeColumnName(name).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggests which source column feeds each required and optional field
+ *
+ * @param {Array} headers - Source column headers
+ * @param {Array} profiles - Saved mapping profiles [{ name, mapping }]
+ * @returns {Object} { mapping: { field: header|null }, profile: name|null }
+ *
+ * LOGIC:
+ * 1. A saved profile whose required source columns are all present wins
+ *    (the one covering most of the file's headers if several fit); its
+ *    optional columns are kept where the file has them
+ * 2. Otherwise each field takes an exact match (ignoring case, spaces and
+ *    punctuation), then the header matching its longest alias, required
+ *    fields first. A header is never suggested twice.
+ */
+function suggestColumnMapping(headers, profiles = []) {
+    const fitting = profiles
+        .filter(profile => REQUIRED_COLUMNS.every(field => headers.includes(profile.mapping[field])))
+        .sort((a, b) => (b.headers || []).filter(h => headers.includes(h)).length -
+            (a.headers || []).filter(h => headers.includes(h)).length);
+
+    if (fitting.length > 0) {
+        const mapping = {};
+        MAPPED_COLUMNS.forEach(field => {
+            const header = fitting[0].mapping[field];
+            mapping[field] = headers.includes(header) ? header : null;
+        });
+        return { mapping, profile: fitting[0].name };
+    }
+
+    const mapping = {};
+    const used = new Set();
+
+    MAPPED_COLUMNS.forEach(field => {
+        mapping[field] = headers.find(h => !used.has(h) && compactColumnName(h) === compactColumnName(field)) || null;
+        if (mapping[field]) used.add(mapping[field]);
+    });
+
+    MAPPED_COLUMNS.filter(field => !mapping[field]).forEach(field => {
+        let best = null;
+        let bestLength = 0;
+
+        headers.filter(h => !used.has(h)).forEach(header => {
+            const compact = compactColumnName(header);
+            COLUMN_ALIASES[field].forEach(alias => {
+                const matches = alias === 'id' ? compact === 'id' || compact.endsWith('id') : compact.includes(alias);
+                if (matches && alias.length > bestLength) {
+                    best = header;
+                    bestLength = alias.length;
+                }
+            });
+        });
+
+        mapping[field] = best;
+        if (best) used.add(best);
+    });
+
+    return { mapping, profile: null };
+}
+
+/**
+ * Re-keys parsed rows from source headers to the field names
+ *
+ * @param {Array} rows - Parsed rows keyed by source header
+ * @param {Object} mapping - { field: source header }
+ * @returns {Array} Rows keyed by REQUIRED_COLUMNS, plus the mapped
+ *          OPTIONAL_COLUMNS and every unmapped column under its own header
+ *          (candidate segment dimensions; see findSegmentColumns)
+ */
+function applyColumnMapping(rows, mapping) {
+    const fields = MAPPED_COLUMNS.filter(field => mapping[field]);
+    const mappedHeaders = fields.map(field => mapping[field]);
+
+    return rows.map(row => {
+        const mapped = {};
+        Object.keys(row)
+            .filter(header => !mappedHeaders.includes(header) && !MAPPED_COLUMNS.includes(normalizeColumnName(header)))
+            .forEach(header => {
+                mapped[header] = row[header];
+            });
+        fields.forEach(field => {
+            mapped[field] = row[mapping[field]];
+        });
+        return mapped;
+    });
+}
+
+/**
+ * Validates a column mapping before it is applied
+ *
+ * @param {Object} mapping - { field: source header }
+ * @param {Array} headers - Source column headers
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateColumnMapping(mapping, headers) {
+    const errors = [];
+    const seen = {};
+
+    MAPPED_COLUMNS.forEach(field => {
+        const header = mapping[field];
+        if (!header) {
+            if (REQUIRED_COLUMNS.includes(field)) errors.push(`${field} is not mapped`);
+        } else if (!headers.includes(header)) {
+            errors.push(`${field}: column "${header}" is not in the file`);
+        } else if (seen[header]) {
+            errors.push(`"${header}" is mapped to both ${seen[header]} and ${field}`);
+        } else {
+            seen[header] = field;
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * How rows that fail validation are handled
+ * - reject: the whole file is refused if any row has a problem
+ * - skip: problem rows are dropped, the rest are scored
+ * - impute: bad scores are repaired (see validateRecords); rows that cannot
+ *   be repaired (missing or duplicate customer_id) are still dropped
+ */
+const VALIDATION_MODES = ['reject', 'skip', 'impute'];
+
+/**
+ * Valid range for every criterion score
+ */
+const SCORE_RANGE = Object.freeze({ min: 0, max: 100 });
+
+/**
+ * Validates parsed rows (header -> string value) and converts them into
+ * customer records
+ *
+ * @param {Array} rows - Parsed rows keyed by source header
+ * @param {string} mode - One of VALIDATION_MODES
+ * @returns {Object} { data, errors, invalidRowCount, imputedCount, rejected,
+ *          missingColumns, segmentColumns, skippedColumns }
+ *
+ * DATA TRANSFORMATION:
+ * 1. Normalize column names (lowercase, trim, spaces to underscores)
+ * 2. Validate required columns by exact normalized name
+ * 3. Check every row: customer_id present and unique, each score present,
+ *    numeric (the whole value, so "12abc" fails) and within 0-100
+ * 4. Check the optional columns (OPTIONAL_COLUMNS) that exist: term > 0
+ *    months, amounts >= 0; blank means unknown
+ * 5. Keep the remaining categorical columns as segment dimensions; the
+ *    others are listed with the reason in skippedColumns (see findSegmentColumns)
+ * 6. Apply the mode to rows with problems
+ *
+ * IMPUTATION:
+ * - Missing or non-numeric score -> median of that column's valid values
+ * - Out-of-range score -> clamped to 0-100
+ * - Invalid optional value -> left blank (no expected loss or affordability
+ *   figure that needs it)
+ * Blank values are never read as 0, which would turn a gap in the data into
+ * a High Risk score.
+ *
+ * ERRORS:
+ * One entry per problem: { row, customer_id, column, value, reason, action }
+ * `row` is the line in the source file, counting the header as line 1.
+ */
+function validateRecords(rows, mode = 'skip') {
+    const columns = Object.keys(rows[0] || {}).map(normalizeColumnName);
+
+    // Validate columns against the same normalized names the rows are read by
+    const missingColumns = REQUIRED_COLUMNS.filter(col => !columns.includes(col));
+
+    if (missingColumns.length > 0) {
+        return { data: [], errors: [], invalidRowCount: 0, imputedCount: 0, rejected: true, missingColumns, segmentColumns: [], skippedColumns: [] };
+    }
+
+    // Normalize column names; a re-imported JSON export holds its segments as an object
+    const normalizedRows = rows.map(row => {
+        const normalized = {};
+        Object.keys(row).forEach(key => {
+            normalized[normalizeColumnName(key)] = row[key];
+        });
+        if (row.segments && typeof row.segments === 'object') {
+            Object.entries(row.segments).forEach(([key, value]) => {
+                if (!(normalizeColumnName(key) in normalized)) normalized[normalizeColumnName(key)] = value;
+            });
+        }
+        return normalized;
+    });
+
+    const optionalColumns = OPTIONAL_COLUMNS.filter(col => columns.includes(col));
+    const { segmentColumns, skippedColumns } = findSegmentColumns(normalizedRows);
+
+    const checked = normalizedRows.map(row => ({
+        customer_id: String(row.customer_id == null ? '' : row.customer_id).trim(),
+        scores: Object.fromEntries(CRITERIA.map(criterion => [criterion, checkScore(row[criterion])])),
+        optional: Object.fromEntries(optionalColumns.map(col => [col, checkOptionalValue(col, row[col])])),
+        raw: row
+    }));
+
+    // Column medians of valid values, used for imputation
+    const medians = {};
+    CRITERIA.forEach(criterion => {
+        const values = checked
+            .map(row => row.scores[criterion])
+            .filter(score => !score.problem)
+            .map(score => score.value);
+        medians[criterion] = median(values);
+    });
+
+    const errors = [];
+    const data = [];
+    const seenIds = new Set();
+    let invalidRowCount = 0;
+    let imputedCount = 0;
+
+    checked.forEach((row, index) => {
+        const line = index + 2;
+        const rowErrors = [];
+        let repairable = true;
+
+        if (!row.customer_id) {
+            rowErrors.push({ column: 'customer_id', value: '', reason: 'Missing customer_id' });
+            repairable = false;
+        } else if (seenIds.has(row.customer_id)) {
+            rowErrors.push({ column: 'customer_id', value: row.customer_id, reason: 'Duplicate customer_id (first occurrence kept)' });
+            repairable = false;
+        } else {
+            seenIds.add(row.customer_id);
+        }
+
+        const record = { customer_id: row.customer_id };
+        CRITERIA.forEach(criterion => {
+            const score = row.scores[criterion];
+            record[criterion] = score.value;
+
+            if (score.problem) {
+                rowErrors.push({ column: criterion, value: row.raw[criterion] == null ? '' : String(row.raw[criterion]), reason: score.problem, score });
+
+                if (mode === 'impute') {
+                    if (score.problem === 'Missing value' || score.problem === 'Not a number') {
+                        if (medians[criterion] === null) {
+                            repairable = false;
+                        } else {
+                            record[criterion] = medians[criterion];
+                        }
+                    } else {
+                        record[criterion] = Math.min(SCORE_RANGE.max, Math.max(SCORE_RANGE.min, score.value));
+                    }
+                }
+            }
+        });
+
+        optionalColumns.forEach(column => {
+            const check = row.optional[column];
+            record[column] = check.problem ? null : check.value;
+
+            if (check.problem) {
+                rowErrors.push({ column, value: String(row.raw[column]), reason: check.problem, optional: true });
+            }
+        });
+
+        if (segmentColumns.length > 0) {
+            record.segments = {};
+            segmentColumns.forEach(column => {
+                record.segments[column] = row.raw[column] == null ? '' : String(row.raw[column]).trim();
+            });
+        }
+
+        if (rowErrors.length === 0) {
+            data.push(record);
+            return;
+        }
+
+        invalidRowCount++;
+        const imputed = mode === 'impute' && repairable;
+        if (imputed) {
+            data.push(record);
+            imputedCount++;
+        }
+
+        rowErrors.forEach(error => {
+            let action;
+            if (mode === 'reject') {
+                action = 'File rejected';
+            } else if (imputed && error.score) {
+                action = `Imputed ${record[error.column]}`;
+            } else if (imputed && error.optional) {
+                action = 'Left blank';
+            } else {
+                action = 'Row skipped';
+            }
+
+            errors.push({
+                row: line,
+                customer_id: row.customer_id,
+                column: error.column,
+                value: error.value,
+                reason: error.reason,
+                action
+            });
+        });
+    });
+
+    const rejected = mode === 'reject' && errors.length > 0;
+
+    return {
+        data: rejected ? [] : data,
+        errors,
+        invalidRowCount,
+        imputedCount,
+        rejected,
+        missingColumns: [],
+        segmentColumns,
+        skippedColumns
+    };
+}
+
+/**
+ * Picks the columns to keep as segment dimensions (region, product,
+ * channel, branch, ...)
+ *
+ * @param {Array} rows - Rows keyed by normalized column name
+ * @returns {Object} { segmentColumns, skippedColumns } - normalized column
+ *   names kept, and { column, reason } for every other extra column, so the
+ *   import can say why a column such as region is not a segment
+ *
+ * LOGIC:
+ * Any column that is not a scoring or optional column, an export column or
+ * a computed field, holds only plain values (text, numbers, booleans) and
+ * has between 1 and MAX_SEGMENT_VALUES distinct non-blank values, fewer
+ * than there are rows - so IDs, names and amounts are left out. In a very
+ * small file a real segment column can look like an ID.
+ */
+function findSegmentColumns(rows) {
+    const excluded = new Set([
+        ...MAPPED_COLUMNS,
+        ...COMPUTED_FIELDS,
+        ...EXPORT_COLUMNS.map(column => normalizeColumnName(column.header)),
+        ...FEATURE_COLUMNS.map(feature => feature.key),
+        ...FEATURE_COLUMNS.map(feature => normalizeColumnName(feature.label))
+    ]);
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+        .filter(column => column !== '' && !excluded.has(column));
+
+    const segmentColumns = [];
+    const skippedColumns = [];
+
+    columns.forEach(column => {
+        const reason = getSegmentSkipReason(rows, column);
+        if (reason) {
+            skippedColumns.push({ column, reason });
+        } else {
+            segmentColumns.push(column);
+        }
+    });
+
+    return { segmentColumns, skippedColumns };
+}
+
+/**
+ * Why a column cannot be a segment dimension
+ *
+ * @param {Array} rows - Rows keyed by normalized column name
+ * @param {string} column - Normalized column name
+ * @returns {string|null} Reason, or null when the column is a segment
+ */
+function getSegmentSkipReason(rows, column) {
+    const values = new Set();
+    for (const row of rows) {
+        const value = row[column];
+        if (value !== null && typeof value === 'object') return 'not plain values';
+        const text = value == null ? '' : String(value).trim();
+        if (text !== '') values.add(text);
+        if (values.size > MAX_SEGMENT_VALUES) return `more than ${MAX_SEGMENT_VALUES} distinct values`;
+    }
+
+    if (values.size === 0) return 'no values';
+    if (values.size >= rows.length) return 'a different value on every row';
+    return null;
+}
+
+/**
+ * Parses one score cell strictly
+ *
+ * @param {*} raw - Cell value as parsed
+ * @returns {Object} { value, problem } - problem is null for a valid score
+ */
+function checkScore(raw) {
+    const text = raw == null ? '' : String(raw).trim();
+
+    if (text === '') return { value: null, problem: 'Missing value' };
+
+    const value = Number(text);
+    if (!Number.isFinite(value)) return { value: null, problem: 'Not a number' };
+
+    if (value < SCORE_RANGE.min || value > SCORE_RANGE.max) {
+        return { value, problem: `Out of range (${SCORE_RANGE.min}-${SCORE_RANGE.max})` };
+    }
+
+    return { value, problem: null };
+}
+
+/**
+ * Parses one optional column cell (OPTIONAL_COLUMNS); blank is allowed.
+ * Term must be above 0, amounts 0 or more
+ *
+ * @param {string} column - Optional column name
+ * @param {*} raw - Cell value as parsed
+ * @returns {Object} { value, problem } - value null when blank
+ */
+function checkOptionalValue(column, raw) {
+    const text = raw == null ? '' : String(raw).trim();
+
+    if (text === '') return { value: null, problem: null };
+
+    const value = Number(text);
+    if (!Number.isFinite(value)) return { value: null, problem: 'Not a number' };
+
+    if (column === 'term' ? value <= 0 : value < 0) {
+        return { value, problem: column === 'term' ? 'Must be above 0' : 'Must be 0 or more' };
+    }
+
+    return { value, problem: null };
+}
+
+/**
+ * Median of a list of numbers
+ *
+ * @param {Array} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle];
+}
+
+/**
+ * Error report columns for validation problems
+ */
+const ERROR_COLUMNS = [
+    { header: 'Row', value: e => e.row },
+    { header: 'Customer ID', value: e => e.customer_id },
+    { header: 'Column', value: e => e.column },
+    { header: 'Value', value: e => e.value },
+    { header: 'Reason', value: e => e.reason },
+    { header: 'Action', value: e => e.action }
+];
+
+/**
+ * Builds the validation error report (header row plus one row per problem)
+ *
+ * @param {Array} errors - Errors from validateRecords
+ * @returns {Array} Rows of cell values
+ */
+function toErrorRows(errors) {
+    return [
+        ERROR_COLUMNS.map(col => col.header),
+        ...errors.map(e => ERROR_COLUMNS.map(col => col.value(e)))
+    ];
+}
+
+/**
+ * Export columns: header label and how to read the value from a record
+ */
+const EXPORT_COLUMNS = [
+    { header: 'Customer ID', value: d => d.customer_id },
+    { header: 'Transaction History', value: d => d.transaction_history },
+    { header: 'Affordability', value: d => d.affordability },
+    { header: 'Employment', value: d => d.employment },
+    { header: 'Behavior', value: d => d.behavior },
+    { header: 'Combined Score', value: d => d.combined_score },
+    { header: 'Risk Level', value: d => d.risk_level },
+    { header: 'Loan Amount', value: d => (d.ead == null ? '' : d.ead) },
+    { header: 'Term (months)', value: d => (d.term == null ? '' : d.term) },
+    { header: 'PD', value: d => d.pd },
+    { header: 'LGD', value: d => d.lgd },
+    { header: 'Expected Loss', value: d => (d.expected_loss == null ? '' : d.expected_loss) },
+    { header: 'Monthly Income', value: d => (d.monthly_income == null ? '' : d.monthly_income) },
+    { header: 'Monthly Obligations', value: d => (d.monthly_obligations == null ? '' : d.monthly_obligations) },
+    { header: 'Requested Amount', value: d => (d.requested_amount == null ? '' : d.requested_amount) },
+    { header: 'DTI', value: d => (d.dti == null ? '' : d.dti) },
+    { header: 'DTI with Loan', value: d => (d.loan_dti == null ? '' : d.loan_dti) },
+    { header: 'Max Payment', value: d => (d.max_payment == null ? '' : d.max_payment) },
+    { header: 'Requested Payment', value: d => (d.payment == null ? '' : d.payment) },
+    { header: 'Counter-Offer Amount', value: d => (d.counter_amount == null ? '' : d.counter_amount) },
+    { header: 'Counter-Offer Term', value: d => (d.counter_term == null ? '' : d.counter_term) },
+    { header: 'System Decision', value: d => d.decision },
+    { header: 'Decision Rule', value: d => d.decision_rule },
+    { header: 'Reason Codes', value: d => d.reason_codes.join('; ') },
+    { header: 'Principal Reasons', value: d => getPrincipalReasons(d).join('; ') },
+    { header: 'Final Decision', value: (d, r) => getFinalDecision(d, r) },
+    { header: 'Review Status', value: (d, r) => getReviewStatus(d, r) },
+    { header: 'Assignee', value: (d, r) => (r && r.assignee) || '' },
+    { header: 'Reviewer', value: (d, r) => (r && r.reviewer) || '' },
+    { header: 'Review Note', value: (d, r) => (r && r.note) || '' },
+    { header: 'Decided At', value: (d, r) => (r && r.decidedAt) || '' }
+];
+
+/**
+ * Review stored for a record, if it is still in the review queue
+ *
+ * @param {Object} record - Processed customer record
+ * @param {Object} reviews - Reviews keyed by customer_id
+ * @returns {Object|null} Review or null
+ */
+function findReview(record, reviews) {
+    return needsReview(record) ? reviews[record.customer_id] || null : null;
+}
+
+/**
+ * Builds the export table (header row plus one row per record)
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} reviews - Underwriter reviews keyed by customer_id
+ * @returns {Array} Array of rows, each an array of cell values
+ */
+function toExportRows(data, reviews = {}) {
+    // Segment dimensions keep their column names, so the file re-imports with them
+    const segmentColumns = getSegmentDimensions(data).map(dimension => ({
+        header: dimension,
+        value: d => (d.segments && d.segments[dimension]) || ''
+    }));
+
+    // Ledger-derived datasets also export the features behind each score
+    const columns = data.some(record => record.features)
+        ? [...EXPORT_COLUMNS, ...segmentColumns, ...FEATURE_COLUMNS.map(feature => ({
+            header: feature.label,
+            value: d => (d.features && d.features[feature.key] !== null ? d.features[feature.key] : '')
+        }))]
+        : [...EXPORT_COLUMNS, ...segmentColumns];
+
+    return [
+        columns.map(column => column.header),
+        ...data.map(record => {
+            const review = findReview(record, reviews);
+            return columns.map(column => column.value(record, review));
+        })
+    ];
+}
+
+/**
+ * Serializes rows as CSV with every cell quoted
+ *
+ * @param {Array} rows - Array of rows (arrays of cell values)
+ * @returns {string} CSV text
+ */
+function formatCSV(rows) {
+    return rows
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+}
+
+/**
+ * Describes how an export was produced, so a file can be traced back to the
+ * policy and thresholds that made its decisions
+ *
+ * @param {Object} policy - Policy used for the decisions
+ * @param {Object} details - Extra fields, e.g. { source, recordCount }
+ * @returns {Object} Metadata (the policy is embedded in full and can be
+ *   pasted back into the policy editor)
+ */
+function buildExportMetadata(policy, details = {}) {
+    const normalized = normalizePolicy(policy);
+
+    return {
+        generator: 'Cash-Flow Risk Assessment Model',
+        exportedAt: new Date().toISOString(),
+        ...details,
+        policyName: normalized.name || 'Custom policy',
+        thresholds: { ...normalized.thresholds },
+        weights: { ...normalized.weights },
+        lossModel: clonePolicy(normalized.lossModel),
+        affordabilityCheck: { ...normalized.affordabilityCheck },
+        policy: clonePolicy(normalized)
+    };
+}
+
+/**
+ * Converts processed records into plain export objects: the record as
+ * scored (numbers stay numbers) plus its principal reasons, final decision
+ * and underwriter review (null when not queued or not yet touched)
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} reviews - Underwriter reviews keyed by customer_id
+ * @returns {Array} Export records
+ */
+function toExportRecords(data, reviews = {}) {
+    return data.map(record => {
+        const review = findReview(record, reviews);
+        return {
+            ...record,
+            principal_reasons: getPrincipalReasons(record),
+            final_decision: getFinalDecision(record, review),
+            review_status: getReviewStatus(record, review),
+            review
+        };
+    });
+}
+
+/**
+ * Serializes an export as JSON: { metadata, records }
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} metadata - From buildExportMetadata
+ * @param {Object} reviews - Underwriter reviews keyed by customer_id
+ * @returns {string} JSON text
+ */
+function formatJSONExport(data, metadata, reviews = {}) {
+    return JSON.stringify({ metadata, records: toExportRecords(data, reviews) }, null, 2);
+}
+
+/**
+ * Serializes an export as NDJSON: a { "_metadata": ... } line, then one
+ * record per line
+ *
+ * @param {Array} data - Processed customer data
+ * @param {Object} metadata - From buildExportMetadata
+ * @param {Object} reviews - Underwriter reviews keyed by customer_id
+ * @returns {string} NDJSON text
+ */
+function formatNDJSON(data, metadata, reviews = {}) {
+    return [
+        JSON.stringify({ _metadata: metadata }),
+        ...toExportRecords(data, reviews).map(record => JSON.stringify(record))
+    ].join('\n');
+}
+
+/**
+ * Lays out export metadata as two-column rows for a spreadsheet sheet
+ *
+ * @param {Object} metadata - From buildExportMetadata
+ * @returns {Array} Rows of [field, value]
+ */
+function toMetadataRows(metadata) {
+    const { policy } = metadata;
+    const rows = [
+        ['Field', 'Value'],
+        ['Generator', metadata.generator],
+        ['Exported at', metadata.exportedAt]
+    ];
+
+    Object.keys(metadata)
+        .filter(key => !['generator', 'exportedAt', 'policyName', 'thresholds', 'weights', 'lossModel', 'affordabilityCheck', 'policy'].includes(key))
+        .forEach(key => {
+            // recordCount -> "Record count"
+            const label = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+            rows.push([label.charAt(0).toUpperCase() + label.slice(1), metadata[key]]);
+        });
+
+    rows.push(['Policy', metadata.policyName]);
+    RISK_CATEGORIES.forEach(category => rows.push([`Threshold: ${category}`, metadata.thresholds[category]]));
+    CRITERIA.forEach(criterion => rows.push([`Weight: ${criterion}`, metadata.weights[criterion]]));
+    RISK_CATEGORIES.forEach(category => rows.push([`PD: ${category}`, metadata.lossModel.pd[category]]));
+    rows.push(['LGD', metadata.lossModel.lgd]);
+    Object.entries(metadata.affordabilityCheck).forEach(([key, value]) => rows.push([`Affordability: ${key}`, value]));
+    rows.push(['Default decision', policy.defaultDecision]);
+    policy.rules.forEach(rule => {
+        rows.push([`Rule: ${rule.id}`, `${rule.decision}${rule.enabled === false ? ' (disabled)' : ''} - ${rule.description || ''}`]);
+    });
+    rows.push(['Policy JSON', JSON.stringify(policy)]);
+
+    return rows;
+}
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
+
+// Node (CLI) only - in the browser the declarations above are already global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RISK_THRESHOLDS,
+        CRITERIA,
+        DECISIONS,
+        RISK_CATEGORIES,
+        RISK_LEVELS,
+        TRANSITION_FIELDS,
+        OUTCOME_COLUMNS,
+        DEFAULT_FLAG_VALUES,
+        BACKTEST_SCORES,
+        OPTIMIZATION_GRID,
+        OPTIMIZATION_OBJECTIVES,
+        DEFAULT_POLICY,
+        MAX_PRINCIPAL_REASONS,
+        OUTCOME_GROUPS,
+        SEGMENT_INSIGHT,
+        COUNTER_OFFER_STEP,
+        REQUIRED_COLUMNS,
+        OPTIONAL_COLUMNS,
+        MAPPED_COLUMNS,
+        MAX_SEGMENT_VALUES,
+        COMPUTED_FIELDS,
+        FILE_FORMATS,
+        COLUMN_ALIASES,
+        VALIDATION_MODES,
+        SCORE_RANGE,
+        EXPORT_COLUMNS,
+        ERROR_COLUMNS,
+        LEDGER_COLUMNS,
+        LEDGER_PATTERNS,
+        parseLedgerDate,
+        DERIVATION_SETTINGS,
+        FEATURE_COLUMNS,
+        REVIEW_OUTCOMES,
+        REVIEW_STATUSES,
+        SYSTEM_RECOMMENDATIONS,
+        AUDIT_EVENT_TYPES,
+        AUDIT_GENESIS_HASH,
+        getRiskLevel,
+        getCriteriaRisk,
+        determineDecision,
+        evaluateCondition,
+        evaluateRules,
+        getPrincipalReasons,
+        calculateCombinedScore,
+        validatePolicy,
+        clonePolicy,
+        normalizePolicy,
+        processData,
+        countDecisions,
+        calculateOutcomeRates,
+        buildMigrationMatrix,
+        comparePolicies,
+        summarizePortfolio,
+        summarizeExposure,
+        calculateExpectedLoss,
+        getSegmentDimensions,
+        FAIR_LENDING,
+        analyzeDisparateImpact,
+        findDisparityDrivers,
+        QUERY_FIELDS,
+        isBlankQuery,
+        matchesQuery,
+        validateQuery,
+        describeQuery,
+        summarizeSegments,
+        findWorstSegments,
+        calculateAffordability,
+        calculatePayment,
+        getLeadingCriterion,
+        buildSnapshotTrend,
+        buildTransitionMatrix,
+        getPortfolioPosition,
+        getThresholdDistances,
+        findSimilarCustomers,
+        validateOutcomes,
+        measureDiscrimination,
+        summarizeBacktest,
+        evaluateThresholdOutcome,
+        optimizeThresholds,
+        needsReview,
+        validateReview,
+        getReviewStatus,
+        getFinalDecision,
+        isOverride,
+        summarizeReviews,
+        canonicalJSON,
+        sha256Hex,
+        hashDataset,
+        getPolicyVersion,
+        createAuditEntry,
+        verifyAuditLog,
+        formatAuditExport,
+        parseAuditLog,
+        isLedgerFormat,
+        deriveCriteria,
+        deriveFeatures,
+        scoreFeatures,
+        normalizeColumnName,
+        getFileFormat,
+        parseCSV,
+        parseJSONRecords,
+        suggestColumnMapping,
+        applyColumnMapping,
+        validateColumnMapping,
+        validateRecords,
+        toExportRows,
+        toErrorRows,
+        formatCSV,
+        buildExportMetadata,
+        toExportRecords,
+        formatJSONExport,
+        formatNDJSON,
+        toMetadataRows
+    };
+}
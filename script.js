@@ -13,15 +13,19 @@
  * 2. Data validation and normalization
  * 3. Risk score calculation per criterion
  * 4. Combined score computation
- * 5. Decision derivation based on business rules
+ * 5. Decision derivation from the declarative decision policy
  * 6. Visualization and reporting
  *
  * ASSUMPTIONS:
  * - All scores normalized to 0-100 scale
  * - Higher scores = lower risk (better performance)
- * - Equal weighting (25% each) for combined score
+ * - Configurable criterion weights for combined score (default 25% each)
  * - Conservative lending thresholds
  *
+ * SCORING ENGINE:
+ * Steps 3-5 live in engine.js, which has no DOM dependency and is shared
+ * with the batch-scoring CLI (cli.js). This file holds the UI layer.
+ *
  * VERSION: 1.0
  * ============================================================================
  */
@@ -50,6 +54,9 @@ const AppState = {
         direction: 'asc'
     },
 
+    // Table query from the filter builder (null = no conditions)
+    query: null,
+
     // Pagination state
     pagination: {
         currentPage: 1,
@@ -57,7 +64,84 @@ const AppState = {
     },
 
     // Chart instances for updates
-    charts: {}
+    charts: {},
+
+    // Active decision policy (initialized from DEFAULT_POLICY on load)
+    policy: null,
+
+    // Champion/challenger policies for side-by-side comparison
+    comparison: {
+        champion: null,
+        challenger: null
+    },
+
+    // File waiting in the column mapping wizard
+    pendingImport: null,
+
+    // Workbook waiting for a sheet to be chosen
+    pendingWorkbook: null,
+
+    // Customer shown in the detail drawer (null when closed)
+    drawerCustomerId: null,
+
+    // Underwriter reviews keyed by customer_id (saved with the session)
+    reviews: {},
+
+    // Review queue filters and the customer open in the review form
+    reviewQueue: {
+        status: 'open',
+        assignee: 'all',
+        customerId: null
+    },
+
+    // Dated portfolio snapshots for trend analysis (see SNAPSHOT TRENDS)
+    snapshots: [],
+
+    // Segment view for the summary cards, insights and portfolio charts:
+    // dimension '' = whole portfolio; value null = split by every value
+    segment: {
+        dimension: '',
+        value: null
+    },
+
+    // Fair lending monitor: attribute = segment dimension ('' = none),
+    // reference = group value (null = highest approval rate)
+    fairLending: {
+        attribute: '',
+        reference: null
+    },
+
+    // Performance outcomes joined for backtesting: { fileName, outcomes, hasLoss }
+    // (saved with the session; see OUTCOME BACKTESTING)
+    outcomes: null,
+
+    // Transition matrix selection: snapshot IDs, field and the clicked cell
+    transition: {
+        from: null,
+        to: null,
+        field: 'decision',
+        cell: null
+    },
+
+    // Hash-chained audit log (see AUDIT LOG); persisted = stored in IndexedDB
+    audit: {
+        entries: [],
+        persisted: true
+    },
+
+    // Validation problems from the last file upload
+    validation: {
+        fileName: null,
+        errors: []
+    },
+
+    // Persisted session the current dataset belongs to (see SESSION PERSISTENCE)
+    session: {
+        id: null,
+        name: null,
+        createdAt: null,
+        datasetDirty: false
+    }
 };
 
 // ============================================================================
@@ -65,21 +149,19 @@ const AppState = {
 // ============================================================================
 
 /**
- * Risk level thresholds for individual criteria
- * These define the boundaries for categorizing scores
- *
- * SCORING METHODOLOGY:
- * - Low Risk (70-100): Excellent performance, minimal concern
- * - Moderate Risk (50-69): Acceptable but monitor closely
- * - Elevated Risk (35-49): Significant concerns, needs attention
- * - High Risk (0-34): Critical issues, high default probability
+ * localStorage key for the active policy (weights, rules, default decision)
  */
-const RISK_THRESHOLDS = {
-    low: 70,        // >= 70: Low Risk
-    moderate: 50,   // 50-69: Moderate Risk
-    elevated: 35,   // 35-49: Elevated Risk
-    high: 0         // 0-34: High Risk
-};
+const POLICY_STORAGE_KEY = 'cashflow-risk-policy';
+
+/**
+ * localStorage key for saved column mapping profiles
+ */
+const MAPPING_PROFILES_KEY = 'cashflow-risk-mapping-profiles';
+
+/**
+ * localStorage key for saved table views
+ */
+const SAVED_VIEWS_KEY = 'cashflow-risk-saved-views';
 
 /**
  * Color palette for visualizations
@@ -94,140 +176,43 @@ const COLORS = {
     turquoise: '#01CFFB'
 };
 
+/**
+ * Line color per criterion, for charts with one trace per criterion
+ */
+const CRITERION_COLORS = {
+    transaction_history: COLORS.moderate,
+    affordability: COLORS.turquoise,
+    employment: COLORS.low,
+    behavior: COLORS.elevated
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Determines risk level based on score
- *
- * @param {number} score - Score value (0-100)
- * @returns {string} Risk level category
+ * Returns the thresholds of the active policy (shipped values before load)
  *
- * LOGIC:
- * Uses predefined thresholds to categorize scores.
- * Conservative approach - borderline cases fall to higher risk.
+ * @returns {Object} { low, moderate, elevated, high }
  */
-function getRiskLevel(score) {
-    if (score >= RISK_THRESHOLDS.low) return 'Low Risk';
-    if (score >= RISK_THRESHOLDS.moderate) return 'Moderate Risk';
-    if (score >= RISK_THRESHOLDS.elevated) return 'Elevated Risk';
-    return 'High Risk';
+function getActiveThresholds() {
+    return (AppState.policy && AppState.policy.thresholds) || RISK_THRESHOLDS;
 }
 
-/**
- * Determines risk category for a single criterion
- * Used for decision logic evaluation
- *
- * @param {number} score - Score value (0-100)
- * @returns {string} Short risk category
- */
-function getCriteriaRisk(score) {
-    if (score >= RISK_THRESHOLDS.low) return 'low';
-    if (score >= RISK_THRESHOLDS.moderate) return 'moderate';
-    if (score >= RISK_THRESHOLDS.elevated) return 'elevated';
-    return 'high';
-}
+// ============================================================================
+// DATA GENERATION
+// ============================================================================
 
 /**
- * Determines lending decision based on multi-criteria analysis
- *
- * @param {Object} customer - Customer data with all scores
- * @returns {string} Decision: Auto Approve, Manual Review, Elevated Risk, Auto Deny
- *
- * DECISION LOGIC:
- *
- * AUTO-DENY conditions (any of these triggers denial):
- * - Any criterion is High Risk
- * - Two or more criteria are Elevated Risk
- * - Elevated Risk in affordability + all others Moderate
- *
- * AUTO-APPROVE conditions (all must be met):
- * - All criteria Low Risk, OR
- * - 2+ criteria Low Risk, remainder Moderate
- *
- * ELEVATED RISK:
- * - Single Elevated Risk criterion (except affordability with all moderate)
- *
- * MANUAL REVIEW:
- * - All other cases require human underwriter assessment
+ * Loan terms (months) used for sample customers
  */
-function determineDecision(customer) {
-    const risks = {
-        transaction: getCriteriaRisk(customer.transaction_history),
-        affordability: getCriteriaRisk(customer.affordability),
-        employment: getCriteriaRisk(customer.employment),
-        behavior: getCriteriaRisk(customer.behavior)
-    };
-
-    const riskCounts = {
-        low: 0,
-        moderate: 0,
-        elevated: 0,
-        high: 0
-    };
-
-    // Count risk levels
-    Object.values(risks).forEach(risk => {
-        riskCounts[risk]++;
-    });
-
-    // AUTO-DENY: Any High Risk criterion
-    if (riskCounts.high > 0) {
-        return 'Auto Deny';
-    }
-
-    // AUTO-DENY: Two or more Elevated Risk
-    if (riskCounts.elevated >= 2) {
-        return 'Auto Deny';
-    }
-
-    // AUTO-DENY: Elevated affordability + 3 Moderate
-    if (risks.affordability === 'elevated' && riskCounts.moderate === 3) {
-        return 'Auto Deny';
-    }
-
-    // AUTO-APPROVE: All Low Risk
-    if (riskCounts.low === 4) {
-        return 'Auto Approve';
-    }
-
-    // AUTO-APPROVE: 2+ Low Risk, rest Moderate
-    if (riskCounts.low >= 2 && riskCounts.elevated === 0) {
-        return 'Auto Approve';
-    }
-
-    // ELEVATED RISK: Single Elevated criterion
-    if (riskCounts.elevated === 1) {
-        return 'Elevated Risk';
-    }
-
-    // MANUAL REVIEW: All other cases
-    return 'Manual Review';
-}
+const SAMPLE_TERMS = [12, 24, 36, 48, 60];
 
 /**
- * Calculates combined risk score
- *
- * @param {Object} customer - Customer data with all scores
- * @returns {number} Average score across all criteria
- *
- * METHODOLOGY:
- * Simple arithmetic mean with equal weighting.
- * Each criterion contributes 25% to the final score.
+ * Segment values for sample customers
  */
-function calculateCombinedScore(customer) {
-    return (
-        customer.transaction_history +
-        customer.affordability +
-        customer.employment +
-        customer.behavior
-    ) / 4;
-}
-
-// ============================================================================
-// DATA GENERATION
-// ============================================================================
+const SAMPLE_REGIONS = ['North', 'South', 'East', 'West'];
+const SAMPLE_CHANNELS = ['Branch', 'Online', 'Broker'];
 
 /**
  * Generates sample customer data for demonstration
@@ -242,6 +227,12 @@ function calculateCombinedScore(customer) {
  * - ~40% Moderate Risk
  * - ~20% Elevated Risk
  * - ~10% High Risk
+ * Each customer also gets a loan amount ($5,000-$50,000 in steps of $500)
+ * and a term of 12-60 months, so expected loss can be shown, and a monthly
+ * income ($3,000-$12,000) with obligations that rise as the affordability
+ * score falls, for the affordability check.
+ * Region and channel segments are added too; half of the fair and poor
+ * profiles arrive through brokers, so that channel stands out.
  */
 function generateSampleData(count = 100) {
     const data = [];
@@ -259,7 +250,22 @@ function generateSampleData(count = 100) {
             transaction_history: generateScore(profile, 'transaction'),
             affordability: generateScore(profile, 'affordability'),
             employment: generateScore(profile, 'employment'),
-            behavior: generateScore(profile, 'behavior')
+            behavior: generateScore(profile, 'behavior'),
+            loan_amount: 5000 + Math.floor(Math.random() * 91) * 500,
+            term: SAMPLE_TERMS[Math.floor(Math.random() * SAMPLE_TERMS.length)],
+            monthly_income: 3000 + Math.floor(Math.random() * 91) * 100
+        };
+
+        // Obligations take 5-45% of income, more for weaker affordability
+        const obligationShare = 0.05 + (100 - customer.affordability) / 100 * 0.35 + Math.random() * 0.05;
+        customer.monthly_obligations = Math.round(customer.monthly_income * obligationShare / 10) * 10;
+
+        const weakProfile = profile === 'fair' || profile === 'poor';
+        customer.segments = {
+            region: SAMPLE_REGIONS[Math.floor(Math.random() * SAMPLE_REGIONS.length)],
+            channel: weakProfile && Math.random() < 0.5
+                ? 'Broker'
+                : SAMPLE_CHANNELS[Math.floor(Math.random() * SAMPLE_CHANNELS.length)]
         };
 
         data.push(customer);
@@ -325,37 +331,6 @@ function generateScore(profile, criterion) {
     return Math.max(0, Math.min(100, score));
 }
 
-// ============================================================================
-// DATA PROCESSING
-// ============================================================================
-
-/**
- * Processes raw data to add calculated fields
- *
- * @param {Array} rawData - Raw customer data
- * @returns {Array} Processed data with risk levels and decisions
- *
- * DATA TRANSFORMATION:
- * 1. Calculate combined score
- * 2. Determine overall risk level
- * 3. Apply decision logic
- * 4. Add metadata for visualization
- */
-function processData(rawData) {
-    return rawData.map(customer => {
-        const combinedScore = calculateCombinedScore(customer);
-        const riskLevel = getRiskLevel(combinedScore);
-        const decision = determineDecision(customer);
-
-        return {
-            ...customer,
-            combined_score: Math.round(combinedScore * 10) / 10,
-            risk_level: riskLevel,
-            decision: decision
-        };
-    });
-}
-
 // ============================================================================
 // UI UPDATES
 // ============================================================================
@@ -364,15 +339,28 @@ function processData(rawData) {
  * Updates all UI components with current data
  */
 function updateUI() {
+    renderSegmentControls();
+    renderQueryBuilder();
     updateSummaryCards();
     updateInsights();
     updateCharts();
+    updateBacktest();
     updateTable();
     updateCustomerSelector();
+    runSimulation();
+    updateComparison();
+    updateReviewQueue();
+    updateTrends();
+    updateFairLending();
+
+    refreshCustomerDrawer();
 
     // Enable export button
     document.getElementById('exportBtn').disabled = AppState.processedData.length === 0;
+    document.getElementById('snapshotBtn').disabled = AppState.processedData.length === 0;
     document.getElementById('clearData').disabled = AppState.processedData.length === 0;
+
+    scheduleSessionSave();
 }
 
 /**
@@ -380,9 +368,10 @@ function updateUI() {
  *
  * VISUALIZATION:
  * Animated counters and progress bars show portfolio composition
+ * (of the selected segment when the segment view filters one)
  */
 function updateSummaryCards() {
-    const data = AppState.processedData;
+    const data = getSegmentData();
     const total = data.length;
 
     // Count decisions
@@ -407,6 +396,74 @@ function updateSummaryCards() {
         document.getElementById('elevatedBar').style.width = `${(counts.elevated / total) * 100}%`;
         document.getElementById('denyBar').style.width = `${(counts.deny / total) * 100}%`;
     }
+
+    // Final decisions after underwriter review, next to the system decisions
+    const summary = summarizeReviews(data, AppState.reviews);
+    const reviewLine = group => (group.queued === 0 ? '' :
+        `${group.decided} of ${group.queued} decided` +
+        (group.overrideRate !== null ? ` · ${formatPercent(group.overrideRate)} overridden` : ''));
+    document.getElementById('reviewFinal').textContent = reviewLine(summary.byDecision['Manual Review']);
+    document.getElementById('elevatedFinal').textContent = reviewLine(summary.byDecision['Elevated Risk']);
+
+    updateExposureSummary();
+    renderSegmentBreakdown();
+
+    document.getElementById('finalSummary').innerHTML = total === 0 ? '' : `
+        <span class="final-summary-title">Final decisions</span>
+        ${REVIEW_OUTCOMES.map(outcome => `
+            <span class="final-tag final-${outcome.toLowerCase()}">${outcome} <strong>${summary.finalCounts[outcome]}</strong></span>
+        `).join('')}
+        <span class="final-tag final-pending">Awaiting review <strong>${summary.finalCounts.Pending}</strong></span>
+        <span class="final-summary-rate" title="${OVERRIDE_RATE_DEFINITION}">
+            Override rate <strong>${summary.overrideRate !== null ? formatPercent(summary.overrideRate) : '—'}</strong>
+            (${summary.overrides} of ${summary.compared} reviews with a recommendation)
+        </span>
+    `;
+}
+
+/**
+ * Summary card element IDs per decision for the exposure line
+ */
+const EXPOSURE_CARD_IDS = {
+    'Auto Approve': 'approveExposure',
+    'Manual Review': 'reviewExposure',
+    'Elevated Risk': 'elevatedExposure',
+    'Auto Deny': 'denyExposure'
+};
+
+/**
+ * Shows exposure and expected loss on each summary card and for the portfolio
+ *
+ * METHODOLOGY:
+ * EL = PD x LGD x loan amount per customer (calculateExpectedLoss in
+ * engine.js), with PD from the combined-score risk level and the policy's
+ * loss model. Customers without a loan amount are left out of the money
+ * figures and counted separately.
+ */
+function updateExposureSummary() {
+    const { total, byDecision } = summarizeExposure(getSegmentData());
+    const hasExposure = total.priced > 0;
+
+    Object.entries(EXPOSURE_CARD_IDS).forEach(([decision, id]) => {
+        const group = byDecision[decision];
+        document.getElementById(id).textContent = hasExposure
+            ? `${formatMoney(group.exposure)} exposure · ${formatMoney(group.expectedLoss)} EL`
+            : '';
+    });
+
+    document.getElementById('exposureSummary').hidden = !hasExposure;
+    if (!hasExposure) return;
+
+    document.getElementById('exposureSummary').innerHTML = `
+        <span class="final-summary-title">Money at risk</span>
+        <span>Exposure <strong>${formatMoney(total.exposure)}</strong></span>
+        <span>Expected loss <strong>${formatMoney(total.expectedLoss)}</strong>
+            (${formatPercent(total.expectedLoss / (total.exposure || 1))} of exposure)</span>
+        <span class="final-summary-rate">
+            LGD ${formatPercent(AppState.policy.lossModel.lgd)}
+            ${total.unpriced > 0 ? ` · ${total.unpriced} customer${total.unpriced === 1 ? '' : 's'} without a loan amount` : ''}
+        </span>
+    `;
 }
 
 /**
@@ -440,17 +497,11 @@ function animateCounter(elementId, target) {
 }
 
 /**
- * Generates and displays insights from data analysis
- *
- * INSIGHT GENERATION LOGIC:
- * 1. Portfolio health assessment
- * 2. Red flag identification
- * 3. Criterion-specific analysis
- * 4. Trend detection
+ * Displays insights for the selected segment (or the whole portfolio)
  */
 function updateInsights() {
     const container = document.getElementById('insightsContainer');
-    const data = AppState.processedData;
+    const data = getSegmentData();
 
     if (data.length === 0) {
         container.innerHTML = `
@@ -462,8 +513,28 @@ function updateInsights() {
         return;
     }
 
+    container.innerHTML = renderInsightItems(buildInsights(data));
+}
+
+/**
+ * Generates insights from data analysis
+ *
+ * @param {Array} data - Processed customer data (not empty)
+ * @returns {Array} [{ type: 'positive'|'warning'|'negative', icon, title,
+ *          description }] - plain text, escaped by renderInsightItems
+ *
+ * INSIGHT GENERATION LOGIC:
+ * 1. Portfolio health assessment
+ * 2. Red flag identification
+ * 3. Criterion-specific analysis
+ * 4. Trend detection
+ * 5. Worst-performing segments (always across the whole portfolio)
+ * Insights 1-4 cover the data passed in (the selected segment on screen).
+ */
+function buildInsights(data) {
     const insights = [];
     const total = data.length;
+    const thresholds = getActiveThresholds();
 
     // Calculate percentages
     const approvalRate = (data.filter(d => d.decision === 'Auto Approve').length / total * 100).toFixed(1);
@@ -511,7 +582,7 @@ function updateInsights() {
     }
 
     // Insight 4: High risk concentration
-    const highRiskTransactions = data.filter(d => getCriteriaRisk(d.transaction_history) === 'high').length;
+    const highRiskTransactions = data.filter(d => getCriteriaRisk(d.transaction_history, thresholds) === 'high').length;
     if (highRiskTransactions / total > 0.15) {
         insights.push({
             type: 'negative',
@@ -522,7 +593,7 @@ function updateInsights() {
     }
 
     // Insight 5: Behavioral concerns
-    const behaviorIssues = data.filter(d => getCriteriaRisk(d.behavior) === 'high' || getCriteriaRisk(d.behavior) === 'elevated').length;
+    const behaviorIssues = data.filter(d => ['high', 'elevated'].includes(getCriteriaRisk(d.behavior, thresholds))).length;
     if (behaviorIssues / total > 0.2) {
         insights.push({
             type: 'negative',
@@ -532,6 +603,18 @@ function updateInsights() {
         });
     }
 
+    // Insight 6: Worst-performing segments, one per dimension
+    findWorstSegments(AppState.processedData).forEach(worst => {
+        insights.push({
+            type: 'negative',
+            icon: '🧭',
+            title: `Weakest ${formatDimensionName(worst.dimension)}: ${worst.value}`,
+            description: `${formatPercent(worst.rates.deny)} of ${worst.total} customers are auto-denied, ` +
+                `vs ${formatPercent(worst.portfolioRates.deny)} across the portfolio ` +
+                `(${formatPercent(worst.rates.approve)} auto-approved vs ${formatPercent(worst.portfolioRates.approve)}).`
+        });
+    });
+
     // Default insight if no issues
     if (insights.length === 0) {
         insights.push({
@@ -542,40 +625,222 @@ function updateInsights() {
         });
     }
 
-    // Render insights
-    container.innerHTML = insights.map((insight, index) => `
+    return insights;
+}
+
+/**
+ * Renders insights as HTML; titles and descriptions are escaped because
+ * they can quote uploaded values (segment names)
+ *
+ * @param {Array} insights - From buildInsights
+ * @returns {string} HTML
+ */
+function renderInsightItems(insights) {
+    return insights.map((insight, index) => `
         <div class="insight-item insight-${insight.type}" style="animation-delay: ${index * 0.1}s">
             <div class="insight-icon">${insight.icon}</div>
             <div class="insight-content">
-                <div class="insight-title">${insight.title}</div>
-                <div class="insight-description">${insight.description}</div>
+                <div class="insight-title">${escapeHtml(insight.title)}</div>
+                <div class="insight-description">${escapeHtml(insight.description)}</div>
             </div>
         </div>
     `).join('');
 }
 
 /**
- * Analyzes criteria scores for insights
+ * Analyzes criteria scores for insights and snapshot trends
  *
  * @param {Array} data - Processed customer data
- * @returns {Array} Statistics per criterion
+ * @param {Object} thresholds - Threshold set for the band shares
+ * @returns {Array} Statistics per criterion:
+ *          { key, name, avgScore, bandShares: { low, moderate, elevated, high } }
+ *          (shares are fractions of the customers; 0 for an empty portfolio)
  */
-function analyzeCriteria(data) {
-    const criteria = ['transaction_history', 'affordability', 'employment', 'behavior'];
-    const names = ['Transaction History', 'Affordability', 'Employment', 'Behavior'];
-
-    return criteria.map((criterion, index) => {
+function analyzeCriteria(data, thresholds = getActiveThresholds()) {
+    return CRITERIA.map(criterion => {
         const scores = data.map(d => d[criterion]);
-        const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
+        const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+
+        const bandShares = {};
+        RISK_CATEGORIES.forEach(band => {
+            const count = scores.filter(score => getCriteriaRisk(score, thresholds) === band).length;
+            bandShares[band] = scores.length > 0 ? count / scores.length : 0;
+        });
 
         return {
             key: criterion,
-            name: names[index],
-            avgScore: avgScore
+            name: CRITERION_NAMES[criterion],
+            avgScore: avgScore,
+            bandShares
         };
     });
 }
 
+// ============================================================================
+// SEGMENTS
+// ============================================================================
+
+/**
+ * Trace colors for split charts, one per segment (risk colors come last so
+ * a segment is not read as a risk level)
+ */
+const SEGMENT_COLORS = [COLORS.turquoise, COLORS.moderate, '#7b61ff', COLORS.background, '#8a94a6', COLORS.elevated];
+
+/**
+ * Segments drawn separately in split charts; smaller ones are merged into "Other"
+ */
+const MAX_SPLIT_SEGMENTS = SEGMENT_COLORS.length;
+
+/**
+ * Display name of a segment dimension, e.g. "sales_channel" -> "Sales channel"
+ *
+ * @param {string} dimension - Dimension (normalized column name)
+ * @returns {string} Label
+ */
+function formatDimensionName(dimension) {
+    const text = dimension.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Display text of a segment value
+ *
+ * @param {string} value - Segment value ('' for blank)
+ * @returns {string} Label
+ */
+function formatSegmentValue(value) {
+    return value === '' ? '(blank)' : value;
+}
+
+/**
+ * Segment value of a record for the selected dimension
+ *
+ * @param {Object} record - Customer record
+ * @returns {string} Value ('' when blank or missing)
+ */
+function getRecordSegment(record) {
+    return (record.segments && record.segments[AppState.segment.dimension]) || '';
+}
+
+/**
+ * Customers the summary cards, insights and portfolio charts describe: the
+ * selected segment, or everyone when none is filtered
+ *
+ * @returns {Array} Processed customer data
+ */
+function getSegmentData() {
+    const { dimension, value } = AppState.segment;
+    if (!dimension || value === null) return AppState.processedData;
+    return AppState.processedData.filter(record => getRecordSegment(record) === value);
+}
+
+/**
+ * Groups for split charts: the largest segments of the selected dimension,
+ * the rest merged into "Other"
+ *
+ * @returns {Array|null} [{ label, data }], or null when charts are not split
+ */
+function getSplitGroups() {
+    const { dimension, value } = AppState.segment;
+    if (!dimension || value !== null) return null;
+
+    const data = AppState.processedData;
+    const values = summarizeSegments(data, dimension).map(segment => segment.value);
+    const shown = values.length > MAX_SPLIT_SEGMENTS ? values.slice(0, MAX_SPLIT_SEGMENTS - 1) : values;
+
+    const groups = shown.map(segment => ({
+        label: formatSegmentValue(segment),
+        data: data.filter(record => getRecordSegment(record) === segment)
+    }));
+    if (shown.length < values.length) {
+        groups.push({ label: 'Other', data: data.filter(record => !shown.includes(getRecordSegment(record))) });
+    }
+    return groups;
+}
+
+/**
+ * Renders the segment selectors, dropping a selection the data no longer has
+ */
+function renderSegmentControls() {
+    const dimensions = getSegmentDimensions(AppState.processedData);
+    const segment = AppState.segment;
+
+    if (!dimensions.includes(segment.dimension)) {
+        segment.dimension = '';
+        segment.value = null;
+    }
+    const values = segment.dimension
+        ? summarizeSegments(AppState.processedData, segment.dimension).map(s => s.value)
+        : [];
+    if (segment.value !== null && !values.includes(segment.value)) {
+        segment.value = null;
+    }
+
+    document.getElementById('segmentBar').hidden = dimensions.length === 0;
+
+    document.getElementById('segmentDimension').innerHTML =
+        `<option value="">Whole portfolio</option>` +
+        dimensions.map(dimension => `
+            <option value="${escapeHtml(dimension)}" ${dimension === segment.dimension ? 'selected' : ''}>${escapeHtml(formatDimensionName(dimension))}</option>
+        `).join('');
+
+    const view = document.getElementById('segmentView');
+    view.disabled = !segment.dimension;
+    view.innerHTML = segment.dimension
+        ? `<option value="*">Compare all (split charts)</option>` +
+            values.map(value => `
+                <option value="=${escapeHtml(value)}" ${value === segment.value ? 'selected' : ''}>Only ${escapeHtml(formatSegmentValue(value))}</option>
+            `).join('')
+        : '<option value="*">—</option>';
+}
+
+/**
+ * Renders the decision mix per segment of the selected dimension; the
+ * filtered segment is highlighted
+ */
+function renderSegmentBreakdown() {
+    const panel = document.getElementById('segmentBreakdown');
+    const { dimension, value } = AppState.segment;
+    panel.hidden = !dimension;
+    if (!dimension) return;
+
+    const segments = summarizeSegments(AppState.processedData, dimension);
+    const hasExposure = summarizeExposure(AppState.processedData).total.priced > 0;
+
+    document.getElementById('segmentBreakdownTitle').textContent = `Decisions by ${formatDimensionName(dimension)}`;
+    document.getElementById('segmentBreakdownHead').innerHTML = `
+        <tr>
+            <th>${escapeHtml(formatDimensionName(dimension))}</th><th>Customers</th>
+            ${DECISIONS.map(decision => `<th>${decision}</th>`).join('')}
+            <th>Avg Score</th>
+            ${hasExposure ? '<th>Exposure</th><th>Expected Loss</th>' : ''}
+        </tr>
+    `;
+    document.getElementById('segmentBreakdownBody').innerHTML = segments.map(segment => `
+        <tr class="clickable-row ${segment.value === value ? 'selected-row' : ''}" data-segment="${escapeHtml(segment.value)}">
+            <td><strong>${escapeHtml(formatSegmentValue(segment.value))}</strong></td>
+            <td>${segment.total}</td>
+            ${DECISIONS.map(decision => `
+                <td>${segment.counts[decision]} <span class="segment-share">(${formatPercent(segment.counts[decision] / segment.total)})</span></td>
+            `).join('')}
+            <td>${segment.averageScore}</td>
+            ${hasExposure ? `<td>${formatMoney(segment.exposure)}</td><td>${formatMoney(segment.expectedLoss)}</td>` : ''}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Re-renders everything that follows the segment view
+ */
+function updateSegmentViews() {
+    renderSegmentControls();
+    updateSummaryCards();
+    updateInsights();
+    updateCharts();
+    runSimulation();
+    scheduleSessionSave();
+}
+
 // ============================================================================
 // CHART RENDERING
 // ============================================================================
@@ -589,6 +854,10 @@ function analyzeCriteria(data) {
  * 3. Histogram - Score distribution
  * 4. Radar - Individual customer profile
  * 5. Heatmap - Portfolio overview
+ *
+ * SEGMENTS:
+ * All five follow the segment view: a filtered segment is charted on its
+ * own; "compare all" splits each chart by segment (getSplitGroups).
  */
 function updateCharts() {
     if (AppState.processedData.length === 0) return;
@@ -596,7 +865,7 @@ function updateCharts() {
     renderRiskDistributionChart();
     renderCriteriaBreakdownChart();
     renderScoreDistributionChart();
-    renderRadarChart('all');
+    renderRadarChart(document.getElementById('customerSelect').value || 'all');
     renderHeatmapChart();
 }
 
@@ -606,30 +875,32 @@ function updateCharts() {
  * VISUALIZATION LOGIC:
  * Donut chart showing percentage of each decision type.
  * Color-coded to match risk level colors.
+ * Split by segment: one smaller donut per segment in a grid.
  */
 function renderRiskDistributionChart() {
-    const data = AppState.processedData;
-
-    const counts = {
-        'Auto Approve': data.filter(d => d.decision === 'Auto Approve').length,
-        'Manual Review': data.filter(d => d.decision === 'Manual Review').length,
-        'Elevated Risk': data.filter(d => d.decision === 'Elevated Risk').length,
-        'Auto Deny': data.filter(d => d.decision === 'Auto Deny').length
-    };
+    const groups = getSplitGroups() || [{ label: null, data: getSegmentData() }];
+    const columns = Math.min(groups.length, 3);
+    const rows = Math.ceil(groups.length / columns);
 
-    const plotData = [{
-        values: Object.values(counts),
-        labels: Object.keys(counts),
-        type: 'pie',
-        hole: 0.5,
-        marker: {
-            colors: [COLORS.low, COLORS.moderate, COLORS.elevated, COLORS.high]
-        },
-        textinfo: 'percent+label',
-        textposition: 'outside',
-        automargin: true,
-        hovertemplate: '%{label}<br>Count: %{value}<br>Percentage: %{percent}<extra></extra>'
-    }];
+    const plotData = groups.map((group, index) => {
+        const counts = countDecisions(group.data);
+        return {
+            values: DECISIONS.map(decision => counts[decision]),
+            labels: DECISIONS,
+            type: 'pie',
+            hole: 0.5,
+            marker: {
+                colors: [COLORS.low, COLORS.moderate, COLORS.elevated, COLORS.high]
+            },
+            textinfo: group.label === null ? 'percent+label' : 'percent',
+            textposition: group.label === null ? 'outside' : 'inside',
+            automargin: true,
+            title: group.label === null ? undefined : { text: `${escapeHtml(group.label)} (${group.data.length})`, position: 'top center' },
+            domain: { row: Math.floor(index / columns), column: index % columns },
+            hovertemplate: (group.label === null ? '' : `${escapeHtml(group.label)}<br>`) +
+                '%{label}<br>Count: %{value}<br>Percentage: %{percent}<extra></extra>'
+        };
+    });
 
     const layout = {
         showlegend: true,
@@ -637,6 +908,7 @@ function renderRiskDistributionChart() {
             orientation: 'h',
             y: -0.1
         },
+        grid: { rows, columns },
         margin: { t: 20, b: 60, l: 20, r: 20 },
         paper_bgcolor: 'rgba(0,0,0,0)',
         plot_bgcolor: 'rgba(0,0,0,0)'
@@ -656,11 +928,39 @@ function renderRiskDistributionChart() {
  * VISUALIZATION LOGIC:
  * Shows distribution of risk levels within each criterion.
  * Helps identify which criteria cause most issues.
+ * Split by segment: one bar per segment with the share of its customers
+ * Elevated or High Risk on each criterion, so segment sizes do not matter.
  */
 function renderCriteriaBreakdownChart() {
-    const data = AppState.processedData;
+    const data = getSegmentData();
     const criteria = ['transaction_history', 'affordability', 'employment', 'behavior'];
     const labels = ['Transaction', 'Affordability', 'Employment', 'Behavior'];
+    const groups = getSplitGroups();
+
+    if (groups) {
+        const adverse = ['elevated', 'high'];
+        const traces = groups.map((group, index) => ({
+            name: group.label,
+            x: labels,
+            y: criteria.map(criterion => group.data.filter(d =>
+                adverse.includes(getCriteriaRisk(d[criterion], getActiveThresholds()))).length / group.data.length * 100),
+            type: 'bar',
+            marker: { color: SEGMENT_COLORS[index] },
+            hovertemplate: `%{x}<br>${escapeHtml(group.label)}: %{y:.1f}% Elevated or High<extra></extra>`
+        }));
+
+        Plotly.newPlot('criteriaBreakdownChart', traces, {
+            barmode: 'group',
+            showlegend: true,
+            legend: { orientation: 'h', y: -0.2 },
+            margin: { t: 20, b: 80, l: 50, r: 20 },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            yaxis: { title: '% Elevated or High', gridcolor: 'rgba(0,0,0,0.1)' },
+            xaxis: { tickangle: 0 }
+        }, { responsive: true, displayModeBar: false });
+        return;
+    }
 
     // Count risk levels per criterion
     const riskLevels = ['Low Risk', 'Moderate Risk', 'Elevated Risk', 'High Risk'];
@@ -668,7 +968,7 @@ function renderCriteriaBreakdownChart() {
 
     const traces = riskLevels.map((level, levelIndex) => {
         const counts = criteria.map(criterion => {
-            return data.filter(d => getRiskLevel(d[criterion]) === level).length;
+            return data.filter(d => getRiskLevel(d[criterion], getActiveThresholds()) === level).length;
         });
 
         return {
@@ -716,27 +1016,44 @@ function renderCriteriaBreakdownChart() {
  * VISUALIZATION LOGIC:
  * Shows spread of combined scores with threshold lines.
  * Helps identify clustering and boundary cases.
+ * Split by segment: overlaid histograms in percent of each segment.
  */
 function renderScoreDistributionChart() {
-    const data = AppState.processedData;
+    const data = getSegmentData();
     const scores = data.map(d => d.combined_score);
-
-    const plotData = [{
-        x: scores,
-        type: 'histogram',
-        nbinsx: 20,
-        marker: {
-            color: COLORS.turquoise,
-            line: {
-                color: 'white',
-                width: 1
-            }
-        },
-        hovertemplate: 'Score: %{x}<br>Count: %{y}<extra></extra>'
-    }];
+    const thresholds = getActiveThresholds();
+    const groups = getSplitGroups();
+
+    const plotData = groups
+        ? groups.map((group, index) => ({
+            x: group.data.map(d => d.combined_score),
+            name: group.label,
+            type: 'histogram',
+            histnorm: 'percent',
+            xbins: { start: 0, end: 100, size: 5 },
+            opacity: 0.55,
+            marker: { color: SEGMENT_COLORS[index] },
+            hovertemplate: `${escapeHtml(group.label)}<br>Score: %{x}<br>%{y:.1f}%<extra></extra>`
+        }))
+        : [{
+            x: scores,
+            type: 'histogram',
+            nbinsx: 20,
+            marker: {
+                color: COLORS.turquoise,
+                line: {
+                    color: 'white',
+                    width: 1
+                }
+            },
+            hovertemplate: 'Score: %{x}<br>Count: %{y}<extra></extra>'
+        }];
 
     const layout = {
-        margin: { t: 20, b: 50, l: 50, r: 20 },
+        barmode: 'overlay',
+        showlegend: !!groups,
+        legend: { orientation: 'h', y: -0.25 },
+        margin: { t: 20, b: groups ? 80 : 50, l: 50, r: 20 },
         paper_bgcolor: 'rgba(0,0,0,0)',
         plot_bgcolor: 'rgba(0,0,0,0)',
         xaxis: {
@@ -745,37 +1062,37 @@ function renderScoreDistributionChart() {
             gridcolor: 'rgba(0,0,0,0.1)'
         },
         yaxis: {
-            title: 'Count',
+            title: groups ? '% of segment' : 'Count',
             gridcolor: 'rgba(0,0,0,0.1)'
         },
         shapes: [
             // Threshold lines
             {
                 type: 'line',
-                x0: 70, x1: 70,
+                x0: thresholds.low, x1: thresholds.low,
                 y0: 0, y1: 1,
                 yref: 'paper',
                 line: { color: COLORS.low, width: 2, dash: 'dash' }
             },
             {
                 type: 'line',
-                x0: 50, x1: 50,
+                x0: thresholds.moderate, x1: thresholds.moderate,
                 y0: 0, y1: 1,
                 yref: 'paper',
                 line: { color: COLORS.moderate, width: 2, dash: 'dash' }
             },
             {
                 type: 'line',
-                x0: 35, x1: 35,
+                x0: thresholds.elevated, x1: thresholds.elevated,
                 y0: 0, y1: 1,
                 yref: 'paper',
                 line: { color: COLORS.elevated, width: 2, dash: 'dash' }
             }
         ],
         annotations: [
-            { x: 70, y: 1, yref: 'paper', text: 'Low', showarrow: false, yanchor: 'bottom' },
-            { x: 50, y: 1, yref: 'paper', text: 'Moderate', showarrow: false, yanchor: 'bottom' },
-            { x: 35, y: 1, yref: 'paper', text: 'Elevated', showarrow: false, yanchor: 'bottom' }
+            { x: thresholds.low, y: 1, yref: 'paper', text: 'Low', showarrow: false, yanchor: 'bottom' },
+            { x: thresholds.moderate, y: 1, yref: 'paper', text: 'Moderate', showarrow: false, yanchor: 'bottom' },
+            { x: thresholds.elevated, y: 1, yref: 'paper', text: 'Elevated', showarrow: false, yanchor: 'bottom' }
         ]
     };
 
@@ -795,25 +1112,53 @@ function renderScoreDistributionChart() {
  * VISUALIZATION LOGIC:
  * Spider/radar chart showing scores across all four criteria.
  * Useful for identifying specific weak areas per customer.
+ * The average follows the segment view: the filtered segment's average,
+ * or one polygon per segment when split.
  */
 function renderRadarChart(customerId) {
-    const data = AppState.processedData;
+    const groups = customerId === 'all' ? getSplitGroups() : null;
+    const figure = groups
+        ? buildSegmentRadarFigure(groups)
+        : buildRadarFigure(customerId, { data: getSegmentData() });
+
+    // A segment filter can exclude the selected customer; don't leave their old plot up
+    document.getElementById('radarNote').hidden = Boolean(figure);
+    if (!figure) {
+        Plotly.purge('radarChart');
+        return;
+    }
+
+    const config = {
+        responsive: true,
+        displayModeBar: false
+    };
+
+    Plotly.newPlot('radarChart', figure.data, figure.layout, config);
+}
+
+/**
+ * Builds the radar chart figure for a customer or the portfolio average
+ *
+ * @param {string} customerId - Customer ID or 'all' for the average
+ * @param {Object} options - { compareToAverage: true } overlays the
+ *   portfolio average (credit memo); { data } averages these customers
+ *   instead of the whole portfolio
+ * @returns {Object|null} { data, layout }, or null for an unknown customer
+ */
+function buildRadarFigure(customerId, options = {}) {
+    const data = options.data || AppState.processedData;
+    const theta = ['Transaction', 'Affordability', 'Employment', 'Behavior', 'Transaction'];
+    const averages = CRITERIA.map(criterion => data.reduce((sum, d) => sum + d[criterion], 0) / data.length);
 
     let values;
     let title;
 
     if (customerId === 'all') {
-        // Calculate averages
-        values = [
-            data.reduce((sum, d) => sum + d.transaction_history, 0) / data.length,
-            data.reduce((sum, d) => sum + d.affordability, 0) / data.length,
-            data.reduce((sum, d) => sum + d.employment, 0) / data.length,
-            data.reduce((sum, d) => sum + d.behavior, 0) / data.length
-        ];
+        values = [...averages];
         title = 'Portfolio Average';
     } else {
         const customer = data.find(d => d.customer_id === customerId);
-        if (!customer) return;
+        if (!customer) return null;
 
         values = [
             customer.transaction_history,
@@ -830,7 +1175,7 @@ function renderRadarChart(customerId) {
     const plotData = [{
         type: 'scatterpolar',
         r: values,
-        theta: ['Transaction', 'Affordability', 'Employment', 'Behavior', 'Transaction'],
+        theta: theta,
         fill: 'toself',
         fillcolor: 'rgba(1, 207, 251, 0.3)',
         line: {
@@ -845,6 +1190,17 @@ function renderRadarChart(customerId) {
         hovertemplate: '%{theta}: %{r:.1f}<extra></extra>'
     }];
 
+    if (options.compareToAverage && customerId !== 'all') {
+        plotData.unshift({
+            type: 'scatterpolar',
+            r: [...averages, averages[0]],
+            theta: theta,
+            line: { color: COLORS.background, width: 1, dash: 'dash' },
+            name: 'Portfolio Average',
+            hoverinfo: 'skip'
+        });
+    }
+
     const layout = {
         polar: {
             radialaxis: {
@@ -856,18 +1212,51 @@ function renderRadarChart(customerId) {
                 gridcolor: 'rgba(0,0,0,0.1)'
             }
         },
-        showlegend: false,
+        showlegend: !!options.compareToAverage,
+        legend: { orientation: 'h', y: -0.1 },
         margin: { t: 30, b: 30, l: 60, r: 60 },
         paper_bgcolor: 'rgba(0,0,0,0)',
         plot_bgcolor: 'rgba(0,0,0,0)'
     };
 
-    const config = {
-        responsive: true,
-        displayModeBar: false
+    return { data: plotData, layout };
+}
+
+/**
+ * Builds a radar figure with one average polygon per segment
+ *
+ * @param {Array} groups - From getSplitGroups
+ * @returns {Object} { data, layout }
+ */
+function buildSegmentRadarFigure(groups) {
+    const theta = ['Transaction', 'Affordability', 'Employment', 'Behavior', 'Transaction'];
+
+    const plotData = groups.map((group, index) => {
+        const averages = CRITERIA.map(criterion =>
+            group.data.reduce((sum, d) => sum + d[criterion], 0) / group.data.length);
+        return {
+            type: 'scatterpolar',
+            r: [...averages, averages[0]],
+            theta,
+            line: { color: SEGMENT_COLORS[index], width: 2 },
+            name: group.label,
+            hovertemplate: `${escapeHtml(group.label)}<br>%{theta}: %{r:.1f}<extra></extra>`
+        };
+    });
+
+    const layout = {
+        polar: {
+            radialaxis: { visible: true, range: [0, 100], gridcolor: 'rgba(0,0,0,0.1)' },
+            angularaxis: { gridcolor: 'rgba(0,0,0,0.1)' }
+        },
+        showlegend: true,
+        legend: { orientation: 'h', y: -0.1 },
+        margin: { t: 30, b: 30, l: 60, r: 60 },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)'
     };
 
-    Plotly.newPlot('radarChart', plotData, layout, config);
+    return { data: plotData, layout };
 }
 
 /**
@@ -877,9 +1266,19 @@ function renderRadarChart(customerId) {
  * Matrix visualization with customers as rows, criteria as columns.
  * Color intensity indicates risk level (red = high risk).
  * Limited to 50 customers for readability.
+ * Split by segment: one row per segment with its average scores.
  */
 function renderHeatmapChart() {
-    const data = AppState.processedData.slice(0, 50); // Limit for readability
+    const groups = getSplitGroups();
+    const data = groups
+        ? groups.map(group => {
+            const row = { customer_id: group.label };
+            CRITERIA.forEach(criterion => {
+                row[criterion] = Math.round(group.data.reduce((sum, d) => sum + d[criterion], 0) / group.data.length * 10) / 10;
+            });
+            return row;
+        })
+        : getSegmentData().slice(0, 50); // Limit for readability
 
     const z = data.map(d => [
         d.transaction_history,
@@ -905,7 +1304,7 @@ function renderHeatmapChart() {
             title: 'Score',
             titleside: 'right'
         },
-        hovertemplate: 'Customer: %{y}<br>Criterion: %{x}<br>Score: %{z}<extra></extra>'
+        hovertemplate: `${groups ? 'Segment' : 'Customer'}: %{y}<br>Criterion: %{x}<br>${groups ? 'Average score' : 'Score'}: %{z}<extra></extra>`
     }];
 
     const layout = {
@@ -938,6 +1337,7 @@ function updateCustomerSelector() {
 
     // Clear existing options except first
     select.innerHTML = '<option value="all">All Customers (Average)</option>';
+    document.getElementById('radarMemo').disabled = true;
 
     // Add customer options
     data.forEach(customer => {
@@ -948,12 +1348,417 @@ function updateCustomerSelector() {
     });
 }
 
+// ============================================================================
+// OUTCOME BACKTESTING
+// ============================================================================
+
+/**
+ * Line color of the combined score in the ROC and gains charts
+ */
+const COMBINED_SCORE_COLOR = COLORS.background;
+
+/**
+ * Display name of a backtested score
+ *
+ * @param {string} key - 'combined_score' or a criterion
+ * @returns {string} Name
+ */
+function getScoreName(key) {
+    return key === 'combined_score' ? 'Combined Score' : CRITERION_NAMES[key];
+}
+
+/**
+ * Reads a performance outcomes file and joins it to the loaded portfolio
+ *
+ * @param {File} file - CSV, XLSX, JSON or NDJSON with customer_id,
+ *   defaulted and optionally loss_amount
+ * @returns {Promise<void>}
+ *
+ * Rows with problems are skipped; the first few are named in the status.
+ */
+async function loadOutcomesFile(file) {
+    const format = getFileFormat(file.name);
+    let rows;
+
+    try {
+        if (format === 'csv') {
+            rows = parseCSV(await file.text());
+        } else if (format === 'json' || format === 'ndjson') {
+            rows = parseJSONRecords(await file.text());
+        } else if (format === 'xlsx' && typeof XLSX !== 'undefined') {
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '', blankrows: false });
+        } else {
+            showStatus('backtestStatus', 'Unsupported file type. Upload CSV, XLSX, JSON or NDJSON.', 'error');
+            return;
+        }
+    } catch (error) {
+        showStatus('backtestStatus', `Error parsing ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    const { outcomes, errors, missingColumns, hasLoss } = validateOutcomes(rows);
+    if (missingColumns.length > 0) {
+        showStatus('backtestStatus', `Missing columns: ${missingColumns.join(', ')}`, 'error');
+        return;
+    }
+    if (Object.keys(outcomes).length === 0) {
+        showStatus('backtestStatus', `No valid outcomes found in ${file.name}`, 'error');
+        return;
+    }
+
+    AppState.outcomes = { fileName: file.name, outcomes, hasLoss };
+    updateBacktest();
+    scheduleSessionSave();
+
+    const skippedRows = new Set(errors.map(error => error.row)).size;
+    const listed = errors.slice(0, 3).map(error => `line ${error.row}: ${error.column} - ${error.reason}`).join('; ');
+    showStatus('backtestStatus',
+        `Loaded ${Object.keys(outcomes).length} outcomes from ${file.name}` +
+        (skippedRows > 0 ? ` (${skippedRows} rows skipped - ${listed}${errors.length > 3 ? '; …' : ''})` : ''),
+        'success');
+}
+
+/**
+ * Forgets the loaded outcomes
+ */
+function clearOutcomes() {
+    AppState.outcomes = null;
+    updateBacktest();
+    scheduleSessionSave();
+}
+
+/**
+ * Renders default rates and discrimination metrics for the loaded outcomes
+ *
+ * METHODOLOGY:
+ * Outcomes are joined to the scored portfolio by customer_id, so a policy
+ * change re-runs the backtest on the new decisions. Default rates should
+ * rise from Auto Approve to Auto Deny (and Low to High Risk); AUC, KS and
+ * Gini measure how well each score ranks defaulters below non-defaulters
+ * (see summarizeBacktest in engine.js).
+ */
+function updateBacktest() {
+    const loaded = AppState.outcomes;
+    const hasData = AppState.processedData.length > 0;
+
+    document.getElementById('uploadOutcomes').disabled = !hasData;
+    document.getElementById('clearOutcomes').disabled = !loaded;
+    document.getElementById('backtestHint').textContent = loaded
+        ? `Outcomes: ${loaded.fileName}`
+        : 'Upload customer_id, defaulted (1/0) and optionally loss_amount';
+
+    const results = document.getElementById('backtestResults');
+    results.hidden = !loaded || !hasData;
+    if (results.hidden) return;
+
+    const backtest = summarizeBacktest(AppState.processedData, loaded.outcomes);
+
+    document.getElementById('backtestSummary').innerHTML = `
+        <strong>${backtest.matched}</strong> of ${AppState.processedData.length} customers have an outcome ·
+        <strong>${backtest.defaults}</strong> defaults
+        (${backtest.defaultRate === null ? '—' : formatPercent(backtest.defaultRate)})
+        ${loaded.hasLoss ? ` · losses ${formatMoney(backtest.loss)}` : ''}
+        ${backtest.unmatchedOutcomes > 0 ? ` · ${backtest.unmatchedOutcomes} outcomes for customers not in this portfolio` : ''}
+    `;
+
+    renderDefaultRateTable('backtestDecisionBody', backtest.byDecision, loaded.hasLoss,
+        decision => `<span class="decision-badge ${getDecisionClass(decision)}">${decision}</span>`);
+    renderDefaultRateTable('backtestRiskBody', backtest.byRiskLevel, loaded.hasLoss,
+        level => `<span class="risk-badge ${getRiskBadgeClass(level)}">${level}</span>`);
+    renderDiscriminationTable(backtest.metrics);
+
+    // Suggestions are for the policy and outcomes they were computed with
+    optimizationResult = null;
+    document.getElementById('optimizerResults').hidden = true;
+    document.getElementById('trialThresholds').disabled = true;
+
+    const measured = backtest.metrics.filter(metric => metric.roc);
+    if (measured.length > 0) {
+        renderRocChart(measured);
+        renderGainsChart(measured);
+    } else {
+        Plotly.purge('rocChart');
+        Plotly.purge('gainsChart');
+    }
+}
+
+/**
+ * Renders one default-rate table
+ *
+ * @param {string} bodyId - tbody element ID
+ * @param {Object} groups - state -> { count, defaults, rate, loss }
+ * @param {boolean} hasLoss - Whether the outcomes carry loss amounts
+ * @param {Function} renderBadge - Returns the badge HTML for a state
+ */
+function renderDefaultRateTable(bodyId, groups, hasLoss, renderBadge) {
+    document.getElementById(bodyId).innerHTML = Object.entries(groups).map(([state, group]) => `
+        <tr>
+            <td>${renderBadge(state)}</td>
+            <td>${group.count}</td>
+            <td>${group.defaults}</td>
+            <td><strong>${group.rate === null ? '—' : formatPercent(group.rate)}</strong></td>
+            <td>${hasLoss ? formatMoney(group.loss) : '—'}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Renders AUC, KS and Gini per score
+ *
+ * @param {Array} metrics - See summarizeBacktest
+ */
+function renderDiscriminationTable(metrics) {
+    document.getElementById('backtestMetricsBody').innerHTML = metrics.map(metric => `
+        <tr>
+            <td><strong>${getScoreName(metric.key)}</strong></td>
+            ${metric.roc ? `
+                <td>${metric.auc.toFixed(3)}</td>
+                <td>${metric.ks.toFixed(3)}${metric.ksScore === null ? '' : ` <span class="chart-subtitle">at ${metric.ksScore}</span>`}</td>
+                <td>${metric.gini.toFixed(3)}</td>
+            ` : '<td colspan="3" class="table-placeholder">Needs both defaulters and non-defaulters</td>'}
+        </tr>
+    `).join('');
+}
+
+/**
+ * Line chart traces for ROC or gains curves, combined score first
+ *
+ * @param {Array} metrics - Measured scores (see summarizeBacktest)
+ * @param {string} curve - 'roc' or 'gains'
+ * @returns {Array} Plotly traces, ending with the random-ranking diagonal
+ */
+function buildCurveTraces(metrics, curve) {
+    const traces = metrics.map(metric => {
+        const combined = metric.key === 'combined_score';
+        return {
+            x: metric[curve].map(point => point.x * 100),
+            y: metric[curve].map(point => point.y * 100),
+            name: `${getScoreName(metric.key)} (AUC ${metric.auc.toFixed(2)})`,
+            type: 'scatter',
+            mode: 'lines',
+            line: {
+                color: combined ? COMBINED_SCORE_COLOR : CRITERION_COLORS[metric.key],
+                width: combined ? 3 : 1.5
+            },
+            hovertemplate: `${getScoreName(metric.key)}: %{x:.1f}% → %{y:.1f}%<extra></extra>`
+        };
+    });
+
+    traces.push({
+        x: [0, 100],
+        y: [0, 100],
+        name: 'Random',
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: '#999', width: 1, dash: 'dot' },
+        hoverinfo: 'skip'
+    });
+
+    return traces;
+}
+
+/**
+ * Plotly layout shared by the ROC and gains charts
+ *
+ * @param {string} xTitle - X-axis title
+ * @returns {Object} Layout
+ */
+function curveLayout(xTitle) {
+    return {
+        margin: { t: 20, b: 50, l: 60, r: 20 },
+        legend: { orientation: 'h', y: -0.25 },
+        xaxis: { title: xTitle, range: [0, 100] },
+        yaxis: { title: '% of defaulters', range: [0, 100] },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)'
+    };
+}
+
+/**
+ * ROC curve: defaulters caught against non-defaulters declined, lowest
+ * scores first
+ *
+ * @param {Array} metrics - Measured scores
+ */
+function renderRocChart(metrics) {
+    Plotly.newPlot('rocChart', buildCurveTraces(metrics, 'roc'),
+        curveLayout('% of non-defaulters'), { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Cumulative gains: defaulters caught against customers declined, lowest
+ * scores first
+ *
+ * @param {Array} metrics - Measured scores
+ */
+function renderGainsChart(metrics) {
+    Plotly.newPlot('gainsChart', buildCurveTraces(metrics, 'gains'),
+        curveLayout('% of customers'), { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Result of the last threshold search (see optimizeThresholds), null when
+ * stale or not run
+ */
+let optimizationResult = null;
+
+/**
+ * Reads the optimizer inputs
+ *
+ * @returns {Object|null} Options for optimizeThresholds, or null (with a
+ *   status message) when an input is invalid
+ */
+function readOptimizerOptions() {
+    const options = {
+        objective: document.getElementById('optObjective').value,
+        revenuePerGood: parseFloat(document.getElementById('optRevenue').value),
+        lossPerBad: parseFloat(document.getElementById('optLoss').value),
+        targetApprovalRate: parseFloat(document.getElementById('optTarget').value) / 100
+    };
+
+    if (!(options.revenuePerGood >= 0) || !(options.lossPerBad >= 0)) {
+        showStatus('optimizerStatus', 'Revenue and loss must be amounts of 0 or more', 'error');
+        return null;
+    }
+    if (options.objective === 'bad_rate' && !(options.targetApprovalRate >= 0 && options.targetApprovalRate <= 1)) {
+        showStatus('optimizerStatus', 'Target approval rate must be between 0 and 100%', 'error');
+        return null;
+    }
+
+    return options;
+}
+
+/**
+ * Searches threshold sets against the loaded outcomes and shows the
+ * suggestion next to the current policy
+ *
+ * @returns {Promise<void>}
+ */
+async function runOptimization() {
+    if (!AppState.outcomes) return;
+
+    const options = readOptimizerOptions();
+    if (!options) return;
+
+    const button = document.getElementById('runOptimization');
+    button.disabled = true;
+    showStatus('optimizerStatus', 'Searching threshold sets…', 'success');
+
+    // Let the status paint before the search blocks the page
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    try {
+        optimizationResult = optimizeThresholds(AppState.rawData, AppState.policy, AppState.outcomes.outcomes, options);
+    } finally {
+        button.disabled = false;
+    }
+
+    const { best, candidates, matched } = optimizationResult;
+    document.getElementById('optimizerResults').hidden = false;
+    document.getElementById('trialThresholds').disabled = !best;
+    renderOptimizerCards(options);
+    renderFrontierChart();
+
+    showStatus('optimizerStatus', best
+        ? `Searched ${candidates.length} threshold sets on ${matched} customers with outcomes`
+        : `No threshold set reaches a ${formatPercent(options.targetApprovalRate)} approval rate`,
+        best ? 'success' : 'error');
+}
+
+/**
+ * Shows the current policy and the suggestion side by side
+ *
+ * @param {Object} options - Options the search ran with
+ */
+function renderOptimizerCards(options) {
+    const { current, best } = optimizationResult;
+    const describe = (title, result) => `
+        <div class="sim-card">
+            <span class="sim-card-title">${title}</span>
+            <span class="sim-card-value">${result.thresholds.low} / ${result.thresholds.moderate} / ${result.thresholds.elevated}</span>
+            <span class="sim-card-rate">Approval ${formatPercent(result.approvalRate)} ·
+                bad rate ${result.badRate === null ? '—' : formatPercent(result.badRate)}</span>
+            <span class="sim-card-rate">Expected profit ${formatMoney(result.profit)}</span>
+        </div>
+    `;
+
+    document.getElementById('optimizerCards').innerHTML =
+        describe('Current policy (Low / Moderate / Elevated)', current) +
+        (best
+            ? describe(options.objective === 'profit'
+                ? 'Suggested: maximum profit'
+                : `Suggested: lowest bad rate at ≥ ${formatPercent(options.targetApprovalRate)} approval`, best)
+            : '');
+}
+
+/**
+ * Approval rate vs bad rate of every candidate, with the frontier, the
+ * current policy and the suggestion marked
+ */
+function renderFrontierChart() {
+    const { candidates, frontier, current, best } = optimizationResult;
+    const thresholdLabel = result => `${result.thresholds.low} / ${result.thresholds.moderate} / ${result.thresholds.elevated}`;
+    const point = (results, extra) => ({
+        x: results.map(result => result.approvalRate * 100),
+        y: results.map(result => (result.badRate || 0) * 100),
+        text: results.map(thresholdLabel),
+        type: 'scatter',
+        hovertemplate: 'Thresholds %{text}<br>Approval %{x:.1f}% · bad rate %{y:.1f}%<extra></extra>',
+        ...extra
+    });
+
+    const traces = [
+        point(candidates.filter(candidate => candidate.badRate !== null), {
+            name: 'Threshold sets', mode: 'markers', marker: { color: '#bbb', size: 5 }
+        }),
+        point(frontier, {
+            name: 'Efficient frontier', mode: 'lines+markers', line: { color: COLORS.moderate, width: 3 }
+        }),
+        point([current], {
+            name: 'Current policy', mode: 'markers', marker: { color: COLORS.background, size: 14, symbol: 'star' }
+        })
+    ];
+    if (best) {
+        traces.push(point([best], {
+            name: 'Suggested', mode: 'markers', marker: { color: COLORS.low, size: 14, symbol: 'diamond' }
+        }));
+    }
+
+    Plotly.newPlot('frontierChart', traces, {
+        margin: { t: 20, b: 50, l: 60, r: 20 },
+        legend: { orientation: 'h', y: -0.25 },
+        xaxis: { title: 'Approval rate (%)', rangemode: 'tozero' },
+        yaxis: { title: 'Bad rate among approved (%)', rangemode: 'tozero' },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)'
+    }, { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Loads the suggested thresholds into the what-if simulator
+ */
+function trialSuggestedThresholds() {
+    if (!optimizationResult || !optimizationResult.best) return;
+
+    const { thresholds } = optimizationResult.best;
+    setSimulatorThresholds(thresholds);
+    runSimulation();
+    showStatus('simulatorStatus',
+        `Trialling suggested thresholds ${thresholds.low} / ${thresholds.moderate} / ${thresholds.elevated} - Apply to Policy to keep them`,
+        'success');
+    document.getElementById('simulator').scrollIntoView({ behavior: 'smooth' });
+}
+
 // ============================================================================
 // TABLE RENDERING
 // ============================================================================
 
 /**
  * Updates data table with filtering and pagination
+ *
+ * FILTERS (all must hold): customer ID search, risk level dropdown and the
+ * query builder (matchesQuery). Exports and the snapshot use the result.
  */
 function updateTable() {
     const searchTerm = document.getElementById('searchInput').value.toLowerCase();
@@ -963,7 +1768,7 @@ function updateTable() {
     AppState.filteredData = AppState.processedData.filter(customer => {
         const matchesSearch = customer.customer_id.toLowerCase().includes(searchTerm);
         const matchesRisk = riskFilter === 'all' || customer.risk_level === riskFilter;
-        return matchesSearch && matchesRisk;
+        return matchesSearch && matchesRisk && matchesQuery(customer, AppState.query);
     });
 
     // Apply sorting
@@ -974,6 +1779,7 @@ function updateTable() {
     // Render table
     renderTable();
     renderPagination();
+    renderDrawerNavigation();
 }
 
 /**
@@ -1012,7 +1818,7 @@ function renderTable() {
     if (pageData.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="8" class="table-placeholder">
+                <td colspan="9" class="table-placeholder">
                     <span class="placeholder-icon">🔍</span>
                     <p>No records match your filters</p>
                 </td>
@@ -1025,15 +1831,27 @@ function renderTable() {
         const decisionClass = getDecisionClass(customer.decision);
 
         return `
-            <tr>
-                <td><strong>${customer.customer_id}</strong></td>
-                <td><span class="score-cell ${getScoreClass(customer.transaction_history)}">${customer.transaction_history}</span></td>
-                <td><span class="score-cell ${getScoreClass(customer.affordability)}">${customer.affordability}</span></td>
-                <td><span class="score-cell ${getScoreClass(customer.employment)}">${customer.employment}</span></td>
-                <td><span class="score-cell ${getScoreClass(customer.behavior)}">${customer.behavior}</span></td>
+            <tr class="clickable-row" data-id="${escapeHtml(customer.customer_id)}">
+                <td>
+                    <strong>${escapeHtml(customer.customer_id)}</strong>
+                    <button class="memo-btn" data-memo="${escapeHtml(customer.customer_id)}" title="Generate credit memo">📄 Memo</button>
+                </td>
+                ${CRITERIA.map(criterion => `
+                    <td>
+                        <span class="score-cell ${getScoreClass(customer[criterion])}">${customer[criterion]}</span>
+                        ${renderFeatureCaption(customer, criterion)}
+                        ${criterion === 'affordability' ? renderAffordabilityCaption(customer) : ''}
+                    </td>
+                `).join('')}
                 <td><strong>${customer.combined_score}</strong></td>
                 <td><span class="risk-badge ${getRiskBadgeClass(customer.risk_level)}">${customer.risk_level}</span></td>
-                <td><span class="decision-badge ${decisionClass}">${customer.decision}</span></td>
+                <td>
+                    <span class="decision-badge ${decisionClass}">${customer.decision}</span>
+                    <span class="rule-tag">${escapeHtml(customer.decision_rule)}</span>
+                    ${renderFinalDecisionTag(customer)}
+                    ${renderCounterOfferTag(customer)}
+                </td>
+                <td>${renderReasonCodes(customer)}</td>
             </tr>
         `;
     }).join('');
@@ -1044,11 +1862,117 @@ function renderTable() {
         `Showing ${start + 1}-${Math.min(end, total)} of ${total} records`;
 }
 
+/**
+ * Short descriptions of the ledger features behind each derived score
+ */
+const FEATURE_CAPTIONS = {
+    transaction_history: f => `${f.tenure_months} mo · ${f.transactions_per_month} txn/mo`,
+    affordability: f => (f.obligation_ratio === null
+        ? 'no income'
+        : `obligations ${Math.round(f.obligation_ratio * 100)}% of ${formatMoney(f.monthly_income)}/mo income`),
+    employment: f => `${f.payroll_deposits} payroll · ${Math.round(f.payroll_coverage * 100)}% of months` +
+        (f.payroll_interval_cv === null ? '' : ` · CV ${f.payroll_interval_cv}`),
+    behavior: f => `${f.nsf_events} NSF · ${f.stop_payments} stop · ${f.ach_returns} ACH ret · ${f.negative_balance_days} neg days`
+};
+
+/**
+ * Renders the derived-feature caption under a score (ledger imports only)
+ *
+ * @param {Object} customer - Processed customer record
+ * @param {string} criterion - Criterion key
+ * @returns {string} HTML, empty when the scores were uploaded directly
+ */
+function renderFeatureCaption(customer, criterion) {
+    if (!customer.features) return '';
+
+    const details = FEATURE_COLUMNS
+        .filter(feature => feature.criterion === criterion)
+        .map(feature => `${feature.label}: ${customer.features[feature.key] === null ? 'n/a' : customer.features[feature.key]}`)
+        .join('\n');
+
+    return `<span class="feature-caption" title="${escapeHtml(details)}">${FEATURE_CAPTIONS[criterion](customer.features)}</span>`;
+}
+
+/**
+ * Renders the debt-to-income caption under the affordability score
+ * (uploaded scores with a monthly income; ledger imports have their own)
+ *
+ * @param {Object} customer - Processed customer record
+ * @returns {string} HTML, empty without an affordability check
+ */
+function renderAffordabilityCaption(customer) {
+    if (customer.features || customer.max_payment === null) return '';
+
+    const details = [
+        `Debt-to-income: ${customer.dti === null ? 'n/a' : formatPercent(customer.dti)}`,
+        `Max new payment: ${formatMoney(customer.max_payment)}/mo`,
+        customer.payment === null ? null : `Requested payment: ${formatMoney(customer.payment)}/mo`,
+        customer.loan_dti === null ? null : `DTI with loan: ${formatPercent(customer.loan_dti)}`
+    ].filter(Boolean).join('\n');
+
+    return `<span class="feature-caption" title="${escapeHtml(details)}">` +
+        `DTI ${customer.dti === null ? 'n/a' : formatPercent(customer.dti)} · fits ${formatMoney(customer.max_payment)}/mo</span>`;
+}
+
+/**
+ * Describes a counter-offer, e.g. "$8,400 over 24 months"
+ *
+ * @param {Object} customer - Processed customer record
+ * @returns {string} Text, empty without a counter-offer
+ */
+function describeCounterOffer(customer) {
+    if (customer.counter_amount === null || customer.counter_amount === undefined) return '';
+    return `${formatMoney(customer.counter_amount)} over ${customer.counter_term} months`;
+}
+
+/**
+ * Counter-offer tag under the decision (empty without a counter-offer)
+ *
+ * @param {Object} customer - Processed customer record
+ * @returns {string} HTML
+ */
+function renderCounterOfferTag(customer) {
+    const offer = describeCounterOffer(customer);
+    if (!offer) return '';
+
+    return `<span class="counter-tag" title="Fits the ${formatMoney(customer.max_payment)}/mo affordable payment">` +
+        `Counter-offer: ${offer}</span>`;
+}
+
+/**
+ * Formats a currency amount without cents
+ *
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+function formatMoney(value) {
+    return `$${Math.round(value).toLocaleString()}`;
+}
+
+/**
+ * Renders the reason codes cell; denials are labelled as principal reasons
+ *
+ * @param {Object} customer - Processed customer record
+ * @returns {string} Cell HTML
+ */
+function renderReasonCodes(customer) {
+    const principal = getPrincipalReasons(customer);
+    const reasons = principal.length > 0 ? principal : customer.reason_codes;
+    const label = principal.length > 0 ? '<span class="reason-label">Principal reasons</span>' : '';
+
+    return `
+        <div class="reason-list" title="${escapeHtml(customer.reason_codes.join('\n'))}">
+            ${label}
+            ${reasons.map(reason => `<span class="reason-code">${escapeHtml(reason)}</span>`).join('')}
+        </div>
+    `;
+}
+
 /**
  * Gets CSS class for score cell based on risk level
  */
 function getScoreClass(score) {
-    const risk = getCriteriaRisk(score);
+    const risk = getCriteriaRisk(score, getActiveThresholds());
     return `score-${risk}`;
 }
 
@@ -1117,72 +2041,3946 @@ function renderPagination() {
 }
 
 // ============================================================================
-// EVENT HANDLERS
+// TABLE QUERIES AND SAVED VIEWS
 // ============================================================================
 
 /**
- * Initializes all event listeners
+ * Marks the sorted column header
  */
-function initEventListeners() {
-    // File upload
-    const csvInput = document.getElementById('csvFile');
-    const uploadArea = document.getElementById('uploadArea');
+function renderSortIndicators() {
+    document.querySelectorAll('.data-table th').forEach(header => {
+        header.classList.remove('sorted', 'sorted-asc', 'sorted-desc');
+    });
 
-    csvInput.addEventListener('change', handleFileUpload);
+    if (AppState.sortConfig.column) {
+        const th = document.querySelector(`.data-table th[data-sort="${AppState.sortConfig.column}"]`);
+        if (th) th.classList.add('sorted', `sorted-${AppState.sortConfig.direction}`);
+    }
+}
 
-    // Drag and drop
-    uploadArea.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        uploadArea.classList.add('dragover');
-    });
+/**
+ * Builder field key of a condition: the query field, or "segment:<dimension>"
+ *
+ * @param {Object} condition - Query condition
+ * @returns {string} Field key
+ */
+function getConditionKey(condition) {
+    return condition.segment !== undefined ? `segment:${condition.segment}` : condition.field;
+}
 
-    uploadArea.addEventListener('dragleave', () => {
-        uploadArea.classList.remove('dragover');
-    });
+/**
+ * Creates an empty condition for a builder field key
+ *
+ * @param {string} key - Query field or "segment:<dimension>"
+ * @returns {Object} Condition that filters nothing until filled in
+ */
+function createQueryCondition(key) {
+    if (key.startsWith('segment:')) return { segment: key.slice('segment:'.length), in: [] };
+    return QUERY_FIELDS[key].type === 'set' ? { field: key, in: [] } : { field: key, min: null, max: null };
+}
 
-    uploadArea.addEventListener('drop', (e) => {
-        e.preventDefault();
-        uploadArea.classList.remove('dragover');
+/**
+ * Group list of the current query, creating an empty query when needed
+ *
+ * @returns {Array} Groups ({ all|any: [conditions] })
+ */
+function getQueryGroups() {
+    if (!AppState.query) {
+        AppState.query = { all: [] };
+    }
+    return AppState.query.all || AppState.query.any;
+}
 
-        const file = e.dataTransfer.files[0];
-        if (file && file.type === 'text/csv') {
-            processCSVFile(file);
+/**
+ * Renders the query builder from AppState.query
+ *
+ * LAYOUT:
+ * One box per group with its all/any selector and condition rows. Ranges
+ * get min / max inputs, decision, risk level and segments get checkboxes.
+ */
+function renderQueryBuilder() {
+    const query = AppState.query;
+    const groups = query ? (query.all || query.any) : [];
+    const dimensions = getSegmentDimensions(AppState.processedData);
+
+    document.getElementById('queryMatch').value = query && query.any ? 'any' : 'all';
+
+    const fieldOptions = selected => {
+        const keys = [...Object.keys(QUERY_FIELDS), ...dimensions.map(dimension => `segment:${dimension}`)];
+        // A saved view may name a segment this data does not have
+        if (!keys.includes(selected)) keys.push(selected);
+        return keys.map(key => `
+            <option value="${escapeHtml(key)}" ${key === selected ? 'selected' : ''}>${escapeHtml(
+                key.startsWith('segment:') ? formatDimensionName(key.slice('segment:'.length)) : QUERY_FIELDS[key].label)}</option>
+        `).join('');
+    };
+
+    const valueEditor = (condition, groupIndex, conditionIndex) => {
+        const at = `data-group="${groupIndex}" data-condition="${conditionIndex}"`;
+        if (!condition.in) {
+            return `
+                <input type="number" class="search-input query-bound" ${at} data-bound="min" min="0" max="100" placeholder="min" value="${condition.min == null ? '' : condition.min}" aria-label="Minimum">
+                <span>to</span>
+                <input type="number" class="search-input query-bound" ${at} data-bound="max" min="0" max="100" placeholder="max" value="${condition.max == null ? '' : condition.max}" aria-label="Maximum">
+            `;
         }
-    });
 
-    // Sample data button
-    document.getElementById('loadSampleData').addEventListener('click', () => {
-        AppState.rawData = generateSampleData(100);
-        AppState.processedData = processData(AppState.rawData);
-        updateUI();
-        showUploadStatus('Successfully loaded 100 sample customers', 'success');
-    });
+        const values = condition.segment !== undefined
+            ? summarizeSegments(AppState.processedData, condition.segment).map(segment => segment.value)
+            : QUERY_FIELDS[condition.field].values;
+        condition.in.forEach(value => {
+            if (!values.includes(value)) values.push(value);
+        });
+        return values.map(value => `
+            <label class="query-option">
+                <input type="checkbox" ${at} data-value="${escapeHtml(value)}" ${condition.in.includes(value) ? 'checked' : ''}>
+                ${escapeHtml(formatSegmentValue(value))}
+            </label>
+        `).join('');
+    };
 
-    // Clear data button
-    document.getElementById('clearData').addEventListener('click', () => {
-        AppState.rawData = [];
-        AppState.processedData = [];
-        AppState.filteredData = [];
-        updateUI();
-        clearCharts();
-        showUploadStatus('Data cleared', 'success');
-    });
+    document.getElementById('queryGroups').innerHTML = groups.length === 0
+        ? '<p class="chart-subtitle">No conditions. Add a group to filter the table.</p>'
+        : groups.map((group, groupIndex) => {
+            const conditions = group.all || group.any;
+            return `
+                <div class="query-group">
+                    <div class="query-group-header">
+                        <span>${groupIndex === 0 ? 'Customers' : (query.all ? 'and customers' : 'or customers')} matching</span>
+                        <select class="select-input" data-group="${groupIndex}" data-role="group-match" aria-label="Combine conditions">
+                            <option value="all" ${group.all ? 'selected' : ''}>all (AND)</option>
+                            <option value="any" ${group.any ? 'selected' : ''}>any (OR)</option>
+                        </select>
+                        <span>of:</span>
+                        <button class="btn btn-secondary query-remove" data-group="${groupIndex}" data-action="remove-group" title="Remove group">✕ Group</button>
+                    </div>
+                    ${conditions.map((condition, conditionIndex) => `
+                        <div class="query-condition">
+                            <select class="select-input" data-group="${groupIndex}" data-condition="${conditionIndex}" data-role="field" aria-label="Field">
+                                ${fieldOptions(getConditionKey(condition))}
+                            </select>
+                            ${valueEditor(condition, groupIndex, conditionIndex)}
+                            <button class="query-remove" data-group="${groupIndex}" data-condition="${conditionIndex}" data-action="remove-condition" title="Remove condition">✕</button>
+                        </div>
+                    `).join('')}
+                    <button class="btn btn-secondary" data-group="${groupIndex}" data-action="add-condition">+ Condition</button>
+                </div>
+            `;
+        }).join('');
+
+    renderQuerySummary();
+    renderSavedViews();
+}
 
-    // Search input
-    document.getElementById('searchInput').addEventListener('input', () => {
-        AppState.pagination.currentPage = 1;
-        updateTable();
-    });
+/**
+ * Shows the query in words and the number of active conditions on the
+ * Filters button
+ */
+function renderQuerySummary() {
+    const query = AppState.query;
+    const active = isBlankQuery(query)
+        ? 0
+        : (query.all || query.any).reduce((sum, group) =>
+            sum + (group.all || group.any).filter(condition => !isBlankQuery(condition)).length, 0);
+
+    document.getElementById('queryCount').textContent = active > 0 ? `(${active})` : '';
+    document.getElementById('querySummary').textContent = active > 0
+        ? `Filter: ${describeQuery(query)}. Empty conditions are ignored.`
+        : 'No filter. Empty conditions are ignored.';
+}
+
+/**
+ * Re-filters the table after a query change
+ *
+ * @param {boolean} rebuild - Re-render the builder (structure changed)
+ */
+function applyQuery(rebuild) {
+    if (rebuild) {
+        renderQueryBuilder();
+    } else {
+        renderQuerySummary();
+    }
+    AppState.pagination.currentPage = 1;
+    updateTable();
+    scheduleSessionSave();
+}
+
+/**
+ * Handles edits inside the query builder (event delegation)
+ *
+ * @param {Event} e - change or click event
+ */
+function handleQueryBuilderEvent(e) {
+    const target = e.target;
+    if (target.dataset.group === undefined) return;
+
+    const groups = getQueryGroups();
+    const groupIndex = Number(target.dataset.group);
+    const group = groups[groupIndex];
+    const conditions = group.all || group.any;
+    const condition = conditions[Number(target.dataset.condition)];
+
+    if (e.type === 'click') {
+        const action = target.dataset.action;
+        if (action === 'remove-group') {
+            groups.splice(groupIndex, 1);
+        } else if (action === 'add-condition') {
+            conditions.push(createQueryCondition('decision'));
+        } else if (action === 'remove-condition') {
+            conditions.splice(Number(target.dataset.condition), 1);
+        } else {
+            return;
+        }
+        applyQuery(true);
+        return;
+    }
+
+    if (target.dataset.role === 'group-match') {
+        groups[groupIndex] = { [target.value]: conditions };
+        applyQuery(true);
+    } else if (target.dataset.role === 'field') {
+        conditions[Number(target.dataset.condition)] = createQueryCondition(target.value);
+        applyQuery(true);
+    } else if (target.dataset.bound) {
+        const value = target.value.trim();
+        condition[target.dataset.bound] = value === '' || isNaN(Number(value)) ? null : Number(value);
+        applyQuery(false);
+    } else if (target.dataset.value !== undefined) {
+        condition.in = target.checked
+            ? [...condition.in, target.dataset.value]
+            : condition.in.filter(value => value !== target.dataset.value);
+        applyQuery(false);
+    }
+}
+
+/**
+ * Loads saved table views
+ *
+ * @returns {Array} Views [{ name, query, search, riskFilter, sortConfig, updatedAt }]
+ */
+function loadSavedViews() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch (error) {
+        // Corrupt or inaccessible storage - no views
+    }
+    return [];
+}
+
+/**
+ * Stores the full list of saved views
+ *
+ * @param {Array} views - Views to keep
+ * @returns {boolean} Whether the browser accepted them
+ */
+function storeSavedViews(views) {
+    try {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Renders the saved view selector
+ *
+ * @param {string} [selected] - View to preselect
+ */
+function renderSavedViews(selected = document.getElementById('viewName').value.trim()) {
+    const views = loadSavedViews();
+    const exists = views.some(view => view.name === selected);
+
+    document.getElementById('savedViewSelect').innerHTML =
+        '<option value="">— Saved views —</option>' +
+        views.map(view => `
+            <option value="${escapeHtml(view.name)}" ${view.name === selected ? 'selected' : ''}>${escapeHtml(view.name)}</option>
+        `).join('');
+
+    document.getElementById('deleteView').disabled = !exists;
+}
+
+/**
+ * Saves (or replaces by name) the current query, search, risk filter and
+ * sort as a view
+ *
+ * @param {string} name - View name
+ */
+function saveCurrentView(name) {
+    if (!name) {
+        showStatus('viewStatus', 'Enter a name for the view', 'error');
+        return;
+    }
+
+    const views = loadSavedViews().filter(view => view.name !== name);
+    views.push({
+        name,
+        query: AppState.query,
+        search: document.getElementById('searchInput').value,
+        riskFilter: document.getElementById('filterRisk').value,
+        sortConfig: { ...AppState.sortConfig },
+        updatedAt: new Date().toISOString()
+    });
+
+    if (!storeSavedViews(views)) {
+        showStatus('viewStatus', 'View could not be saved in this browser', 'error');
+        return;
+    }
+    renderSavedViews(name);
+    showStatus('viewStatus', `Saved view "${name}"`, 'success');
+}
+
+/**
+ * Applies a saved view to the table
+ *
+ * @param {string} name - View name
+ */
+function openSavedView(name) {
+    const view = loadSavedViews().find(saved => saved.name === name);
+    if (!view) return;
+
+    AppState.query = view.query ? JSON.parse(JSON.stringify(view.query)) : null;
+    AppState.sortConfig = { column: null, direction: 'asc', ...view.sortConfig };
+    document.getElementById('searchInput').value = view.search || '';
+    document.getElementById('filterRisk').value = view.riskFilter || 'all';
+    document.getElementById('viewName').value = view.name;
+
+    renderSortIndicators();
+    applyQuery(true);
+}
+
+/**
+ * Downloads every saved view as JSON, for another browser or teammate
+ */
+function exportSavedViews() {
+    const views = loadSavedViews();
+    if (views.length === 0) {
+        showStatus('viewStatus', 'No saved views to export', 'error');
+        return;
+    }
+    downloadFile(JSON.stringify({ views }, null, 2), 'risk-assessment-views.json', FILE_FORMATS.json.mimeType);
+}
+
+/**
+ * Imports views from an exported file; views with the same name are replaced
+ *
+ * @param {File} file - File from exportSavedViews
+ * @returns {Promise<void>}
+ */
+async function importSavedViews(file) {
+    let imported;
+    try {
+        const parsed = JSON.parse(await file.text());
+        imported = Array.isArray(parsed) ? parsed : parsed.views;
+        if (!Array.isArray(imported)) throw new Error('no "views" list');
+    } catch (error) {
+        showStatus('viewStatus', `${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    const problems = [];
+    const valid = imported.filter(view => {
+        const errors = !view || typeof view.name !== 'string' || !view.name.trim()
+            ? ['missing name']
+            : (view.query ? validateQuery(view.query) : []);
+        if (errors.length > 0) problems.push(`${(view && view.name) || '?'}: ${errors[0]}`);
+        return errors.length === 0;
+    });
+
+    const names = valid.map(view => view.name);
+    const views = [...loadSavedViews().filter(view => !names.includes(view.name)), ...valid];
+    if (!storeSavedViews(views)) {
+        showStatus('viewStatus', 'Views could not be saved in this browser', 'error');
+        return;
+    }
+
+    renderSavedViews();
+    showStatus('viewStatus',
+        `Imported ${valid.length} view${valid.length === 1 ? '' : 's'} from ${file.name}` +
+            (problems.length > 0 ? `; skipped ${problems.join('; ')}` : ''),
+        problems.length > 0 ? 'error' : 'success');
+}
+
+// ============================================================================
+// POLICY EDITOR
+// ============================================================================
+
+/**
+ * Re-scores the loaded raw data with the active policy and refreshes the UI
+ */
+function rescoreData() {
+    if (AppState.rawData.length === 0) return;
+
+    AppState.processedData = processData(AppState.rawData, AppState.policy);
+    recordScoringRun('policy change');
+    updateUI();
+}
+
+/**
+ * Validates and activates a policy, then re-scores the portfolio
+ *
+ * @param {Object} policy - Candidate policy
+ * @returns {boolean} Whether the policy was applied
+ */
+function applyPolicy(policy) {
+    const errors = validatePolicy(policy);
+
+    if (errors.length > 0) {
+        showStatus('policyStatus', errors.join('; '), 'error');
+        return false;
+    }
+
+    policy = normalizePolicy(policy);
+
+    const thresholdsChanged = !AppState.policy ||
+        JSON.stringify(AppState.policy.thresholds) !== JSON.stringify(policy.thresholds);
+
+    const previousName = AppState.policy ? AppState.policy.name : null;
+    AppState.policy = policy;
+    savePolicy();
+    recordAudit('policy', `Activated policy "${policy.name || 'Custom policy'}"`, {
+        previousPolicyName: previousName,
+        rules: policy.rules.length,
+        thresholds: { ...policy.thresholds },
+        weights: { ...policy.weights }
+    });
+    if (thresholdsChanged) {
+        setSimulatorThresholds(policy.thresholds);
+    }
+    rescoreData();
+    renderPolicyEditor();
+    return true;
+}
+
+/**
+ * Saves the active policy so it survives a page reload
+ */
+function savePolicy() {
+    try {
+        localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(AppState.policy));
+    } catch (error) {
+        // Storage may be unavailable (private mode, quota); the policy still applies
+    }
+}
+
+/**
+ * Loads the saved policy, falling back to the default if none is valid
+ *
+ * @returns {Object} Policy to activate on startup
+ */
+function loadSavedPolicy() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(POLICY_STORAGE_KEY));
+        if (saved && validatePolicy(saved).length === 0) {
+            return { ...clonePolicy(DEFAULT_POLICY), ...saved };
+        }
+    } catch (error) {
+        // Corrupt or inaccessible storage - use the default policy
+    }
+    return clonePolicy(DEFAULT_POLICY);
+}
+
+/**
+ * Renders the weight controls, rule list, default decision selector and JSON view
+ */
+function renderPolicyEditor() {
+    const policy = AppState.policy;
+
+    renderWeightControls();
+    renderLossModelControls();
+    renderAffordabilityControls();
+
+    const decisionOptions = selected => DECISIONS.map(decision =>
+        `<option value="${decision}" ${decision === selected ? 'selected' : ''}>${decision}</option>`
+    ).join('');
+
+    document.getElementById('policyDefaultDecision').innerHTML = decisionOptions(policy.defaultDecision);
+
+    document.getElementById('policyRules').innerHTML = policy.rules.map((rule, index) => `
+        <tr data-index="${index}" class="${rule.enabled === false ? 'rule-disabled' : ''}">
+            <td class="rule-order">
+                <button class="icon-btn" data-action="up" ${index === 0 ? 'disabled' : ''} title="Move up">▲</button>
+                <button class="icon-btn" data-action="down" ${index === policy.rules.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+            </td>
+            <td><input type="checkbox" data-field="enabled" ${rule.enabled === false ? '' : 'checked'} title="Enable rule"></td>
+            <td><input type="text" class="rule-input" data-field="id" value="${escapeHtml(rule.id)}"></td>
+            <td><input type="text" class="rule-input" data-field="description" value="${escapeHtml(rule.description || '')}"></td>
+            <td><textarea class="code-input" data-field="when" rows="2" spellcheck="false">${escapeHtml(JSON.stringify(rule.when))}</textarea></td>
+            <td><select class="select-input" data-field="decision">${decisionOptions(rule.decision)}</select></td>
+            <td><button class="icon-btn" data-action="delete" title="Delete rule">✕</button></td>
+        </tr>
+    `).join('');
+
+    document.getElementById('policyJson').value = JSON.stringify(policy, null, 2);
+}
+
+/**
+ * Renders one slider per criterion with its normalized share of the score
+ */
+function renderWeightControls() {
+    const weights = AppState.policy.weights;
+    const labels = ['Transaction', 'Affordability', 'Employment', 'Behavior'];
+    const total = CRITERIA.reduce((sum, criterion) => sum + weights[criterion], 0);
+
+    document.getElementById('weightControls').innerHTML = CRITERIA.map((criterion, index) => `
+        <div class="weight-control">
+            <label for="weight-${criterion}">${labels[index]}</label>
+            <input type="range" id="weight-${criterion}" data-criterion="${criterion}"
+                   min="0" max="100" step="1" value="${weights[criterion]}">
+            <span class="weight-value" id="weightValue-${criterion}">
+                ${formatWeightShare(weights[criterion], total)}
+            </span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Formats a raw weight as its share of the total
+ *
+ * @param {number} weight - Raw weight
+ * @param {number} total - Sum of all weights
+ * @returns {string} e.g. "40 (40.0%)"
+ */
+function formatWeightShare(weight, total) {
+    const share = total > 0 ? (weight / total * 100).toFixed(1) : '0.0';
+    return `${weight} (${share}%)`;
+}
+
+/**
+ * Reads the weight sliders into a weights object
+ *
+ * @returns {Object} Weight per criterion
+ */
+function readWeightControls() {
+    const weights = {};
+    CRITERIA.forEach(criterion => {
+        weights[criterion] = parseInt(document.getElementById(`weight-${criterion}`).value);
+    });
+    return weights;
+}
+
+/**
+ * Renders the PD input per risk level and the LGD input, in percent
+ */
+function renderLossModelControls() {
+    const { pd, lgd } = AppState.policy.lossModel;
+    const input = (id, label, value) => `
+        <div class="mapping-field">
+            <label for="${id}" class="control-label">${label}</label>
+            <input type="number" id="${id}" class="search-input" min="0" max="100" step="any"
+                   value="${Math.round(value * 10000) / 100}">
+        </div>
+    `;
+
+    document.getElementById('lossModelControls').innerHTML =
+        RISK_CATEGORIES.map((category, index) => input(`lossPd-${category}`, `PD ${RISK_LEVELS[index]} (%)`, pd[category])).join('') +
+        input('lossLgd', 'LGD (%)', lgd);
+}
+
+/**
+ * Reads the loss model inputs (percent) into a loss model (fractions)
+ *
+ * @returns {Object} { pd, lgd }
+ */
+function readLossModelControls() {
+    const percent = id => parseFloat(document.getElementById(id).value) / 100;
+    const pd = {};
+    RISK_CATEGORIES.forEach(category => {
+        pd[category] = percent(`lossPd-${category}`);
+    });
+    return { pd, lgd: percent('lossLgd') };
+}
+
+/**
+ * Renders the affordability check inputs: DTI limit and rate in percent,
+ * terms in months
+ */
+function renderAffordabilityControls() {
+    const { maxDti, annualRate, defaultTerm, maxTerm } = AppState.policy.affordabilityCheck;
+    const input = (id, label, value, step) => `
+        <div class="mapping-field">
+            <label for="${id}" class="control-label">${label}</label>
+            <input type="number" id="${id}" class="search-input" min="0" step="${step}" value="${value}">
+        </div>
+    `;
+
+    document.getElementById('affordabilityControls').innerHTML =
+        input('affMaxDti', 'Max DTI (%)', Math.round(maxDti * 10000) / 100, 'any') +
+        input('affRate', 'Annual rate (%)', Math.round(annualRate * 10000) / 100, 'any') +
+        input('affDefaultTerm', 'Default term (months)', defaultTerm, 1) +
+        input('affMaxTerm', 'Longest counter term (months)', maxTerm, 1);
+}
+
+/**
+ * Reads the affordability check inputs into policy form (fractions, months)
+ *
+ * @returns {Object} { maxDti, annualRate, defaultTerm, maxTerm }
+ */
+function readAffordabilityControls() {
+    const value = id => parseFloat(document.getElementById(id).value);
+    return {
+        maxDti: value('affMaxDti') / 100,
+        annualRate: value('affRate') / 100,
+        defaultTerm: value('affDefaultTerm'),
+        maxTerm: value('affMaxTerm')
+    };
+}
+
+/**
+ * Applies an edit from one of the rule row inputs
+ *
+ * @param {HTMLElement} input - The edited input
+ */
+function handleRuleFieldChange(input) {
+    const index = parseInt(input.closest('tr').dataset.index);
+    const policy = clonePolicy(AppState.policy);
+    const rule = policy.rules[index];
+    const field = input.dataset.field;
+
+    if (field === 'enabled') {
+        rule.enabled = input.checked;
+    } else if (field === 'when') {
+        try {
+            rule.when = JSON.parse(input.value);
+        } catch (error) {
+            showStatus('policyStatus', `Rule ${index + 1}: invalid JSON condition`, 'error');
+            return;
+        }
+    } else {
+        rule[field] = field === 'id' ? input.value.trim() : input.value;
+    }
+
+    applyPolicy(policy);
+}
+
+/**
+ * Handles move/delete buttons in the rule list
+ *
+ * @param {HTMLElement} button - The clicked button
+ */
+function handleRuleAction(button) {
+    const index = parseInt(button.closest('tr').dataset.index);
+    const policy = clonePolicy(AppState.policy);
+    const rules = policy.rules;
+
+    switch (button.dataset.action) {
+        case 'up':
+            [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+            break;
+        case 'down':
+            [rules[index + 1], rules[index]] = [rules[index], rules[index + 1]];
+            break;
+        case 'delete':
+            rules.splice(index, 1);
+            break;
+    }
+
+    applyPolicy(policy);
+}
+
+/**
+ * Appends a new, disabled rule so it can be configured before it takes effect
+ */
+function addPolicyRule() {
+    const policy = clonePolicy(AppState.policy);
+    let n = policy.rules.length + 1;
+    while (policy.rules.some(rule => rule.id === `RULE-${n}`)) n++;
+
+    policy.rules.push({
+        id: `RULE-${n}`,
+        enabled: false,
+        decision: 'Manual Review',
+        description: 'New rule',
+        when: { count: 'elevated', op: '>=', value: 1 }
+    });
+
+    applyPolicy(policy);
+}
+
+/**
+ * Escapes text for safe insertion into HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// WHAT-IF THRESHOLD SIMULATOR
+// ============================================================================
+
+/**
+ * Threshold slider keys, from best to worst band
+ */
+const THRESHOLD_KEYS = ['low', 'moderate', 'elevated'];
+
+/**
+ * Moves the simulator sliders to a threshold set
+ *
+ * @param {Object} thresholds - { low, moderate, elevated }
+ */
+function setSimulatorThresholds(thresholds) {
+    THRESHOLD_KEYS.forEach(key => {
+        document.getElementById(`simThreshold-${key}`).value = thresholds[key];
+        document.getElementById(`simValue-${key}`).textContent = thresholds[key];
+    });
+}
+
+/**
+ * Reads the simulator sliders
+ *
+ * @returns {Object} Simulated threshold set
+ */
+function readSimulatorThresholds() {
+    const thresholds = { high: 0 };
+    THRESHOLD_KEYS.forEach(key => {
+        thresholds[key] = parseInt(document.getElementById(`simThreshold-${key}`).value);
+    });
+    return thresholds;
+}
+
+/**
+ * Keeps slider order valid (elevated < moderate < low) after one moves
+ *
+ * @param {string} movedKey - Threshold that the user dragged
+ */
+function enforceThresholdOrder(movedKey) {
+    const thresholds = readSimulatorThresholds();
+
+    if (movedKey === 'low') {
+        thresholds.moderate = Math.min(thresholds.moderate, thresholds.low - 1);
+        thresholds.elevated = Math.min(thresholds.elevated, thresholds.moderate - 1);
+    } else if (movedKey === 'elevated') {
+        thresholds.moderate = Math.max(thresholds.moderate, thresholds.elevated + 1);
+        thresholds.low = Math.max(thresholds.low, thresholds.moderate + 1);
+    } else {
+        thresholds.low = Math.max(thresholds.low, thresholds.moderate + 1);
+        thresholds.elevated = Math.min(thresholds.elevated, thresholds.moderate - 1);
+    }
+
+    setSimulatorThresholds(thresholds);
+}
+
+/**
+ * Re-scores the portfolio with the simulated thresholds and renders
+ * the migration matrix, Sankey and summary-card deltas
+ */
+function runSimulation() {
+    const current = AppState.processedData;
+
+    if (current.length === 0) {
+        document.getElementById('simulatorResults').hidden = true;
+        updateSummaryDeltas(null);
+        return;
+    }
+
+    const policy = clonePolicy(AppState.policy);
+    policy.thresholds = readSimulatorThresholds();
+    const simulated = processData(AppState.rawData, policy);
+
+    const matrix = buildMigrationMatrix(current, simulated);
+    const currentCounts = countDecisions(current);
+    const simulatedCounts = countDecisions(simulated);
+
+    document.getElementById('simulatorResults').hidden = false;
+    renderSimulatorCards(currentCounts, simulatedCounts, current.length);
+    renderMigrationMatrix(matrix);
+    renderMigrationSankey(matrix);
+
+    // The summary cards may show one segment; their deltas follow it
+    const segmentData = getSegmentData();
+    if (segmentData === current) {
+        updateSummaryDeltas(currentCounts, simulatedCounts);
+    } else {
+        const ids = new Set(segmentData.map(d => d.customer_id));
+        updateSummaryDeltas(countDecisions(segmentData), countDecisions(simulated.filter(d => ids.has(d.customer_id))));
+    }
+}
+
+/**
+ * Renders simulated decision counts with deltas against the current policy
+ */
+function renderSimulatorCards(currentCounts, simulatedCounts, total) {
+    const moved = DECISIONS.reduce(
+        (sum, decision) => sum + Math.max(0, simulatedCounts[decision] - currentCounts[decision]),
+        0
+    );
+
+    document.getElementById('simulatorCards').innerHTML = DECISIONS.map(decision => `
+        <div class="sim-card ${getDecisionClass(decision)}">
+            <span class="sim-card-title">${decision}</span>
+            <span class="sim-card-value">${simulatedCounts[decision]}</span>
+            ${formatDelta(simulatedCounts[decision] - currentCounts[decision], 'sim-delta')}
+            <span class="sim-card-rate">${(simulatedCounts[decision] / total * 100).toFixed(1)}% of portfolio</span>
+        </div>
+    `).join('');
+
+    document.getElementById('simulatorMoved').textContent =
+        `${moved} customer${moved === 1 ? '' : 's'} would change decision`;
+}
+
+/**
+ * Formats a signed count delta as a badge
+ *
+ * @param {number} delta - Change in count
+ * @param {string} className - Base CSS class
+ * @returns {string} Badge HTML
+ */
+function formatDelta(delta, className) {
+    const sign = delta > 0 ? '+' : '';
+    const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+    return `<span class="${className} delta-${direction}">${sign}${delta}</span>`;
+}
+
+/**
+ * Renders the from/to migration matrix table
+ *
+ * @param {Object} matrix - See buildMigrationMatrix
+ */
+function renderMigrationMatrix(matrix) {
+    const header = DECISIONS.map(to => `<th>${to}</th>`).join('');
+    const rows = DECISIONS.map(from => {
+        const cells = DECISIONS.map(to => {
+            const count = matrix[from][to];
+            const cellClass = from === to ? 'matrix-stay' : count > 0 ? 'matrix-move' : '';
+            return `<td class="${cellClass}">${count}</td>`;
+        }).join('');
+        return `<tr><th>${from}</th>${cells}</tr>`;
+    }).join('');
+
+    document.getElementById('migrationMatrix').innerHTML = `
+        <thead>
+            <tr><th>Current ↓ / Simulated →</th>${header}</tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+/**
+ * Renders the current-to-simulated decision flow as a Sankey diagram
+ *
+ * @param {Object} matrix - See buildMigrationMatrix
+ */
+function renderMigrationSankey(matrix) {
+    const decisionColors = [COLORS.low, COLORS.moderate, COLORS.elevated, COLORS.high];
+    const source = [];
+    const target = [];
+    const value = [];
+    const linkColors = [];
+
+    DECISIONS.forEach((from, i) => {
+        DECISIONS.forEach((to, j) => {
+            if (matrix[from][to] > 0) {
+                source.push(i);
+                target.push(DECISIONS.length + j);
+                value.push(matrix[from][to]);
+                linkColors.push(from === to ? 'rgba(0,0,0,0.08)' : 'rgba(1, 207, 251, 0.45)');
+            }
+        });
+    });
+
+    const plotData = [{
+        type: 'sankey',
+        arrangement: 'fixed',
+        node: {
+            label: [
+                ...DECISIONS.map(d => `Current: ${d}`),
+                ...DECISIONS.map(d => `Simulated: ${d}`)
+            ],
+            color: [...decisionColors, ...decisionColors],
+            pad: 15,
+            thickness: 18
+        },
+        link: { source, target, value, color: linkColors }
+    }];
+
+    const layout = {
+        margin: { t: 10, b: 10, l: 10, r: 10 },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        font: { size: 11 }
+    };
+
+    const config = {
+        responsive: true,
+        displayModeBar: false
+    };
+
+    Plotly.newPlot('migrationSankeyChart', plotData, layout, config);
+}
+
+/**
+ * Shows simulated deltas on the main summary cards
+ *
+ * @param {Object|null} currentCounts - Counts under the current policy (null clears)
+ * @param {Object} simulatedCounts - Counts under the simulated thresholds
+ */
+function updateSummaryDeltas(currentCounts, simulatedCounts) {
+    const deltaIds = {
+        'Auto Approve': 'approveDelta',
+        'Manual Review': 'reviewDelta',
+        'Elevated Risk': 'elevatedDelta',
+        'Auto Deny': 'denyDelta'
+    };
+
+    const changed = currentCounts &&
+        DECISIONS.some(decision => simulatedCounts[decision] !== currentCounts[decision]);
+
+    DECISIONS.forEach(decision => {
+        const element = document.getElementById(deltaIds[decision]);
+        element.innerHTML = changed
+            ? `What-if: ${formatDelta(simulatedCounts[decision] - currentCounts[decision], 'card-delta-value')}`
+            : '';
+    });
+}
+
+// ============================================================================
+// CHAMPION / CHALLENGER COMPARISON
+// ============================================================================
+
+/**
+ * Loads the comparison policies into their JSON editors
+ */
+function renderComparisonEditors() {
+    document.getElementById('championPolicy').value =
+        JSON.stringify(AppState.comparison.champion, null, 2);
+    document.getElementById('challengerPolicy').value =
+        JSON.stringify(AppState.comparison.challenger, null, 2);
+}
+
+/**
+ * Parses and validates one comparison editor
+ *
+ * @param {string} role - 'champion' or 'challenger'
+ * @returns {Object|null} Policy, or null after reporting the error
+ */
+function readComparisonPolicy(role) {
+    const label = role === 'champion' ? 'Champion' : 'Challenger';
+    let policy;
+
+    try {
+        policy = JSON.parse(document.getElementById(`${role}Policy`).value);
+    } catch (error) {
+        showStatus('comparisonStatus', `${label}: invalid JSON (${error.message})`, 'error');
+        return null;
+    }
+
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+        showStatus('comparisonStatus', `${label}: ${errors.join('; ')}`, 'error');
+        return null;
+    }
+
+    return normalizePolicy(policy);
+}
+
+/**
+ * Re-runs the comparison for the loaded data and renders the results
+ */
+function updateComparison() {
+    const results = document.getElementById('comparisonResults');
+    const { champion, challenger } = AppState.comparison;
+
+    if (AppState.rawData.length === 0 || !champion || !challenger) {
+        results.hidden = true;
+        return;
+    }
+
+    const comparison = comparePolicies(AppState.rawData, champion, challenger);
+    results.hidden = false;
+    scheduleSessionSave();
+
+    renderComparisonCards(comparison);
+    renderSwapTable(comparison.swaps);
+}
+
+/**
+ * Renders side-by-side decision counts and outcome rate differences
+ *
+ * @param {Object} comparison - See comparePolicies
+ */
+function renderComparisonCards(comparison) {
+    const { champion, challenger } = comparison;
+    const total = champion.data.length;
+    const names = {
+        champion: AppState.comparison.champion.name || 'Champion',
+        challenger: AppState.comparison.challenger.name || 'Challenger'
+    };
+
+    const column = (role, result) => `
+        <div class="comparison-column">
+            <h3 class="comparison-title">${role === 'champion' ? '🏆 Champion' : '🥊 Challenger'}</h3>
+            <p class="comparison-name">${escapeHtml(names[role])}</p>
+            <div class="sim-cards">
+                ${DECISIONS.map(decision => `
+                    <div class="sim-card ${getDecisionClass(decision)}">
+                        <span class="sim-card-title">${decision}</span>
+                        <span class="sim-card-value">${result.counts[decision]}</span>
+                        <span class="sim-card-rate">${(result.counts[decision] / total * 100).toFixed(1)}%</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+
+    const rateLabels = { approve: 'Approval rate', review: 'Review rate', deny: 'Deny rate' };
+    const rateRows = Object.keys(OUTCOME_GROUPS).map(outcome => {
+        const championRate = champion.rates[outcome] * 100;
+        const challengerRate = challenger.rates[outcome] * 100;
+        const delta = challengerRate - championRate;
+        const sign = delta > 0 ? '+' : '';
+        const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+
+        return `
+            <tr>
+                <th>${rateLabels[outcome]}</th>
+                <td>${championRate.toFixed(1)}%</td>
+                <td>${challengerRate.toFixed(1)}%</td>
+                <td><strong class="delta-${direction}">${sign}${delta.toFixed(1)} pts</strong></td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('comparisonCards').innerHTML =
+        column('champion', champion) + column('challenger', challenger);
+
+    document.getElementById('comparisonRates').innerHTML = `
+        <thead>
+            <tr><th>Outcome</th><th>Champion</th><th>Challenger</th><th>Difference</th></tr>
+        </thead>
+        <tbody>${rateRows}</tbody>
+    `;
+}
+
+/**
+ * Renders customers approved by one policy and denied by the other
+ *
+ * @param {Array} swaps - See comparePolicies
+ */
+function renderSwapTable(swaps) {
+    const swapIns = swaps.filter(s => s.direction === 'swap-in').length;
+    document.getElementById('swapSummary').textContent =
+        `${swaps.length} swap${swaps.length === 1 ? '' : 's'}: ` +
+        `${swapIns} approved only by the challenger, ${swaps.length - swapIns} approved only by the champion`;
+
+    const tbody = document.getElementById('swapTableBody');
+
+    if (swaps.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="8" class="table-placeholder">
+                    <span class="placeholder-icon">🤝</span>
+                    <p>Both policies agree on every approve/deny outcome</p>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = swaps.map(({ direction, champion, challenger }) => `
+        <tr>
+            <td><strong>${escapeHtml(champion.customer_id)}</strong></td>
+            ${CRITERIA.map(criterion => `<td>${champion[criterion]}</td>`).join('')}
+            <td>
+                <span class="decision-badge ${getDecisionClass(champion.decision)}">${champion.decision}</span>
+                <span class="rule-tag">${escapeHtml(champion.decision_rule)}</span>
+            </td>
+            <td>
+                <span class="decision-badge ${getDecisionClass(challenger.decision)}">${challenger.decision}</span>
+                <span class="rule-tag">${escapeHtml(challenger.decision_rule)}</span>
+            </td>
+            <td><span class="swap-tag swap-${direction}">${direction === 'swap-in' ? 'Swap-in' : 'Swap-out'}</span></td>
+        </tr>
+    `).join('');
+}
+
+// ============================================================================
+// REVIEW QUEUE
+// ============================================================================
+
+/**
+ * Tooltip on every override rate (see summarizeReviews in engine.js)
+ */
+const OVERRIDE_RATE_DEFINITION = 'Decided reviews whose final decision differs from the system recommendation. ' +
+    'Elevated Risk recommends Decline; Manual Review recommends nothing, so its outcomes are never overrides.';
+
+/**
+ * Formats a 0-1 fraction as a percentage
+ *
+ * @param {number} fraction - Value between 0 and 1
+ * @returns {string} e.g. "12.5%"
+ */
+function formatPercent(fraction) {
+    return `${(fraction * 100).toFixed(1)}%`;
+}
+
+/**
+ * Renders the review queue: override summary, filters and queued records
+ *
+ * METHODOLOGY:
+ * Manual Review and Elevated Risk records wait for an underwriter. Each can
+ * be assigned, moved to in progress, and decided (Approve / Counter /
+ * Decline) with a mandatory note and reviewer name. The system decision is
+ * never changed; the final decision is stored alongside it.
+ */
+function updateReviewQueue() {
+    const data = AppState.processedData;
+    const queue = data.filter(needsReview);
+    const { status, assignee } = AppState.reviewQueue;
+    const summary = summarizeReviews(data, AppState.reviews);
+
+    renderReviewSummary(summary);
+
+    // Assignee filter lists everyone with an assignment in the queue
+    const assignees = [...new Set(queue
+        .map(record => (AppState.reviews[record.customer_id] || {}).assignee)
+        .filter(Boolean))].sort();
+    const assigneeSelect = document.getElementById('reviewAssigneeFilter');
+    assigneeSelect.innerHTML = `
+        <option value="all">All assignees</option>
+        <option value="">Unassigned</option>
+        ${assignees.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+    `;
+    assigneeSelect.value = assignee === 'all' || assignee === '' || assignees.includes(assignee) ? assignee : 'all';
+
+    const rows = queue.filter(record => {
+        const review = AppState.reviews[record.customer_id];
+        const recordStatus = getReviewStatus(record, review);
+        const recordAssignee = (review && review.assignee) || '';
+        const statusMatch = status === 'all' ||
+            (status === 'open' ? recordStatus !== 'decided' : recordStatus === status);
+        return statusMatch && (assigneeSelect.value === 'all' || recordAssignee === assigneeSelect.value);
+    });
+
+    renderReviewTable(rows);
+
+    // Close the form if its customer left the queue (e.g. after a policy change)
+    const open = AppState.reviewQueue.customerId;
+    if (open && !queue.some(record => record.customer_id === open)) {
+        closeReviewForm();
+    }
+}
+
+/**
+ * Renders queue counts and override rates
+ *
+ * @param {Object} summary - See summarizeReviews
+ */
+function renderReviewSummary(summary) {
+    const byDecision = Object.entries(summary.byDecision).map(([decision, group]) => `
+        <tr>
+            <th><span class="decision-badge ${getDecisionClass(decision)}">${decision}</span></th>
+            <td>${group.queued}</td>
+            <td>${group.decided}</td>
+            <td>${SYSTEM_RECOMMENDATIONS[decision] || 'Nothing'}</td>
+            <td>${group.overrides}</td>
+            <td><strong>${group.overrideRate !== null ? formatPercent(group.overrideRate) : '—'}</strong></td>
+        </tr>
+    `).join('');
+
+    document.getElementById('reviewSummary').innerHTML = `
+        <div class="sim-cards">
+            ${REVIEW_STATUSES.map(status => `
+                <div class="sim-card">
+                    <span class="sim-card-title">${status.charAt(0).toUpperCase() + status.slice(1)}</span>
+                    <span class="sim-card-value">${summary.statuses[status]}</span>
+                    <span class="sim-card-rate">of ${summary.queued} queued</span>
+                </div>
+            `).join('')}
+            <div class="sim-card" title="${OVERRIDE_RATE_DEFINITION}">
+                <span class="sim-card-title">Override Rate</span>
+                <span class="sim-card-value">${summary.overrideRate !== null ? formatPercent(summary.overrideRate) : '—'}</span>
+                <span class="sim-card-rate">${summary.overrides} of ${summary.compared} with a recommendation</span>
+            </div>
+        </div>
+        <table class="data-table matrix-table review-rates">
+            <thead>
+                <tr><th>System Decision</th><th>Queued</th><th>Decided</th><th>Recommends</th><th>Overrides</th><th>Override Rate</th></tr>
+            </thead>
+            <tbody>${byDecision}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Renders the queued records matching the filters
+ *
+ * @param {Array} rows - Processed records in the queue
+ */
+function renderReviewTable(rows) {
+    const tbody = document.getElementById('reviewTableBody');
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="8" class="table-placeholder">
+                    <span class="placeholder-icon">🗂</span>
+                    <p>${AppState.processedData.length === 0 ? 'No data loaded' : 'No records in the queue match these filters'}</p>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = rows.map(customer => {
+        const review = AppState.reviews[customer.customer_id];
+        const status = getReviewStatus(customer, review);
+        const selected = customer.customer_id === AppState.reviewQueue.customerId;
+
+        return `
+            <tr class="clickable-row${selected ? ' selected-row' : ''}" data-review="${escapeHtml(customer.customer_id)}">
+                <td><strong>${escapeHtml(customer.customer_id)}</strong></td>
+                <td>
+                    <span class="decision-badge ${getDecisionClass(customer.decision)}">${customer.decision}</span>
+                    <span class="rule-tag">${escapeHtml(customer.decision_rule)}</span>
+                </td>
+                <td><strong>${customer.combined_score}</strong></td>
+                <td><span class="review-status review-${status.replace(' ', '-')}">${status}</span></td>
+                <td>${escapeHtml((review && review.assignee) || '—')}</td>
+                <td>${renderFinalDecisionTag(customer)}</td>
+                <td>${escapeHtml((review && review.reviewer) || '')}</td>
+                <td><button class="btn btn-secondary review-open-btn" data-review="${escapeHtml(customer.customer_id)}">Review</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Final decision tag for a queued record (empty for auto decisions)
+ *
+ * @param {Object} customer - Processed customer record
+ * @returns {string} HTML
+ */
+function renderFinalDecisionTag(customer) {
+    if (!needsReview(customer)) return '';
+
+    const review = AppState.reviews[customer.customer_id];
+    const final = getFinalDecision(customer, review);
+    if (!final) {
+        return `<span class="final-tag final-pending">Review ${getReviewStatus(customer, review)}</span>`;
+    }
+
+    const override = isOverride(customer, final);
+    return `<span class="final-tag final-${final.toLowerCase()}" title="${escapeHtml(review.reviewer)}: ${escapeHtml(review.note)}">` +
+        `Final: ${final}${override ? ' (override)' : ''}</span>`;
+}
+
+/**
+ * Opens the review form for a queued customer
+ *
+ * @param {string} customerId - Customer ID
+ */
+function openReviewForm(customerId) {
+    const customer = AppState.processedData.find(d => d.customer_id === customerId);
+    if (!customer || !needsReview(customer)) return;
+
+    const review = AppState.reviews[customerId] || {};
+    const principal = getPrincipalReasons(customer);
+    const reasons = principal.length > 0 ? principal : customer.reason_codes;
+
+    AppState.reviewQueue.customerId = customerId;
+    document.getElementById('reviewCustomer').textContent = customerId;
+    document.getElementById('reviewContext').innerHTML = `
+        <span class="decision-badge ${getDecisionClass(customer.decision)}">${customer.decision}</span>
+        <span class="rule-tag">${escapeHtml(customer.decision_rule)}</span>
+        <span class="drawer-note">Combined ${customer.combined_score} · ${SYSTEM_RECOMMENDATIONS[customer.decision]
+            ? `system recommends ${SYSTEM_RECOMMENDATIONS[customer.decision]}`
+            : 'no system recommendation'}</span>
+        <ol class="drawer-reasons">${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ol>
+    `;
+    document.getElementById('reviewStatusSelect').value = review.status || 'pending';
+    document.getElementById('reviewAssignee').value = review.assignee || '';
+    document.getElementById('reviewDecision').value = review.decision || '';
+    document.getElementById('reviewer').value = review.reviewer || '';
+    document.getElementById('reviewNote').value = review.note || '';
+    document.getElementById('reviewFormStatus').className = 'upload-status';
+
+    document.getElementById('reviewForm').hidden = false;
+    updateReviewQueue();
+}
+
+/**
+ * Hides the review form without saving
+ */
+function closeReviewForm() {
+    AppState.reviewQueue.customerId = null;
+    document.getElementById('reviewForm').hidden = true;
+    document.querySelectorAll('#reviewTableBody .selected-row').forEach(row => row.classList.remove('selected-row'));
+}
+
+/**
+ * Validates and stores the review in the form
+ *
+ * LOGIC:
+ * - A final decision needs status "decided", a reviewer and a note
+ * - The decision time is kept while the final decision stays the same
+ * - Undecided reviews keep only status and assignment
+ */
+function saveReview() {
+    const customerId = AppState.reviewQueue.customerId;
+    if (!customerId) return;
+
+    const previous = AppState.reviews[customerId] || {};
+    const review = {
+        status: document.getElementById('reviewStatusSelect').value,
+        assignee: document.getElementById('reviewAssignee').value.trim(),
+        decision: document.getElementById('reviewDecision').value,
+        reviewer: document.getElementById('reviewer').value.trim(),
+        note: document.getElementById('reviewNote').value.trim(),
+        decidedAt: null,
+        updatedAt: new Date().toISOString()
+    };
+
+    const errors = validateReview(review);
+    if (errors.length > 0) {
+        showStatus('reviewFormStatus', errors.join('. '), 'error');
+        return;
+    }
+
+    if (review.status === 'decided') {
+        review.decidedAt = previous.status === 'decided' && previous.decision === review.decision
+            ? previous.decidedAt
+            : review.updatedAt;
+    } else {
+        review.decision = '';
+    }
+
+    AppState.reviews[customerId] = review;
+    const customer = AppState.processedData.find(d => d.customer_id === customerId);
+    const finalDecision = getFinalDecision(customer, review);
+    recordAudit('review', finalDecision
+        ? `${review.reviewer} decided ${customerId}: ${finalDecision} (system: ${customer.decision})`
+        : `${customerId} marked ${review.status}`, {
+        customerId,
+        systemDecision: customer.decision,
+        decisionRule: customer.decision_rule,
+        finalDecision,
+        override: isOverride(customer, finalDecision),
+        ...review
+    });
+    refreshReviewViews();
+    showStatus('reviewFormStatus', review.status === 'decided'
+        ? `Recorded ${review.decision} for ${customerId}`
+        : `Saved ${customerId} as ${review.status}`, 'success');
+}
+
+/**
+ * Re-renders everything that shows final decisions after a review changes
+ */
+function refreshReviewViews() {
+    updateSummaryCards();
+    updateReviewQueue();
+    renderTable();
+    refreshCustomerDrawer();
+    scheduleSessionSave();
+}
+
+/**
+ * Forgets all reviews (a new dataset starts with an empty queue)
+ */
+function clearReviews() {
+    AppState.reviews = {};
+    closeReviewForm();
+}
+
+/**
+ * Review figures added to export metadata
+ *
+ * @returns {Object} Queue size, decided reviews, overrides and override rate
+ */
+function getReviewMetadata() {
+    const summary = summarizeReviews(AppState.processedData, AppState.reviews);
+    return {
+        reviewQueue: summary.queued,
+        reviewsDecided: summary.decided,
+        overrides: summary.overrides,
+        overrideRate: summary.overrideRate !== null ? formatPercent(summary.overrideRate) : null
+    };
+}
+
+// ============================================================================
+// CUSTOMER DETAIL DRAWER
+// ============================================================================
+
+/**
+ * Number of similar customers listed in the drawer
+ */
+const SIMILAR_CUSTOMER_COUNT = 5;
+
+/**
+ * Opens (or switches) the detail drawer for a customer
+ *
+ * @param {string} customerId - Customer ID
+ *
+ * CONTENTS:
+ * - Radar profile against the portfolio average
+ * - Distance of each criterion to the next better band, and the margin
+ *   before it drops a band
+ * - Decision rationale: rule that fired, reason codes, later rules that
+ *   also matched
+ * - Most similar customers by score vector (findSimilarCustomers)
+ * Previous/next follow the table's current filtered and sorted order.
+ */
+function openCustomerDrawer(customerId) {
+    const customer = AppState.processedData.find(d => d.customer_id === customerId);
+    if (!customer) {
+        closeCustomerDrawer();
+        return;
+    }
+
+    AppState.drawerCustomerId = customerId;
+    const thresholds = getActiveThresholds();
+
+    document.getElementById('drawerTitle').textContent = customerId;
+    document.getElementById('drawerSummary').innerHTML = `
+        <span class="decision-badge ${getDecisionClass(customer.decision)}">${customer.decision}</span>
+        <span class="risk-badge ${getRiskBadgeClass(customer.risk_level)}">${customer.risk_level}</span>
+        <span class="drawer-score">Combined <strong>${customer.combined_score}</strong></span>
+        <span class="drawer-score">PD <strong>${formatPercent(customer.pd)}</strong>${customer.ead == null ? '' :
+            ` · EL <strong>${formatMoney(customer.expected_loss)}</strong> on ${formatMoney(customer.ead)}`}</span>
+        ${customer.max_payment == null ? '' : `<span class="drawer-score">DTI <strong>${customer.dti === null ? 'n/a' : formatPercent(customer.dti)}</strong>` +
+            ` · fits <strong>${formatMoney(customer.max_payment)}</strong>/mo` +
+            (customer.payment === null ? '' : ` · asks ${formatMoney(customer.payment)}/mo`) + '</span>'}
+        ${renderFinalDecisionTag(customer)}
+        ${renderCounterOfferTag(customer)}
+    `;
+
+    renderDrawerNavigation();
+    renderDrawerDistances(customer, thresholds);
+    renderDrawerRationale(customer);
+    renderDrawerSimilar(customer);
+
+    document.getElementById('customerDrawer').classList.add('open');
+    document.getElementById('drawerOverlay').hidden = false;
+
+    const figure = buildRadarFigure(customerId, { compareToAverage: true });
+    Plotly.newPlot('drawerRadarChart', figure.data, figure.layout, { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Closes the detail drawer
+ */
+function closeCustomerDrawer() {
+    if (!AppState.drawerCustomerId) return;
+
+    AppState.drawerCustomerId = null;
+    document.getElementById('customerDrawer').classList.remove('open');
+    document.getElementById('drawerOverlay').hidden = true;
+    Plotly.purge('drawerRadarChart');
+}
+
+/**
+ * Moves the drawer to the previous/next customer in table order
+ *
+ * @param {number} step - -1 for previous, 1 for next
+ */
+function stepCustomerDrawer(step) {
+    const index = AppState.filteredData.findIndex(d => d.customer_id === AppState.drawerCustomerId);
+    const target = AppState.filteredData[index + step];
+
+    if (index !== -1 && target) {
+        openCustomerDrawer(target.customer_id);
+    }
+}
+
+/**
+ * Updates the drawer's position and previous/next buttons from table order
+ */
+function renderDrawerNavigation() {
+    if (!AppState.drawerCustomerId) return;
+
+    const index = AppState.filteredData.findIndex(d => d.customer_id === AppState.drawerCustomerId);
+    document.getElementById('drawerPosition').textContent = index === -1
+        ? 'Not in the current table view'
+        : `${index + 1} of ${AppState.filteredData.length} in table view`;
+    document.getElementById('drawerPrev').disabled = index <= 0;
+    document.getElementById('drawerNext').disabled = index === -1 || index >= AppState.filteredData.length - 1;
+}
+
+/**
+ * Re-renders the open drawer after data or policy changes
+ */
+function refreshCustomerDrawer() {
+    if (AppState.drawerCustomerId) {
+        openCustomerDrawer(AppState.drawerCustomerId);
+    }
+}
+
+/**
+ * Renders each criterion's distance to the neighbouring thresholds
+ *
+ * @param {Object} customer - Processed customer record
+ * @param {Object} thresholds - Active thresholds
+ */
+function renderDrawerDistances(customer, thresholds) {
+    const distances = getThresholdDistances(customer, thresholds);
+    const bandName = band => band.charAt(0).toUpperCase() + band.slice(1);
+
+    document.getElementById('drawerDistances').innerHTML = CRITERIA.map(criterion => {
+        const d = distances[criterion];
+        const up = d.nextBand
+            ? `<span class="delta-up">+${d.toNext} to ${bandName(d.nextBand)}</span>`
+            : '<span class="delta-flat">Top band</span>';
+        const down = d.aboveFloor === null
+            ? '<span class="delta-flat">Lowest band</span>'
+            : `<span class="${d.aboveFloor < 5 ? 'delta-down' : 'delta-flat'}">${d.aboveFloor} above floor</span>`;
+
+        return `
+            <tr>
+                <td>${CRITERION_NAMES[criterion]}</td>
+                <td><span class="score-cell ${getScoreClass(d.score)}">${d.score}</span></td>
+                <td>${bandName(d.band)}</td>
+                <td>${up}</td>
+                <td>${down}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the decision rationale
+ *
+ * @param {Object} customer - Processed customer record
+ */
+function renderDrawerRationale(customer) {
+    const rules = evaluateRules(customer, AppState.policy);
+    const fired = rules.find(rule => rule.fired);
+    const alsoMatched = rules.filter(rule => rule.matched && !rule.fired);
+    const principal = getPrincipalReasons(customer);
+
+    document.getElementById('drawerRationale').innerHTML = `
+        <p>
+            <strong>${escapeHtml(customer.decision_rule)}</strong>
+            ${fired ? `- ${escapeHtml(fired.description)}` : `- no rule matched, policy default (${AppState.policy.defaultDecision})`}
+        </p>
+        <ol class="drawer-reasons">
+            ${customer.reason_codes.map((reason, index) => `
+                <li>${escapeHtml(reason)}${index < principal.length ? ' <span class="reason-label">principal</span>' : ''}</li>
+            `).join('')}
+        </ol>
+        ${alsoMatched.length > 0 ? `
+            <p class="drawer-note">Also matched (not reached): ${alsoMatched.map(rule => `${escapeHtml(rule.id)} → ${rule.decision}`).join(', ')}</p>
+        ` : ''}
+    `;
+}
+
+/**
+ * Renders the most similar customers; each opens in the drawer
+ *
+ * @param {Object} customer - Processed customer record
+ */
+function renderDrawerSimilar(customer) {
+    const similar = findSimilarCustomers(customer, AppState.processedData, SIMILAR_CUSTOMER_COUNT);
+
+    document.getElementById('drawerSimilar').innerHTML = similar.length === 0
+        ? '<li class="drawer-note">No other customers</li>'
+        : similar.map(({ record, distance }) => `
+            <li data-id="${escapeHtml(record.customer_id)}" title="Open ${escapeHtml(record.customer_id)}">
+                <strong>${escapeHtml(record.customer_id)}</strong>
+                <span>${CRITERIA.map(criterion => record[criterion]).join(' / ')}</span>
+                <span class="decision-badge ${getDecisionClass(record.decision)}">${record.decision}</span>
+                <span class="drawer-note">distance ${distance}</span>
+            </li>
+        `).join('');
+}
+
+// ============================================================================
+// CREDIT MEMO
+// ============================================================================
+
+/**
+ * Display names for the criteria in documents
+ */
+const CRITERION_NAMES = {
+    transaction_history: 'Transaction History',
+    affordability: 'Affordability',
+    employment: 'Employment',
+    behavior: 'Behavior'
+};
+
+/**
+ * Opens a printable credit memo for one customer in a new window
+ *
+ * @param {string} customerId - Customer ID
+ *
+ * CONTENTS:
+ * - Decision, rule that fired, combined score and risk level
+ * - Each criterion: score, risk band, portfolio average and percentile
+ * - Every policy rule with its outcome (fired / also matched / not matched)
+ * - Reason codes (principal reasons for denials)
+ * - Radar profile against the portfolio average (same figure as the
+ *   Analysis radar chart)
+ * - Derived ledger features when present, and a sign-off block
+ *
+ * The memo is self-contained HTML with print styles, so the browser's
+ * Print > Save as PDF produces the filing copy; nothing leaves the browser.
+ */
+async function generateCreditMemo(customerId) {
+    const customer = AppState.processedData.find(d => d.customer_id === customerId);
+    if (!customer) return;
+
+    // Open synchronously so popup blockers treat it as user-initiated
+    const memoWindow = window.open('', '_blank');
+    if (!memoWindow) {
+        alert('The memo window was blocked. Allow pop-ups for this page and try again.');
+        return;
+    }
+
+    memoWindow.document.title = `Credit Memo - ${customerId}`;
+    memoWindow.document.body.textContent = 'Preparing credit memo…';
+
+    let radarImage = null;
+    try {
+        const figure = buildRadarFigure(customerId, { compareToAverage: true });
+        radarImage = await Plotly.toImage(
+            { data: figure.data, layout: { ...figure.layout, paper_bgcolor: '#ffffff' } },
+            { format: 'png', width: 480, height: 400 }
+        );
+    } catch (error) {
+        // The memo is still complete without the chart image
+    }
+
+    memoWindow.document.open();
+    memoWindow.document.write(buildCreditMemoHtml(customer, radarImage));
+    memoWindow.document.close();
+    memoWindow.focus();
+}
+
+/**
+ * Builds the credit memo document
+ *
+ * @param {Object} customer - Processed customer record
+ * @param {string|null} radarImage - PNG data URL of the radar chart
+ * @returns {string} Complete HTML document
+ */
+function buildCreditMemoHtml(customer, radarImage) {
+    const policy = AppState.policy;
+    const thresholds = getActiveThresholds();
+    const position = getPortfolioPosition(customer, AppState.processedData);
+    const rules = evaluateRules(customer, policy);
+    const principal = getPrincipalReasons(customer);
+    const band = criterion => getCriteriaRisk(customer[criterion], thresholds);
+
+    // A decided review fills in the sign-off block
+    const stored = AppState.reviews[customer.customer_id];
+    const review = needsReview(customer) && stored && stored.status === 'decided' ? stored : null;
+    const suffixes = ['th', 'st', 'nd', 'rd'];
+    const ordinal = n => `${n}${suffixes[(n % 100 - 20) % 10] || suffixes[n % 100] || suffixes[0]}`;
+
+    const ruleStatus = rule => {
+        if (!rule.enabled) return 'Disabled';
+        if (rule.fired) return '<strong>Fired</strong>';
+        if (rule.matched) return 'Also matched (not reached)';
+        return 'Not matched';
+    };
+
+    const featureRows = customer.features
+        ? FEATURE_COLUMNS.map(feature => `
+            <tr><td>${feature.label}</td><td>${CRITERION_NAMES[feature.criterion]}</td>
+            <td class="num">${customer.features[feature.key] === null ? 'n/a' : customer.features[feature.key]}</td></tr>
+        `).join('')
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Credit Memo - ${escapeHtml(customer.customer_id)}</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 800px; margin: 2rem auto; padding: 0 1rem; font-size: 11pt; }
+    h1 { font-size: 18pt; margin: 0; }
+    h2 { font-size: 12pt; border-bottom: 1px solid #999; padding-bottom: 2pt; margin-top: 18pt; }
+    .meta { color: #555; font-size: 9pt; margin-bottom: 12pt; }
+    .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8pt; border: 1px solid #999; padding: 8pt; }
+    .summary div span { display: block; font-size: 8pt; color: #555; text-transform: uppercase; }
+    .summary div strong { font-size: 13pt; }
+    table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+    th, td { border-bottom: 1px solid #ddd; padding: 3pt 4pt; text-align: left; vertical-align: top; }
+    th { background: #f2f2f2; }
+    .num { text-align: right; }
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 12pt; align-items: start; }
+    .radar { width: 100%; max-width: 360px; }
+    ol { margin: 4pt 0; padding-left: 18pt; }
+    .signoff td { height: 28pt; }
+    .toolbar { text-align: right; margin-bottom: 12pt; }
+    .toolbar button { font-size: 10pt; padding: 4pt 10pt; }
+    @page { size: A4; margin: 16mm; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        .toolbar { display: none; }
+        h2, table, .columns { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+
+<h1>Credit Memo: ${escapeHtml(customer.customer_id)}</h1>
+<div class="meta">
+    Prepared ${new Date().toLocaleString()} · Policy: ${escapeHtml(policy.name || 'Custom policy')} ·
+    Source: ${escapeHtml(AppState.session.name || 'Unsaved data')}
+</div>
+
+<div class="summary">
+    <div><span>Decision</span><strong>${customer.decision}</strong></div>
+    <div><span>Rule</span><strong>${escapeHtml(customer.decision_rule)}</strong></div>
+    <div><span>Combined Score</span><strong>${customer.combined_score}</strong></div>
+    <div><span>Risk Level</span><strong>${customer.risk_level}</strong></div>
+</div>
+
+<h2>Criteria</h2>
+<table>
+    <thead><tr><th>Criterion</th><th class="num">Score</th><th>Risk Band</th><th class="num">Weight</th><th class="num">Portfolio Avg</th><th class="num">Percentile</th></tr></thead>
+    <tbody>
+        ${CRITERIA.map(criterion => `
+            <tr>
+                <td>${CRITERION_NAMES[criterion]}</td>
+                <td class="num">${customer[criterion]}</td>
+                <td>${band(criterion).charAt(0).toUpperCase() + band(criterion).slice(1)}</td>
+                <td class="num">${policy.weights[criterion]}</td>
+                <td class="num">${position.criteria[criterion].average}</td>
+                <td class="num">${ordinal(position.criteria[criterion].percentile)}</td>
+            </tr>
+        `).join('')}
+        <tr>
+            <td><strong>Combined</strong></td>
+            <td class="num"><strong>${customer.combined_score}</strong></td>
+            <td>${customer.risk_level}</td>
+            <td></td>
+            <td class="num">${position.combined.average}</td>
+            <td class="num">${ordinal(position.combined.percentile)}</td>
+        </tr>
+    </tbody>
+</table>
+<p>Band thresholds: low ≥ ${thresholds.low}, moderate ≥ ${thresholds.moderate}, elevated ≥ ${thresholds.elevated}, high below.</p>
+
+<div class="columns">
+    <div>
+        <h2>Portfolio Position</h2>
+        <p>
+            Ranked <strong>${position.rank} of ${position.total}</strong> by combined score
+            (${ordinal(position.combined.percentile)} percentile; portfolio average ${position.combined.average}).
+        </p>
+        <p>${position.decisionShare}% of the portfolio received the same decision (${customer.decision}).</p>
+
+        <h2>Reason Codes</h2>
+        ${principal.length > 0 ? `
+            <p><strong>Principal reasons for adverse action:</strong></p>
+            <ol>${principal.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ol>
+            ${customer.reason_codes.length > principal.length ? `
+                <p>Additional reasons:</p>
+                <ol start="${principal.length + 1}">${customer.reason_codes.slice(principal.length).map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ol>
+            ` : ''}
+        ` : `<ol>${customer.reason_codes.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ol>`}
+    </div>
+    <div>
+        <h2>Risk Profile</h2>
+        ${radarImage
+            ? `<img class="radar" src="${radarImage}" alt="Radar chart of ${escapeHtml(customer.customer_id)} against the portfolio average">`
+            : '<p>Chart unavailable.</p>'}
+    </div>
+</div>
+
+<h2>Policy Rules Evaluated</h2>
+<table>
+    <thead><tr><th>#</th><th>Rule</th><th>Decision</th><th>Description</th><th>Outcome</th></tr></thead>
+    <tbody>
+        ${rules.map((rule, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${escapeHtml(rule.id)}</td>
+                <td>${rule.decision}</td>
+                <td>${escapeHtml(rule.description)}</td>
+                <td>${ruleStatus(rule)}</td>
+            </tr>
+        `).join('')}
+        <tr>
+            <td></td><td>DEFAULT</td><td>${policy.defaultDecision}</td><td>Applies when no rule matches</td>
+            <td>${customer.decision_rule === 'DEFAULT' ? '<strong>Fired</strong>' : 'Not reached'}</td>
+        </tr>
+    </tbody>
+</table>
+
+${customer.max_payment != null ? `
+<h2>Affordability</h2>
+<table>
+    <tbody>
+        <tr><td>Debt-to-income (existing obligations)</td><td class="num">${customer.dti === null ? 'n/a' : formatPercent(customer.dti)}</td></tr>
+        <tr><td>Largest new payment within ${formatPercent(policy.affordabilityCheck.maxDti)} DTI</td><td class="num">${formatMoney(customer.max_payment)}/mo</td></tr>
+        ${customer.payment === null ? '' : `
+            <tr><td>Requested payment</td><td class="num">${formatMoney(customer.payment)}/mo</td></tr>
+            <tr><td>Debt-to-income with the loan</td><td class="num">${customer.loan_dti === null ? 'n/a' : formatPercent(customer.loan_dti)}</td></tr>
+        `}
+        <tr><td>Counter-offer</td><td class="num">${describeCounterOffer(customer) || 'None'}</td></tr>
+    </tbody>
+</table>` : ''}
+
+${customer.features ? `
+<h2>Cash-Flow Features (from transaction ledger)</h2>
+<table>
+    <thead><tr><th>Feature</th><th>Feeds</th><th class="num">Value</th></tr></thead>
+    <tbody>${featureRows}</tbody>
+</table>` : ''}
+
+<h2>Underwriter Review</h2>
+<table class="signoff">
+    <tr><th style="width: 30%">Recommendation</th><td>${review ? escapeHtml(review.decision) : ''}</td></tr>
+    <tr><th>Conditions / Comments</th><td>${review ? escapeHtml(review.note) : ''}</td></tr>
+    <tr><th>Underwriter</th><td>${review ? escapeHtml(review.reviewer) : ''}</td></tr>
+    <tr><th>Date</th><td>${review ? new Date(review.decidedAt).toLocaleString() : ''}</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+// ============================================================================
+// REPORT SNAPSHOT
+// ============================================================================
+
+/**
+ * Charts included in the snapshot, in report order
+ */
+const SNAPSHOT_CHARTS = [
+    { id: 'riskDistributionChart', title: 'Overall Risk Distribution' },
+    { id: 'criteriaBreakdownChart', title: 'Risk by Criteria' },
+    { id: 'scoreDistributionChart', title: 'Combined Score Distribution' },
+    { id: 'radarChart', title: 'Multi-Criteria Risk Profile' },
+    { id: 'heatmapChart', title: 'Risk Heatmap - Customer Portfolio' }
+];
+
+/**
+ * Downloads the current report as one self-contained HTML file
+ *
+ * CONTENTS:
+ * - Summary cards and generated insights for the whole portfolio
+ * - The five overview/analysis charts as embedded PNG images
+ * - The data table as currently filtered and sorted (all pages)
+ * - The same rows plus export metadata as embedded JSON
+ *   (<script type="application/json" id="snapshotData">)
+ *
+ * The file has no external references and no executable script, so it
+ * opens offline as a frozen, read-only copy. Print > Save as PDF from the
+ * snapshot gives a PDF version.
+ */
+async function exportSnapshot() {
+    if (AppState.processedData.length === 0) {
+        alert('No data to snapshot');
+        return;
+    }
+
+    const button = document.getElementById('snapshotBtn');
+    button.disabled = true;
+
+    try {
+        const images = [];
+        for (const chart of SNAPSHOT_CHARTS) {
+            const element = document.getElementById(chart.id);
+            try {
+                images.push({ ...chart, src: await Plotly.toImage(element, { format: 'png', width: 900, height: 450 }) });
+            } catch (error) {
+                images.push({ ...chart, src: null });
+            }
+        }
+
+        const takenAt = new Date();
+        const html = buildSnapshotHtml(images, takenAt);
+        downloadFile(html, `risk-assessment-snapshot-${takenAt.toISOString().slice(0, 10)}.html`, 'text/html');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Describes the table filters in effect, for the snapshot header
+ *
+ * @returns {string} Plain-text description
+ */
+function describeTableView() {
+    const parts = [];
+    const search = document.getElementById('searchInput').value.trim();
+    const riskFilter = document.getElementById('filterRisk');
+
+    if (search) parts.push(`search "${search}"`);
+    if (riskFilter.value !== 'all') parts.push(`risk level: ${riskFilter.options[riskFilter.selectedIndex].text}`);
+    if (!isBlankQuery(AppState.query)) parts.push(`filter: ${describeQuery(AppState.query)}`);
+    if (AppState.sortConfig.column) parts.push(`sorted by ${AppState.sortConfig.column} (${AppState.sortConfig.direction})`);
+
+    return parts.length > 0 ? parts.join(', ') : 'all records, unsorted';
+}
+
+/**
+ * Builds the snapshot document
+ *
+ * @param {Array} images - [{ id, title, src }] chart images
+ * @param {Date} takenAt - Snapshot time
+ * @returns {string} Complete HTML document
+ */
+function buildSnapshotHtml(images, takenAt) {
+    const data = AppState.processedData;
+    const rows = AppState.filteredData;
+    const counts = countDecisions(data);
+    const tableRows = toExportRows(rows, AppState.reviews);
+    const metadata = buildExportMetadata(AppState.policy, {
+        source: AppState.session.name || 'Unsaved data',
+        recordCount: rows.length,
+        portfolioSize: data.length,
+        tableView: describeTableView(),
+        ...getReviewMetadata()
+    });
+
+    // Keep the embedded JSON from closing its script element
+    const embedded = JSON.stringify({ metadata, records: toExportRecords(rows, AppState.reviews) }).replace(/</g, '\\u003c');
+    const share = decision => (counts[decision] / data.length * 100).toFixed(1);
+    const cards = [
+        { label: 'Total Customers', value: data.length, note: 'in portfolio' },
+        ...DECISIONS.map(decision => ({ label: decision, value: counts[decision], note: `${share(decision)}% of portfolio` }))
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="robots" content="noindex,nofollow">
+<title>Risk Assessment Snapshot - ${takenAt.toISOString().slice(0, 10)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #212529; margin: 0; background: #f8f9fa; }
+    header { background: #00052e; color: #fff; padding: 24px 32px; }
+    header h1 { margin: 0 0 6px; font-size: 22px; }
+    header p { margin: 2px 0; font-size: 13px; color: rgba(255, 255, 255, 0.75); }
+    main { max-width: 1200px; margin: 0 auto; padding: 24px 32px; }
+    h2 { font-size: 18px; margin: 28px 0 12px; }
+    .cards { display: grid; grid-template-columns: repeat(5, 1fr); gap: 12px; }
+    .card { background: #fff; border: 1px solid #e9ecef; border-radius: 8px; padding: 14px; }
+    .card span { display: block; font-size: 12px; color: #6c757d; }
+    .card strong { font-size: 26px; }
+    .insight-item { display: flex; gap: 12px; background: #fff; border-left: 4px solid #0156f4; border-radius: 6px; padding: 10px 14px; margin-bottom: 8px; }
+    .insight-positive { border-left-color: #17ca60; }
+    .insight-warning { border-left-color: #f5a623; }
+    .insight-negative { border-left-color: #e53e3e; }
+    .insight-title { font-weight: 600; }
+    .insight-description { font-size: 13px; color: #495057; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    figure { margin: 0; background: #fff; border: 1px solid #e9ecef; border-radius: 8px; padding: 12px; }
+    figure.wide { grid-column: 1 / -1; }
+    figure img { width: 100%; height: auto; }
+    figcaption { font-weight: 600; margin-bottom: 8px; }
+    table { width: 100%; border-collapse: collapse; background: #fff; font-size: 12px; }
+    th, td { border-bottom: 1px solid #e9ecef; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f1f3f5; position: sticky; top: 0; }
+    footer { font-size: 12px; color: #6c757d; padding: 16px 32px 32px; max-width: 1200px; margin: 0 auto; }
+    @page { size: A4 landscape; margin: 12mm; }
+    @media print {
+        body { background: #fff; }
+        header { color: #000; background: none; border-bottom: 2px solid #000; }
+        header p { color: #333; }
+        figure, .card, .insight-item { break-inside: avoid; }
+        th { position: static; }
+    }
+</style>
+</head>
+<body>
+<header>
+    <h1>Cash-Flow Risk Assessment - Portfolio Snapshot</h1>
+    <p>Snapshot taken ${takenAt.toLocaleString()} (${takenAt.toISOString()})</p>
+    <p>Source: ${escapeHtml(metadata.source)} · Policy: ${escapeHtml(metadata.policyName)} ·
+        Thresholds: low ≥ ${metadata.thresholds.low}, moderate ≥ ${metadata.thresholds.moderate}, elevated ≥ ${metadata.thresholds.elevated}</p>
+    <p>Read-only copy. Figures are frozen at the time above and do not update.</p>
+</header>
+<main>
+    <h2>Summary</h2>
+    <div class="cards">
+        ${cards.map(card => `<div class="card"><span>${card.label}</span><strong>${card.value}</strong><span>${card.note}</span></div>`).join('')}
+    </div>
+
+    <h2>Key Insights</h2>
+    ${renderInsightItems(buildInsights(data))}
+
+    <h2>Charts</h2>
+    <div class="charts">
+        ${images.map(image => `
+            <figure class="${image.id === 'heatmapChart' ? 'wide' : ''}">
+                <figcaption>${image.title}</figcaption>
+                ${image.src ? `<img src="${image.src}" alt="${image.title}">` : '<p>Chart unavailable.</p>'}
+            </figure>
+        `).join('')}
+    </div>
+
+    <h2>Customer Data (${rows.length} of ${data.length} records; ${escapeHtml(metadata.tableView)})</h2>
+    <table>
+        <thead><tr>${tableRows[0].map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${tableRows.slice(1).map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    </table>
+</main>
+<footer>
+    Generated by the Cash-Flow Risk Assessment Model. The table rows and export metadata are embedded as JSON in this file (element #snapshotData).
+</footer>
+<script type="application/json" id="snapshotData">${embedded}</script>
+</body>
+</html>`;
+}
+
+// ============================================================================
+// SESSION PERSISTENCE (IndexedDB)
+// ============================================================================
+
+/**
+ * IndexedDB layout
+ *
+ * STORES:
+ * - sessions: session metadata, policy configuration and UI state (small)
+ * - datasets: the raw portfolio for each session, keyed by session ID
+ * - audit: append-only audit log entries, keyed by sequence number (v2)
+ * - snapshots: dated portfolios for trend analysis, keyed by ID (v3)
+ *
+ * Datasets are kept apart so listing sessions never loads whole portfolios.
+ * IndexedDB is used instead of localStorage because large portfolios exceed
+ * the few-megabyte localStorage quota.
+ */
+const DB_NAME = 'cashflow-risk-assessment';
+const DB_VERSION = 3;
+const DB_STORES = {
+    sessions: 'id',
+    datasets: 'id',
+    audit: 'seq',
+    snapshots: 'id'
+};
+
+/**
+ * localStorage key remembering which session to reopen on load
+ */
+const LAST_SESSION_KEY = 'cashflow-risk-last-session';
+
+/**
+ * Delay before UI changes are written, so bursts (typing, dragging) save once
+ */
+const SESSION_SAVE_DELAY = 500;
+
+let databasePromise = null;
+let sessionSaveTimer = null;
+
+/**
+ * Opens (and on first use creates) the application database
+ *
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(DB_STORES).forEach(([name, keyPath]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Runs one request against a store and resolves when its transaction commits
+ *
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Applies several puts/adds/deletes across stores in one atomic transaction
+ *
+ * @param {Array} operations - [{ store, put: value } | { store, add: value } |
+ *   { store, delete: key }]; add fails if the key already exists
+ * @returns {Promise<void>}
+ */
+async function dbWrite(operations) {
+    const db = await openDatabase();
+    const storeNames = [...new Set(operations.map(op => op.store))];
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readwrite');
+
+        operations.forEach(op => {
+            const store = transaction.objectStore(op.store);
+            if ('put' in op) store.put(op.put);
+            else if ('add' in op) store.add(op.add);
+            else store.delete(op.delete);
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Generates a unique session ID
+ *
+ * @returns {string} Session ID
+ */
+function createSessionId() {
+    return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Starts a new session for a freshly loaded dataset
+ *
+ * @param {string} name - Initial session name (file name or "Sample data")
+ */
+function startNewSession(name) {
+    AppState.session = {
+        id: createSessionId(),
+        name: name,
+        createdAt: new Date().toISOString(),
+        datasetDirty: true
+    };
+}
+
+/**
+ * Detaches the app from its session without deleting it
+ */
+function detachSession() {
+    clearTimeout(sessionSaveTimer);
+    AppState.session = { id: null, name: null, createdAt: null, datasetDirty: false };
+
+    try {
+        localStorage.removeItem(LAST_SESSION_KEY);
+    } catch (error) {
+        // Storage unavailable - nothing to forget
+    }
+
+    renderSessionList();
+}
+
+/**
+ * Captures table UI state (sort, filters, pagination) for the session
+ *
+ * @returns {Object} Serializable UI state
+ */
+function captureUIState() {
+    return {
+        sortConfig: { ...AppState.sortConfig },
+        pagination: { ...AppState.pagination },
+        search: document.getElementById('searchInput').value,
+        riskFilter: document.getElementById('filterRisk').value,
+        segment: { ...AppState.segment },
+        query: AppState.query,
+        fairLending: { ...AppState.fairLending }
+    };
+}
+
+/**
+ * Restores table UI state saved with a session
+ *
+ * @param {Object} ui - State from captureUIState
+ */
+function restoreUIState(ui = {}) {
+    AppState.sortConfig = { column: null, direction: 'asc', ...ui.sortConfig };
+    AppState.pagination = { ...AppState.pagination, ...ui.pagination };
+    document.getElementById('searchInput').value = ui.search || '';
+    document.getElementById('filterRisk').value = ui.riskFilter || 'all';
+    AppState.segment = { dimension: '', value: null, ...ui.segment };
+    AppState.query = ui.query || null;
+    AppState.fairLending = { attribute: '', reference: null, ...ui.fairLending };
+
+    renderSortIndicators();
+}
+
+/**
+ * Queues a save of the current session (debounced)
+ */
+function scheduleSessionSave() {
+    if (!AppState.session.id || AppState.rawData.length === 0) return;
+
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(() => {
+        saveSession().catch(error => {
+            showStatus('sessionStatus', `Could not save session: ${error.message}`, 'error');
+        });
+    }, SESSION_SAVE_DELAY);
+}
+
+/**
+ * Writes the current session (and its dataset, if changed) to IndexedDB
+ *
+ * @returns {Promise<void>}
+ */
+async function saveSession() {
+    const session = AppState.session;
+    if (!session.id) return;
+
+    const record = {
+        id: session.id,
+        name: session.name,
+        createdAt: session.createdAt,
+        updatedAt: new Date().toISOString(),
+        recordCount: AppState.rawData.length,
+        policy: AppState.policy,
+        comparison: AppState.comparison,
+        reviews: AppState.reviews,
+        outcomes: AppState.outcomes,
+        ui: captureUIState()
+    };
+
+    const operations = [{ store: 'sessions', put: record }];
+    if (session.datasetDirty) {
+        operations.push({ store: 'datasets', put: { id: session.id, rawData: AppState.rawData } });
+    }
+
+    await dbWrite(operations);
+    session.datasetDirty = false;
+
+    try {
+        localStorage.setItem(LAST_SESSION_KEY, session.id);
+    } catch (error) {
+        // Without the pointer the session is still listed, just not auto-opened
+    }
+
+    await renderSessionList();
+}
+
+/**
+ * Opens a saved session: dataset, policy configuration and UI state
+ *
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>} Whether the session was found
+ */
+async function openSession(id) {
+    const [session, dataset] = await Promise.all([
+        dbRequest('sessions', 'readonly', store => store.get(id)),
+        dbRequest('datasets', 'readonly', store => store.get(id))
+    ]);
+
+    if (!session || !dataset) return false;
+
+    clearTimeout(sessionSaveTimer);
+    AppState.session = {
+        id: session.id,
+        name: session.name,
+        createdAt: session.createdAt,
+        datasetDirty: false
+    };
+
+    if (session.policy && validatePolicy(session.policy).length === 0) {
+        AppState.policy = normalizePolicy(session.policy);
+        savePolicy();
+        renderPolicyEditor();
+        setSimulatorThresholds(AppState.policy.thresholds);
+    }
+
+    if (session.comparison && session.comparison.champion && session.comparison.challenger) {
+        AppState.comparison = session.comparison;
+        renderComparisonEditors();
+    }
+
+    restoreUIState(session.ui);
+    clearReviews();
+    AppState.reviews = session.reviews || {};
+    AppState.outcomes = session.outcomes || null;
+    AppState.rawData = dataset.rawData;
+    AppState.processedData = processData(AppState.rawData, AppState.policy);
+    recordScoringRun('session reopened');
+    updateUI();
+
+    try {
+        localStorage.setItem(LAST_SESSION_KEY, id);
+    } catch (error) {
+        // Not critical - the session is open either way
+    }
+
+    return true;
+}
+
+/**
+ * Reopens the session that was active before the page was reloaded
+ */
+async function restoreLastSession() {
+    let id = null;
+    try {
+        id = localStorage.getItem(LAST_SESSION_KEY);
+    } catch (error) {
+        // Storage unavailable - start empty
+    }
+
+    try {
+        if (id && await openSession(id)) {
+            showUploadStatus(`Restored session "${AppState.session.name}"`, 'success');
+        }
+        await renderSessionList();
+    } catch (error) {
+        renderSessionListUnavailable(error);
+    }
+}
+
+/**
+ * Renders the saved session list, newest first
+ *
+ * @returns {Promise<void>}
+ */
+async function renderSessionList() {
+    let sessions;
+    try {
+        sessions = await dbRequest('sessions', 'readonly', store => store.getAll());
+    } catch (error) {
+        renderSessionListUnavailable(error);
+        return;
+    }
+
+    const list = document.getElementById('sessionList');
+    sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    if (sessions.length === 0) {
+        list.innerHTML = '<li class="session-empty">No saved sessions yet. Load data to start one.</li>';
+        return;
+    }
+
+    list.innerHTML = sessions.map(session => `
+        <li data-id="${session.id}" class="${session.id === AppState.session.id ? 'session-active' : ''}">
+            <div class="session-info">
+                <strong>${escapeHtml(session.name)}</strong>
+                <span>${session.recordCount} records · saved ${new Date(session.updatedAt).toLocaleString()}</span>
+            </div>
+            <div class="session-actions">
+                <button class="btn btn-secondary" data-action="open" ${session.id === AppState.session.id ? 'disabled' : ''}>Open</button>
+                <button class="btn btn-secondary" data-action="rename">Rename</button>
+                <button class="btn btn-secondary" data-action="delete">Delete</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Explains why sessions cannot be saved in this browser
+ *
+ * @param {Error} error - Database error
+ */
+function renderSessionListUnavailable(error) {
+    document.getElementById('sessionList').innerHTML =
+        `<li class="session-empty">Sessions unavailable: ${escapeHtml(error.message)}</li>`;
+}
+
+/**
+ * Handles open/rename/delete on a saved session
+ *
+ * @param {string} action - 'open', 'rename' or 'delete'
+ * @param {string} id - Session ID
+ */
+async function handleSessionAction(action, id) {
+    try {
+        const session = await dbRequest('sessions', 'readonly', store => store.get(id));
+        if (!session) return;
+
+        if (action === 'open') {
+            await openSession(id);
+            await renderSessionList();
+            showStatus('sessionStatus', `Opened "${session.name}"`, 'success');
+        } else if (action === 'rename') {
+            const name = prompt('Rename session', session.name);
+            if (!name || !name.trim()) return;
+
+            session.name = name.trim();
+            await dbWrite([{ store: 'sessions', put: session }]);
+            if (id === AppState.session.id) AppState.session.name = session.name;
+            await renderSessionList();
+        } else if (action === 'delete') {
+            if (!confirm(`Delete session "${session.name}"? This cannot be undone.`)) return;
+
+            await dbWrite([
+                { store: 'sessions', delete: id },
+                { store: 'datasets', delete: id }
+            ]);
+            if (id === AppState.session.id) detachSession();
+            await renderSessionList();
+        }
+    } catch (error) {
+        showStatus('sessionStatus', `Session ${action} failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Saves the current dataset and settings as a new, separately named session
+ */
+async function saveSessionAs() {
+    if (AppState.rawData.length === 0) {
+        showStatus('sessionStatus', 'Load data before saving a session', 'error');
+        return;
+    }
+
+    const name = prompt('Session name', AppState.session.name ? `${AppState.session.name} (copy)` : 'Untitled session');
+    if (!name || !name.trim()) return;
+
+    startNewSession(name.trim());
+
+    try {
+        await saveSession();
+        showStatus('sessionStatus', `Saved session "${AppState.session.name}"`, 'success');
+    } catch (error) {
+        showStatus('sessionStatus', `Could not save session: ${error.message}`, 'error');
+    }
+}
+
+// ============================================================================
+// SNAPSHOT TRENDS
+// ============================================================================
+
+/**
+ * Outcome rate labels and colors for the trend chart
+ */
+const TREND_OUTCOMES = {
+    approve: { label: 'Approval rate', color: COLORS.low },
+    review: { label: 'Review rate', color: COLORS.elevated },
+    deny: { label: 'Deny rate', color: COLORS.high }
+};
+
+/**
+ * Session whose name last filled the as-of date field (so a date the user
+ * typed is kept until another dataset is loaded)
+ */
+let asOfSuggestedFor = null;
+
+/**
+ * Suggests an as-of date from a file name such as "book-2024-03.csv"
+ *
+ * @param {string} name - File or session name
+ * @returns {string} YYYY-MM-DD; month-only names give the month end, and
+ *   today is used when the name holds no date
+ */
+function suggestAsOfDate(name) {
+    const match = /(20\d{2})[-_.]?(0[1-9]|1[0-2])(?:[-_.]?(0[1-9]|[12]\d|3[01]))?/.exec(name || '');
+    if (!match) return new Date().toISOString().slice(0, 10);
+
+    const [, year, month, day] = match;
+    const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    return `${year}-${month}-${day || String(lastDay).padStart(2, '0')}`;
+}
+
+/**
+ * Loads stored snapshots
+ *
+ * @returns {Promise<void>}
+ */
+async function loadSnapshots() {
+    try {
+        AppState.snapshots = await dbRequest('snapshots', 'readonly', store => store.getAll());
+    } catch (error) {
+        showStatus('trendStatus', `Snapshots are kept for this visit only: ${error.message}`, 'error');
+    }
+    updateTrends();
+}
+
+/**
+ * Adds the loaded dataset as a dated snapshot
+ *
+ * LOGIC:
+ * A snapshot with the same as-of date is replaced, so re-loading a corrected
+ * month does not double-count it.
+ *
+ * @returns {Promise<void>}
+ */
+async function addSnapshot() {
+    const asOf = document.getElementById('snapshotAsOf').value;
+    if (AppState.rawData.length === 0) return;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+        showStatus('trendStatus', 'Choose an as-of date first', 'error');
+        return;
+    }
+
+    const existing = AppState.snapshots.find(snapshot => snapshot.asOf === asOf);
+    const snapshot = {
+        id: existing ? existing.id : `snapshot-${Date.now().toString(36)}`,
+        asOf,
+        name: AppState.session.name || 'Unsaved data',
+        createdAt: new Date().toISOString(),
+        rawData: AppState.rawData
+    };
+
+    AppState.snapshots = [...AppState.snapshots.filter(s => s.asOf !== asOf), snapshot];
+    updateTrends();
+
+    try {
+        await dbWrite([{ store: 'snapshots', put: snapshot }]);
+        showStatus('trendStatus', `${existing ? 'Replaced' : 'Added'} snapshot as of ${asOf} (${snapshot.rawData.length} customers)`, 'success');
+    } catch (error) {
+        showStatus('trendStatus', `Snapshot added for this visit only: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Handles Open / Delete in the snapshot list
+ *
+ * @param {string} action - 'open' or 'delete'
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<void>}
+ */
+async function handleSnapshotAction(action, id) {
+    const snapshot = AppState.snapshots.find(s => s.id === id);
+    if (!snapshot) return;
+
+    if (action === 'open') {
+        startNewSession(`${snapshot.name} (as of ${snapshot.asOf})`);
+        clearReviews();
+        AppState.outcomes = null;
+        AppState.rawData = snapshot.rawData;
+        AppState.processedData = processData(AppState.rawData, AppState.policy);
+        recordScoringRun(`snapshot ${snapshot.asOf}`);
+        updateUI();
+        showStatus('trendStatus', `Opened snapshot as of ${snapshot.asOf}`, 'success');
+        return;
+    }
+
+    if (!confirm(`Delete the snapshot as of ${snapshot.asOf}?`)) return;
+
+    AppState.snapshots = AppState.snapshots.filter(s => s.id !== id);
+    updateTrends();
+    try {
+        await dbWrite([{ store: 'snapshots', delete: id }]);
+    } catch (error) {
+        showStatus('trendStatus', `Could not delete the stored snapshot: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Re-scores all snapshots with the active policy and renders the trends
+ *
+ * VISUALIZATION:
+ * - Snapshot cards: decision counts and rates, with the change from the
+ *   previous snapshot
+ * - Outcome rates over time (approve / review / deny)
+ * - Average score per criterion over time (analyzeCriteria)
+ * - Overall risk-level mix per snapshot (stacked 100% bars)
+ */
+function updateTrends() {
+    const trend = buildSnapshotTrend(AppState.snapshots, AppState.policy);
+    const hasTrend = trend.length > 0;
+
+    document.getElementById('addSnapshot').disabled = AppState.rawData.length === 0;
+    if (AppState.session.id && AppState.session.id !== asOfSuggestedFor) {
+        asOfSuggestedFor = AppState.session.id;
+        document.getElementById('snapshotAsOf').value = suggestAsOfDate(AppState.session.name);
+    }
+    document.getElementById('trendCharts').hidden = trend.length < 2;
+    document.getElementById('trendHint').textContent = trend.length < 2
+        ? 'Add at least two snapshots to see trends.'
+        : `${trend.length} snapshots, all scored with "${AppState.policy.name || 'Custom policy'}".`;
+
+    renderSnapshotList(trend);
+    renderSnapshotCards(trend);
+
+    updateTransitionMatrix(trend);
+
+    if (trend.length >= 2) {
+        renderTrendRatesChart(trend);
+        renderTrendCriteriaChart(trend);
+        renderTrendRiskMixChart(trend);
+    } else {
+        ['trendRatesChart', 'trendCriteriaChart', 'trendRiskMixChart'].forEach(id => Plotly.purge(id));
+    }
+
+    document.getElementById('snapshotList').hidden = !hasTrend;
+}
+
+/**
+ * Renders the stored snapshots with Open / Delete actions
+ *
+ * @param {Array} trend - See buildSnapshotTrend
+ */
+function renderSnapshotList(trend) {
+    document.getElementById('snapshotList').innerHTML = trend.map(snapshot => `
+        <li>
+            <div class="session-info">
+                <strong>${snapshot.asOf}</strong>
+                <span>${escapeHtml(snapshot.name)} · ${snapshot.summary.total} customers</span>
+            </div>
+            <div class="session-actions">
+                <button class="btn btn-secondary" data-snapshot-action="open" data-id="${snapshot.id}">Open</button>
+                <button class="btn btn-secondary" data-snapshot-action="delete" data-id="${snapshot.id}">Delete</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Renders one summary card per snapshot with deltas against the previous one
+ *
+ * @param {Array} trend - See buildSnapshotTrend
+ */
+function renderSnapshotCards(trend) {
+    const change = (value, unit) => {
+        if (value === 0) return `<span class="delta-flat">±0${unit}</span>`;
+        return `<span class="delta-${value > 0 ? 'up' : 'down'}">${value > 0 ? '+' : ''}${unit ? value.toFixed(1) : value}${unit}</span>`;
+    };
+
+    document.getElementById('snapshotCards').innerHTML = trend.map(({ asOf, summary, delta }) => `
+        <div class="snapshot-card">
+            <h3 class="comparison-title">${asOf}</h3>
+            <p class="comparison-name">${summary.total} customers ${delta ? change(delta.total, '') : ''}</p>
+            <table class="snapshot-card-table">
+                ${DECISIONS.map(decision => {
+                    const share = summary.total > 0 ? summary.counts[decision] / summary.total * 100 : 0;
+                    const previousShare = delta
+                        ? (summary.counts[decision] - delta.counts[decision]) / (summary.total - delta.total) * 100
+                        : null;
+                    return `
+                        <tr>
+                            <th><span class="decision-badge ${getDecisionClass(decision)}">${decision}</span></th>
+                            <td>${summary.counts[decision]}</td>
+                            <td>${share.toFixed(1)}%</td>
+                            <td>${delta ? `${change(delta.counts[decision], '')} / ${change(share - (previousShare || 0), ' pts')}` : '<span class="delta-flat">first</span>'}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </table>
+        </div>
+    `).join('');
+}
+
+/**
+ * Plotly layout shared by the trend charts
+ *
+ * @param {Object} overrides - Layout fields to add
+ * @returns {Object} Layout
+ */
+function trendLayout(overrides) {
+    return {
+        margin: { t: 20, b: 50, l: 50, r: 20 },
+        legend: { orientation: 'h', y: -0.2 },
+        xaxis: { type: 'category', title: 'As of' },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)',
+        ...overrides
+    };
+}
+
+/**
+ * Line chart of approval, review and deny rates per snapshot
+ *
+ * @param {Array} trend - See buildSnapshotTrend
+ */
+function renderTrendRatesChart(trend) {
+    const dates = trend.map(snapshot => snapshot.asOf);
+    const traces = Object.entries(TREND_OUTCOMES).map(([outcome, { label, color }]) => ({
+        x: dates,
+        y: trend.map(snapshot => snapshot.summary.rates[outcome] * 100),
+        name: label,
+        type: 'scatter',
+        mode: 'lines+markers',
+        line: { color, width: 3 },
+        hovertemplate: `${label}: %{y:.1f}%<extra>%{x}</extra>`
+    }));
+
+    Plotly.newPlot('trendRatesChart', traces, trendLayout({
+        yaxis: { title: '% of customers', rangemode: 'tozero' }
+    }), { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Line chart of the average score per criterion per snapshot
+ *
+ * @param {Array} trend - See buildSnapshotTrend
+ */
+function renderTrendCriteriaChart(trend) {
+    const thresholds = getActiveThresholds();
+    const stats = trend.map(snapshot => analyzeCriteria(snapshot.data, thresholds));
+
+    const traces = CRITERIA.map((criterion, index) => ({
+        x: trend.map(snapshot => snapshot.asOf),
+        y: stats.map(snapshotStats => snapshotStats[index].avgScore),
+        customdata: stats.map(snapshotStats => snapshotStats[index].bandShares.high * 100),
+        name: CRITERION_NAMES[criterion],
+        type: 'scatter',
+        mode: 'lines+markers',
+        line: { color: CRITERION_COLORS[criterion], width: 2 },
+        hovertemplate: `${CRITERION_NAMES[criterion]}: %{y:.1f} (high risk %{customdata:.1f}%)<extra>%{x}</extra>`
+    }));
+
+    Plotly.newPlot('trendCriteriaChart', traces, trendLayout({
+        yaxis: { title: 'Average score', range: [0, 100] },
+        shapes: RISK_CATEGORIES.slice(0, 3).map(band => ({
+            type: 'line', xref: 'paper', x0: 0, x1: 1, y0: thresholds[band], y1: thresholds[band],
+            line: { color: '#999', width: 1, dash: 'dot' }
+        }))
+    }), { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Stacked bar chart of the overall risk-level mix per snapshot
+ *
+ * @param {Array} trend - See buildSnapshotTrend
+ */
+function renderTrendRiskMixChart(trend) {
+    const colors = [COLORS.low, COLORS.moderate, COLORS.elevated, COLORS.high];
+
+    const traces = RISK_LEVELS.map((level, index) => ({
+        x: trend.map(snapshot => snapshot.asOf),
+        y: trend.map(snapshot => snapshot.summary.riskMix[level] / snapshot.summary.total * 100),
+        customdata: trend.map(snapshot => snapshot.summary.riskMix[level]),
+        name: level,
+        type: 'bar',
+        marker: { color: colors[index] },
+        hovertemplate: `${level}: %{y:.1f}% (%{customdata})<extra>%{x}</extra>`
+    }));
+
+    Plotly.newPlot('trendRiskMixChart', traces, trendLayout({
+        barmode: 'stack',
+        yaxis: { title: '% of customers', range: [0, 100] }
+    }), { responsive: true, displayModeBar: false });
+}
+
+// ============================================================================
+// TRANSITION MATRIX
+// ============================================================================
+
+/**
+ * Customers listed for a clicked cell (the download has all)
+ */
+const MAX_TRANSITION_ROWS_SHOWN = 100;
+
+/**
+ * Matrix currently shown, kept so clicking a cell does not re-score
+ */
+let transitionMatrix = null;
+
+/**
+ * Builds and renders the transition matrix between two snapshots
+ *
+ * @param {Array} trend - Scored snapshots (see buildSnapshotTrend)
+ *
+ * METHODOLOGY:
+ * Customers are matched on customer_id between period A and period B.
+ * Each cell counts the customers who were in the row state in A and the
+ * column state in B; the percentage is of the row (where A's customers in
+ * that state ended up). Cells right of the diagonal are deteriorations.
+ */
+function updateTransitionMatrix(trend) {
+    const panel = document.getElementById('transitionPanel');
+    panel.hidden = trend.length < 2;
+    if (trend.length < 2) {
+        transitionMatrix = null;
+        return;
+    }
+
+    // Keep the chosen periods while they exist; default to the latest two
+    const selection = AppState.transition;
+    const ids = trend.map(snapshot => snapshot.id);
+    if (!ids.includes(selection.from)) selection.from = ids[ids.length - 2];
+    if (!ids.includes(selection.to)) selection.to = ids[ids.length - 1];
+
+    const options = trend.map(snapshot => `<option value="${snapshot.id}">${snapshot.asOf} · ${escapeHtml(snapshot.name)}</option>`).join('');
+    ['transitionFrom', 'transitionTo'].forEach(id => {
+        document.getElementById(id).innerHTML = options;
+    });
+    document.getElementById('transitionFrom').value = selection.from;
+    document.getElementById('transitionTo').value = selection.to;
+    document.getElementById('transitionField').value = selection.field;
+
+    const before = trend.find(snapshot => snapshot.id === selection.from);
+    const after = trend.find(snapshot => snapshot.id === selection.to);
+    transitionMatrix = {
+        ...buildTransitionMatrix(before.data, after.data, selection.field),
+        before,
+        after
+    };
+
+    const { cells, states } = transitionMatrix;
+    if (selection.cell && !(cells[selection.cell.from] && cells[selection.cell.from][selection.cell.to])) {
+        selection.cell = null;
+    }
+    if (selection.cell && !states.includes(selection.cell.from)) selection.cell = null;
+
+    renderTransitionSummary();
+    renderTransitionTable();
+    renderTransitionCustomers();
+    renderTransitionOnly();
+}
+
+/**
+ * Renders movement totals, including customers leaving the best state
+ */
+function renderTransitionSummary() {
+    const { states, cells, matched, worse, better, unchanged, onlyBefore, onlyAfter, before, after } = transitionMatrix;
+    const best = states[0];
+    const leftBest = states.slice(1).reduce((sum, to) => sum + cells[best][to].length, 0);
+
+    document.getElementById('transitionSummary').innerHTML = `
+        <strong>${before.asOf} → ${after.asOf}:</strong>
+        ${matched} customers in both ·
+        <span class="delta-down">${worse} deteriorated</span> ·
+        <span class="delta-up">${better} improved</span> ·
+        ${unchanged} unchanged ·
+        ${onlyBefore.length} only in A · ${onlyAfter.length} only in B
+        ${leftBest > 0 ? `<br><span class="delta-down">⚠ ${leftBest} ${best} customer${leftBest === 1 ? '' : 's'} in A ${leftBest === 1 ? 'is' : 'are'} no longer ${best} in B</span>` : ''}
+    `;
+}
+
+/**
+ * Renders the matrix; each non-empty cell is clickable
+ */
+function renderTransitionTable() {
+    const { states, cells, rowTotals } = transitionMatrix;
+    const selected = AppState.transition.cell;
+
+    const rows = states.map((from, fromIndex) => `
+        <tr>
+            <th>${from}</th>
+            ${states.map((to, toIndex) => {
+                const count = cells[from][to].length;
+                const share = rowTotals[from] > 0 ? (count / rowTotals[from] * 100).toFixed(1) : '0.0';
+                const direction = toIndex > fromIndex ? 'worse' : toIndex < fromIndex ? 'better' : 'same';
+                const isSelected = selected && selected.from === from && selected.to === to;
+                return `
+                    <td class="transition-cell transition-${direction}${count > 0 ? ' clickable-row' : ''}${isSelected ? ' selected-row' : ''}"
+                        ${count > 0 ? `data-from="${from}" data-to="${to}"` : ''}>
+                        <strong>${count}</strong>
+                        <span class="sim-card-rate">${share}%</span>
+                    </td>
+                `;
+            }).join('')}
+            <td><strong>${rowTotals[from]}</strong></td>
+        </tr>
+    `).join('');
+
+    document.getElementById('transitionMatrix').innerHTML = `
+        <thead>
+            <tr><th>A ↓ / B →</th>${states.map(state => `<th>${state}</th>`).join('')}<th>Total in A</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+/**
+ * Lists the customers in the clicked cell
+ */
+function renderTransitionCustomers() {
+    const cell = AppState.transition.cell;
+    const container = document.getElementById('transitionCustomers');
+    const field = AppState.transition.field;
+
+    if (!cell) {
+        container.hidden = true;
+        return;
+    }
+
+    const moves = transitionMatrix.cells[cell.from][cell.to];
+    container.hidden = false;
+    document.getElementById('transitionCellTitle').textContent =
+        `${cell.from} → ${cell.to}: ${moves.length} customer${moves.length === 1 ? '' : 's'}` +
+        (moves.length > MAX_TRANSITION_ROWS_SHOWN ? ` (first ${MAX_TRANSITION_ROWS_SHOWN} shown)` : '');
+
+    document.getElementById('transitionCustomerBody').innerHTML = moves.slice(0, MAX_TRANSITION_ROWS_SHOWN).map(({ customer_id, before, after }) => {
+        const change = Math.round((after.combined_score - before.combined_score) * 10) / 10;
+        return `
+            <tr>
+                <td><strong>${escapeHtml(customer_id)}</strong></td>
+                <td>${before[field]}</td>
+                <td>${after[field]}</td>
+                <td>${before.combined_score}</td>
+                <td>${after.combined_score}</td>
+                <td>${formatDelta(change, 'sim-delta')}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Lists customers present in only one of the two periods
+ */
+function renderTransitionOnly() {
+    const { onlyBefore, onlyAfter, before, after } = transitionMatrix;
+    const field = AppState.transition.field;
+    const list = (records) => (records.length === 0
+        ? '<li class="session-empty">None</li>'
+        : records.map(record => `<li><strong>${escapeHtml(record.customer_id)}</strong> <span>${record[field]} · ${record.combined_score}</span></li>`).join(''));
+
+    document.getElementById('transitionOnlyBefore').innerHTML = list(onlyBefore);
+    document.getElementById('transitionOnlyAfter').innerHTML = list(onlyAfter);
+    document.getElementById('transitionOnlyBeforeTitle').textContent = `Only in A (${before.asOf}): ${onlyBefore.length}`;
+    document.getElementById('transitionOnlyAfterTitle').textContent = `Only in B (${after.asOf}): ${onlyAfter.length}`;
+}
+
+/**
+ * Downloads the customers in the clicked cell as CSV
+ */
+function downloadTransitionCell() {
+    const cell = AppState.transition.cell;
+    if (!cell || !transitionMatrix) return;
+
+    const { before, after } = transitionMatrix;
+    const field = AppState.transition.field;
+    const label = field === 'decision' ? 'Decision' : 'Risk Level';
+    const rows = [
+        ['Customer ID', `${label} (${before.asOf})`, `${label} (${after.asOf})`,
+            `Combined Score (${before.asOf})`, `Combined Score (${after.asOf})`],
+        ...transitionMatrix.cells[cell.from][cell.to].map(move => [
+            move.customer_id, move.before[field], move.after[field],
+            move.before.combined_score, move.after.combined_score
+        ])
+    ];
+
+    const slug = text => text.toLowerCase().replace(/\s+/g, '-');
+    downloadFile(formatCSV(rows), `transition-${before.asOf}-to-${after.asOf}-${slug(cell.from)}-to-${slug(cell.to)}.csv`,
+        FILE_FORMATS.csv.mimeType);
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * localStorage key for the user label written into audit entries
+ */
+const AUDIT_USER_KEY = 'cashflow-risk-audit-user';
+
+/**
+ * Newest entries listed on the page (exports and verification use all)
+ */
+const MAX_AUDIT_ROWS_SHOWN = 100;
+
+/**
+ * Appends run one at a time so every entry chains onto the one before it
+ */
+let auditQueue = Promise.resolve();
+
+/**
+ * Label of the person using the app, for audit entries
+ *
+ * @returns {string} User label ("anonymous" when not set)
+ */
+function getAuditUser() {
+    return document.getElementById('auditUser').value.trim() || 'anonymous';
+}
+
+/**
+ * Loads the stored audit log (queued ahead of any new entries)
+ *
+ * @returns {Promise<void>}
+ */
+function loadAuditLog() {
+    try {
+        document.getElementById('auditUser').value = localStorage.getItem(AUDIT_USER_KEY) || '';
+    } catch (error) {
+        // Storage unavailable - the label starts empty
+    }
+
+    auditQueue = auditQueue.then(async () => {
+        try {
+            const entries = await dbRequest('audit', 'readonly', store => store.getAll());
+            AppState.audit.entries = entries.sort((a, b) => a.seq - b.seq);
+        } catch (error) {
+            AppState.audit.persisted = false;
+            showStatus('auditStatus', `Audit log kept in memory only: ${error.message}`, 'error');
+        }
+        renderAuditLog();
+    });
+
+    return auditQueue;
+}
+
+/**
+ * Writes an event to the audit log
+ *
+ * @param {string} type - One of AUDIT_EVENT_TYPES
+ * @param {string} summary - One-line description
+ * @param {Object} details - Event-specific fields
+ * @returns {Promise<void>}
+ *
+ * DATA CAPTURED:
+ * The dataset, policy and decision counts are read when the event happens
+ * (not when the entry is hashed), so later changes cannot leak into it:
+ * - inputHash: SHA-256 of the raw dataset (null when nothing is loaded)
+ * - policyVersion: content hash of the active policy (getPolicyVersion)
+ * - counts: decisions per system decision (null when nothing is scored)
+ */
+function recordAudit(type, summary, details = {}) {
+    const rows = AppState.rawData;
+    const policy = AppState.policy;
+    const fields = {
+        timestamp: new Date().toISOString(),
+        type,
+        user: getAuditUser(),
+        sessionId: AppState.session.id,
+        source: AppState.session.name,
+        summary,
+        policyName: policy.name || 'Custom policy',
+        // A policy entry is followed by the scoring run that carries its counts
+        counts: type !== 'policy' && AppState.processedData.length > 0 ? countDecisions(AppState.processedData) : null,
+        details
+    };
+
+    auditQueue = auditQueue
+        .then(async () => {
+            const [inputHash, policyVersion] = await Promise.all([
+                rows.length > 0 ? hashDataset(rows) : null,
+                getPolicyVersion(policy)
+            ]);
+            const entries = AppState.audit.entries;
+            const entry = await createAuditEntry(entries[entries.length - 1] || null, {
+                ...fields,
+                inputHash,
+                policyVersion
+            });
+
+            if (AppState.audit.persisted) {
+                await dbWrite([{ store: 'audit', add: entry }]);
+            }
+            entries.push(entry);
+            renderAuditLog();
+        })
+        .catch(error => {
+            showStatus('auditStatus', `Audit entry not written: ${error.message}`, 'error');
+        });
+
+    return auditQueue;
+}
+
+/**
+ * Records a scoring run of the loaded dataset
+ *
+ * @param {string} trigger - What caused the run (import, policy change...)
+ */
+function recordScoringRun(trigger) {
+    recordAudit('score', `Scored ${AppState.processedData.length} customers (${trigger})`, { trigger });
+}
+
+/**
+ * Renders the newest audit entries
+ */
+function renderAuditLog() {
+    const entries = AppState.audit.entries;
+    const tbody = document.getElementById('auditTableBody');
+
+    document.getElementById('exportAudit').disabled = entries.length === 0;
+    document.getElementById('verifyAudit').disabled = entries.length === 0;
+    document.getElementById('auditInfo').textContent = entries.length === 0 ? '' :
+        `${entries.length} entries` +
+        (entries.length > MAX_AUDIT_ROWS_SHOWN ? `, newest ${MAX_AUDIT_ROWS_SHOWN} shown` : '') +
+        ` · head ${entries[entries.length - 1].hash.slice(0, 16)}…`;
+
+    if (entries.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="8" class="table-placeholder">
+                    <span class="placeholder-icon">🔏</span>
+                    <p>No audit entries yet</p>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    const counts = entry => (entry.counts
+        ? DECISIONS.map(decision => `${decision.split(' ').map(word => word[0]).join('')} ${entry.counts[decision]}`).join(' · ')
+        : '—');
+
+    tbody.innerHTML = entries.slice(-MAX_AUDIT_ROWS_SHOWN).reverse().map(entry => `
+        <tr>
+            <td>${entry.seq}</td>
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td><span class="audit-type audit-${entry.type}">${entry.type}</span></td>
+            <td>${escapeHtml(entry.user)}</td>
+            <td>${escapeHtml(entry.summary)}</td>
+            <td><code title="${entry.inputHash || ''}">${entry.inputHash ? entry.inputHash.slice(0, 10) : '—'}</code></td>
+            <td><code title="${escapeHtml(entry.policyName)}">${entry.policyVersion}</code></td>
+            <td class="audit-counts" title="${DECISIONS.join(' · ')}">${counts(entry)}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Verifies the in-app audit log's hash chain
+ *
+ * @returns {Promise<void>}
+ */
+async function verifyLocalAuditLog() {
+    await auditQueue;
+    const result = await verifyAuditLog(AppState.audit.entries);
+    showAuditVerification(result, 'Local log');
+}
+
+/**
+ * Verifies an exported audit log file and compares it with the local log
+ *
+ * @param {File} file - Exported audit log (.json)
+ * @returns {Promise<void>}
+ *
+ * LOGIC:
+ * The file's chain is checked on its own first. Then entries are matched to
+ * the local log by sequence number and hash, which shows whether the file
+ * is a faithful (possibly older) copy of this browser's log.
+ */
+async function verifyAuditFile(file) {
+    let entries;
+    try {
+        entries = parseAuditLog(await file.text());
+    } catch (error) {
+        showStatus('auditStatus', `${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    await auditQueue;
+    const result = await verifyAuditLog(entries);
+    const local = AppState.audit.entries;
+    const matching = entries.filter((entry, index) => local[index] && local[index].hash === entry.hash).length;
+
+    let comparison = '';
+    if (result.valid && local.length > 0) {
+        comparison = matching === entries.length
+            ? ` Matches the first ${matching} of ${local.length} local entries.`
+            : ` Only ${matching} of its entries match the local log (exported from another browser?).`;
+    }
+
+    showAuditVerification(result, file.name, comparison);
+}
+
+/**
+ * Shows a verification result
+ *
+ * @param {Object} result - See verifyAuditLog
+ * @param {string} label - What was verified
+ * @param {string} [suffix] - Extra sentence appended to a success message
+ */
+function showAuditVerification(result, label, suffix = '') {
+    if (result.valid) {
+        showStatus('auditStatus',
+            `${label}: chain intact - ${result.count} entries, head ${result.headHash.slice(0, 16)}….${suffix}`,
+            'success');
+        return;
+    }
+
+    const listed = result.problems.slice(0, 5).map(problem => `#${problem.seq}: ${problem.reason}`).join('; ');
+    const more = result.problems.length > 5 ? `; ${result.problems.length - 5} more` : '';
+    showStatus('auditStatus', `${label}: TAMPERING DETECTED - ${listed}${more}`, 'error');
+}
+
+/**
+ * Downloads the full audit log as JSON
+ *
+ * @returns {Promise<void>}
+ */
+async function exportAuditLog() {
+    await auditQueue;
+    downloadFile(
+        formatAuditExport(AppState.audit.entries),
+        `audit-log-${new Date().toISOString().slice(0, 10)}.json`,
+        FILE_FORMATS.json.mimeType
+    );
+}
+
+// ============================================================================
+// FAIR LENDING
+// ============================================================================
+
+/**
+ * Current disparate impact analysis (null without a monitored attribute)
+ */
+let fairLendingResult = null;
+
+/**
+ * Refreshes the fair lending monitor: attribute and reference selectors,
+ * group table, charts and rule drivers
+ *
+ * The monitor only reads AppState.processedData; nothing it shows is fed
+ * back into scoring or the policy.
+ */
+function updateFairLending() {
+    const data = AppState.processedData;
+    const dimensions = getSegmentDimensions(data);
+    const settings = AppState.fairLending;
+
+    if (!dimensions.includes(settings.attribute)) {
+        settings.attribute = '';
+        settings.reference = null;
+    }
+
+    document.getElementById('fairAttribute').innerHTML =
+        `<option value="">${dimensions.length > 0 ? '— Select attribute —' : '— No segment columns —'}</option>` +
+        dimensions.map(dimension => `
+            <option value="${escapeHtml(dimension)}" ${dimension === settings.attribute ? 'selected' : ''}>${escapeHtml(formatDimensionName(dimension))}</option>
+        `).join('');
+    document.getElementById('fairAttribute').disabled = dimensions.length === 0;
+    document.getElementById('fairHint').textContent = data.length === 0
+        ? 'Load data to monitor outcomes'
+        : dimensions.length === 0
+            ? 'Add a column such as age_band or region to the upload to monitor it'
+            : (settings.attribute ? '' : 'Pick the column to monitor');
+
+    fairLendingResult = settings.attribute ? analyzeDisparateImpact(data, settings.attribute, settings.reference) : null;
+    if (fairLendingResult && !fairLendingResult.groups.some(group => group.value === settings.reference)) {
+        settings.reference = null;
+    }
+
+    const reference = document.getElementById('fairReference');
+    reference.disabled = !fairLendingResult;
+    reference.innerHTML = fairLendingResult
+        ? `<option value="">Highest approval rate${settings.reference === null && fairLendingResult.reference !== null
+            ? ` (${escapeHtml(formatSegmentValue(fairLendingResult.reference))})` : ''}</option>` +
+            fairLendingResult.groups.map(group => `
+                <option value="=${escapeHtml(group.value)}" ${group.value === settings.reference ? 'selected' : ''}>${escapeHtml(formatSegmentValue(group.value))}</option>
+            `).join('')
+        : '<option value="">—</option>';
+
+    document.getElementById('downloadFairLending').disabled = !fairLendingResult;
+    document.getElementById('fairResults').hidden = !fairLendingResult;
+    if (!fairLendingResult) return;
+
+    renderFairLendingSummary(fairLendingResult);
+    renderFairLendingGroups(fairLendingResult);
+    renderFairLendingDrivers(fairLendingResult);
+    renderAirChart(fairLendingResult);
+    renderFairScoreChart();
+}
+
+/**
+ * One-line result above the group table
+ *
+ * @param {Object} result - From analyzeDisparateImpact
+ */
+function renderFairLendingSummary(result) {
+    const attribute = escapeHtml(formatDimensionName(result.attribute));
+
+    if (result.reference === null) {
+        document.getElementById('fairSummary').innerHTML = `${attribute}: no named group to compare against.`;
+        return;
+    }
+
+    const flagged = result.groups.filter(group => group.flagged);
+    document.getElementById('fairSummary').innerHTML = `
+        ${result.referenceFallback
+            ? `No group ${escapeHtml(formatSegmentValue(result.requestedReference))} in the data; the reference is the highest approval rate instead.<br>`
+            : ''}
+        ${attribute}: ${result.groups.length} groups, reference <strong>${escapeHtml(formatSegmentValue(result.reference))}</strong>
+        (${formatPercent(result.referenceRate)} auto-approved) ·
+        ${flagged.length === 0
+            ? 'no group fails the four-fifths rule'
+            : `<strong>${flagged.length}</strong> group${flagged.length === 1 ? '' : 's'} below an AIR of ${FAIR_LENDING.fourFifths.toFixed(2)}:
+                ${flagged.map(group => escapeHtml(formatSegmentValue(group.value))).join(', ')}`}
+    `;
+}
+
+/**
+ * Group table: rates, AIR, z and the four-fifths result
+ *
+ * @param {Object} result - From analyzeDisparateImpact
+ */
+function renderFairLendingGroups(result) {
+    document.getElementById('fairGroupBody').innerHTML = result.groups.map(group => {
+        const isReference = group.value === result.reference;
+        const verdict = isReference
+            ? '<span class="rule-tag">Reference</span>'
+            : group.air === null
+                ? '—'
+                : `<span class="fair-tag ${group.flagged ? 'fair-fail' : 'fair-pass'}">${group.flagged ? 'Fails' : 'Passes'}</span>`;
+
+        return `
+            <tr class="${group.flagged ? 'fair-flagged' : ''}">
+                <td><strong>${escapeHtml(formatSegmentValue(group.value))}</strong>
+                    ${group.small ? `<span class="feature-caption" title="Fewer than ${FAIR_LENDING.minGroupSize} customers: ratios are unstable">small group</span>` : ''}</td>
+                <td>${group.total}</td>
+                <td>${formatPercent(group.approvalRate)}</td>
+                <td>${formatPercent(group.denyRate)}</td>
+                <td>${group.air === null ? '—' : group.air.toFixed(2)}</td>
+                <td>${group.z === null ? '—' : `${group.z.toFixed(2)}${group.significant ? ' *' : ''}`}</td>
+                <td>${verdict}</td>
+                <td>${group.scores.combined_score.mean}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Rule drivers of every flagged group
+ *
+ * @param {Object} result - From analyzeDisparateImpact
+ */
+function renderFairLendingDrivers(result) {
+    const rows = result.groups
+        .filter(group => group.flagged)
+        .flatMap(group => group.drivers.map(driver => ({ group, driver })));
+
+    document.getElementById('fairDriverBody').innerHTML = rows.length === 0
+        ? '<tr><td colspan="6" class="table-placeholder">No group fails the four-fifths rule</td></tr>'
+        : rows.map(({ group, driver }) => `
+            <tr>
+                <td>${escapeHtml(formatSegmentValue(group.value))}</td>
+                <td><span class="rule-tag" title="${escapeHtml(describeRule(driver.rule))}">${escapeHtml(driver.rule)}</span></td>
+                <td><span class="decision-badge ${getDecisionClass(driver.decision)}">${driver.decision}</span></td>
+                <td>${formatPercent(driver.share)}</td>
+                <td>${formatPercent(driver.referenceShare)}</td>
+                <td>+${(driver.gap * 100).toFixed(1)} pts</td>
+            </tr>
+        `).join('');
+}
+
+/**
+ * Description of a policy rule by ID, for tooltips
+ *
+ * @param {string} ruleId - Rule ID or 'DEFAULT'
+ * @returns {string} Description
+ */
+function describeRule(ruleId) {
+    if (ruleId === 'DEFAULT') return 'No policy rule matched (default decision)';
+    const rule = AppState.policy.rules.find(candidate => candidate.id === ruleId);
+    return rule ? rule.description || rule.decision : ruleId;
+}
+
+/**
+ * Bar chart of the adverse impact ratio per group with the four-fifths line
+ *
+ * @param {Object} result - From analyzeDisparateImpact
+ */
+function renderAirChart(result) {
+    const groups = result.groups.filter(group => group.air !== null);
+
+    Plotly.newPlot('fairAirChart', [{
+        x: groups.map(group => formatSegmentValue(group.value)),
+        y: groups.map(group => group.air),
+        customdata: groups.map(group => [group.approvalRate * 100, group.total]),
+        type: 'bar',
+        marker: {
+            color: groups.map(group => group.value === result.reference
+                ? COLORS.background
+                : (group.flagged ? COLORS.high : COLORS.turquoise))
+        },
+        hovertemplate: '%{x}<br>AIR %{y:.2f}<br>Approval %{customdata[0]:.1f}% of %{customdata[1]}<extra></extra>'
+    }], {
+        margin: { t: 20, b: 50, l: 50, r: 20 },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)',
+        yaxis: { title: 'Adverse impact ratio', rangemode: 'tozero', gridcolor: 'rgba(0,0,0,0.1)' },
+        shapes: [{
+            type: 'line', xref: 'paper', x0: 0, x1: 1, y0: FAIR_LENDING.fourFifths, y1: FAIR_LENDING.fourFifths,
+            line: { color: COLORS.high, width: 2, dash: 'dash' }
+        }],
+        annotations: [{
+            xref: 'paper', x: 1, y: FAIR_LENDING.fourFifths, xanchor: 'right', yanchor: 'bottom',
+            text: 'Four-fifths', showarrow: false, font: { color: COLORS.high, size: 11 }
+        }]
+    }, { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Box plots of the selected score per group
+ */
+function renderFairScoreChart() {
+    if (!fairLendingResult) return;
+
+    const key = document.getElementById('fairScore').value;
+    const { attribute } = fairLendingResult;
+    const data = AppState.processedData;
+
+    const traces = fairLendingResult.groups.map((group, index) => ({
+        y: data.filter(d => ((d.segments && d.segments[attribute]) || '') === group.value).map(d => d[key]),
+        name: formatSegmentValue(group.value),
+        type: 'box',
+        boxmean: true,
+        marker: { color: group.flagged ? COLORS.high : SEGMENT_COLORS[index % SEGMENT_COLORS.length] }
+    }));
+
+    Plotly.newPlot('fairScoreChart', traces, {
+        showlegend: false,
+        margin: { t: 20, b: 50, l: 50, r: 20 },
+        paper_bgcolor: 'rgba(0,0,0,0)',
+        plot_bgcolor: 'rgba(0,0,0,0)',
+        yaxis: { title: getScoreName(key), range: [0, 100], gridcolor: 'rgba(0,0,0,0.1)' }
+    }, { responsive: true, displayModeBar: false });
+}
+
+/**
+ * Downloads the analysis as CSV: one row per group, then the rule drivers
+ */
+function downloadFairLending() {
+    if (!fairLendingResult) return;
+
+    const result = fairLendingResult;
+    const scoreKeys = [...CRITERIA, 'combined_score'];
+    const round = (value, digits) => (value === null ? '' : Number(value.toFixed(digits)));
+
+    const rows = [
+        ['Group', 'Customers', 'Approval Rate', 'Deny Rate', 'AIR', 'z', 'Four-Fifths', 'Small Group',
+            ...scoreKeys.flatMap(key => [`${getScoreName(key)} Mean`, `${getScoreName(key)} Median`])],
+        ...result.groups.map(group => [
+            group.value,
+            group.total,
+            round(group.approvalRate, 4),
+            round(group.denyRate, 4),
+            round(group.air, 4),
+            round(group.z, 2),
+            group.value === result.reference ? 'Reference' : (group.air === null ? '' : (group.flagged ? 'Fails' : 'Passes')),
+            group.small ? 'Yes' : 'No',
+            ...scoreKeys.flatMap(key => [group.scores[key].mean, group.scores[key].median])
+        ]),
+        [],
+        ['Group', 'Rule', 'Decision', 'Share of Group', 'Share of Reference', 'Difference'],
+        ...result.groups.filter(group => group.flagged).flatMap(group => group.drivers.map(driver => [
+            group.value, driver.rule, driver.decision,
+            round(driver.share, 4), round(driver.referenceShare, 4), round(driver.gap, 4)
+        ]))
+    ];
+
+    downloadFile(formatCSV(rows), `fair-lending-${result.attribute}-${new Date().toISOString().slice(0, 10)}.csv`,
+        FILE_FORMATS.csv.mimeType);
+}
+
+// ============================================================================
+// COLUMN MAPPING WIZARD
+// ============================================================================
+
+/**
+ * Rows shown in the mapping preview
+ */
+const MAPPING_PREVIEW_ROWS = 5;
+
+/**
+ * Display labels for the required and optional fields
+ */
+const FIELD_LABELS = {
+    customer_id: 'Customer ID',
+    transaction_history: 'Transaction History',
+    affordability: 'Affordability',
+    employment: 'Employment',
+    behavior: 'Behavior',
+    loan_amount: 'Loan Amount (optional)',
+    term: 'Term, months (optional)',
+    monthly_income: 'Monthly Income (optional)',
+    monthly_obligations: 'Monthly Obligations (optional)',
+    requested_amount: 'Requested Amount (optional)'
+};
+
+/**
+ * Loads saved mapping profiles
+ *
+ * @returns {Array} Profiles [{ name, mapping, headers, updatedAt }]
+ */
+function loadMappingProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MAPPING_PROFILES_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch (error) {
+        // Corrupt or inaccessible storage - no profiles
+    }
+    return [];
+}
+
+/**
+ * Saves (or replaces by name) a mapping profile
+ *
+ * @param {string} name - Profile name, usually the source system
+ * @param {Object} mapping - { field: source header }
+ * @param {Array} headers - All headers of the file the profile was built from
+ */
+function saveMappingProfile(name, mapping, headers) {
+    const profiles = loadMappingProfiles().filter(profile => profile.name !== name);
+    profiles.push({ name, mapping: { ...mapping }, headers: [...headers], updatedAt: new Date().toISOString() });
+
+    try {
+        localStorage.setItem(MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        showStatus('mappingStatus', 'Profile could not be saved in this browser', 'error');
+    }
+}
+
+/**
+ * Deletes a mapping profile by name
+ *
+ * @param {string} name - Profile name
+ */
+function deleteMappingProfile(name) {
+    const profiles = loadMappingProfiles().filter(profile => profile.name !== name);
+    try {
+        localStorage.setItem(MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        // Storage unavailable - nothing was saved either
+    }
+}
+
+/**
+ * Opens the wizard for a file whose headers need mapping
+ *
+ * @param {string} fileName - Source file name
+ * @param {Array} rows - Parsed rows keyed by source header
+ * @param {Array} headers - Source headers in file order
+ */
+function openMappingWizard(fileName, rows, headers) {
+    const suggestion = suggestColumnMapping(headers, loadMappingProfiles());
+    AppState.pendingImport = { fileName, rows, headers };
+
+    document.getElementById('mappingFileName').textContent = fileName;
+    document.getElementById('mappingSuggestion').textContent = suggestion.profile
+        ? `Mapping suggested from saved profile "${suggestion.profile}". Check it before importing.`
+        : 'Mapping suggested from the column names. Check it before importing.';
+    document.getElementById('mappingProfileName').value = suggestion.profile || '';
+
+    renderMappingProfiles(suggestion.profile);
+    renderMappingFields(suggestion.mapping);
+    renderMappingPreview();
+
+    const wizard = document.getElementById('mappingWizard');
+    wizard.hidden = false;
+    wizard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Closes the wizard and drops the pending file
+ */
+function closeMappingWizard() {
+    AppState.pendingImport = null;
+    document.getElementById('mappingWizard').hidden = true;
+}
+
+/**
+ * Renders the saved profile selector
+ *
+ * @param {string|null} selected - Profile to preselect
+ */
+function renderMappingProfiles(selected) {
+    const profiles = loadMappingProfiles();
+
+    document.getElementById('mappingProfileSelect').innerHTML =
+        '<option value="">— Saved profiles —</option>' +
+        profiles.map(profile => `
+            <option value="${escapeHtml(profile.name)}" ${profile.name === selected ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+        `).join('');
+
+    document.getElementById('deleteMappingProfile').disabled = !selected;
+}
+
+/**
+ * Renders one source-column selector per required field
+ *
+ * @param {Object} mapping - { field: source header|null }
+ */
+function renderMappingFields(mapping) {
+    const { headers } = AppState.pendingImport;
+
+    document.getElementById('mappingFields').innerHTML = MAPPED_COLUMNS.map(field => `
+        <div class="mapping-field">
+            <label for="mapField-${field}" class="control-label">${FIELD_LABELS[field]}</label>
+            <select id="mapField-${field}" class="select-input" data-field="${field}">
+                <option value="">${OPTIONAL_COLUMNS.includes(field) ? '— Not in file —' : '— Select column —'}</option>
+                ${headers.map(header => `
+                    <option value="${escapeHtml(header)}" ${header === mapping[field] ? 'selected' : ''}>${escapeHtml(header)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+/**
+ * Reads the mapping currently chosen in the wizard
+ *
+ * @returns {Object} { field: source header|null }
+ */
+function readMappingFields() {
+    const mapping = {};
+    MAPPED_COLUMNS.forEach(field => {
+        mapping[field] = document.getElementById(`mapField-${field}`).value || null;
+    });
+    return mapping;
+}
+
+/**
+ * Previews the first rows as they would be imported with the current mapping
+ */
+function renderMappingPreview() {
+    const { rows } = AppState.pendingImport;
+    const mapping = readMappingFields();
+    const preview = applyColumnMapping(rows.slice(0, MAPPING_PREVIEW_ROWS), mapping);
+
+    document.getElementById('mappingPreview').innerHTML = `
+        <thead>
+            <tr>
+                ${MAPPED_COLUMNS.map(field => `
+                    <th>${FIELD_LABELS[field]}<br><span class="mapping-source">${mapping[field] ? escapeHtml(mapping[field]) : 'not mapped'}</span></th>
+                `).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${preview.map(row => `
+                <tr>
+                    ${MAPPED_COLUMNS.map(field => `<td>${row[field] == null ? '—' : escapeHtml(String(row[field]))}</td>`).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+
+    const errors = validateColumnMapping(mapping, AppState.pendingImport.headers);
+    document.getElementById('mappingErrors').textContent = errors.join('; ');
+    document.getElementById('applyMapping').disabled = errors.length > 0;
+}
+
+/**
+ * Applies a saved profile to the open wizard
+ *
+ * @param {string} name - Profile name
+ */
+function selectMappingProfile(name) {
+    const profile = loadMappingProfiles().find(p => p.name === name);
+    document.getElementById('deleteMappingProfile').disabled = !profile;
+    if (!profile) return;
+
+    // Profile columns missing from this file stay unmapped
+    const { headers } = AppState.pendingImport;
+    const mapping = {};
+    MAPPED_COLUMNS.forEach(field => {
+        mapping[field] = headers.includes(profile.mapping[field]) ? profile.mapping[field] : null;
+    });
+
+    document.getElementById('mappingProfileName').value = profile.name;
+    renderMappingFields(mapping);
+    renderMappingPreview();
+}
+
+/**
+ * Imports the pending file with the chosen mapping, saving it as a profile
+ * when a profile name is given
+ */
+function applyMappingWizard() {
+    const { fileName, rows, headers } = AppState.pendingImport;
+    const mapping = readMappingFields();
+    const errors = validateColumnMapping(mapping, headers);
+
+    if (errors.length > 0) {
+        showStatus('mappingStatus', errors.join('; '), 'error');
+        return;
+    }
+
+    const profileName = document.getElementById('mappingProfileName').value.trim();
+    if (profileName) {
+        saveMappingProfile(profileName, mapping, headers);
+    }
+
+    closeMappingWizard();
+    importRows(fileName, applyColumnMapping(rows, mapping));
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Initializes all event listeners
+ */
+function initEventListeners() {
+    // File upload
+    const csvInput = document.getElementById('csvFile');
+    const uploadArea = document.getElementById('uploadArea');
+
+    csvInput.addEventListener('change', handleFileUpload);
+
+    // Drag and drop
+    uploadArea.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        uploadArea.classList.add('dragover');
+    });
+
+    uploadArea.addEventListener('dragleave', () => {
+        uploadArea.classList.remove('dragover');
+    });
+
+    uploadArea.addEventListener('drop', (e) => {
+        e.preventDefault();
+        uploadArea.classList.remove('dragover');
+
+        // Browsers report inconsistent MIME types for CSV/XLSX, so go by extension
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            processFile(file);
+        }
+    });
+
+    // Sample data button
+    document.getElementById('loadSampleData').addEventListener('click', () => {
+        startNewSession('Sample data');
+        clearReviews();
+        AppState.outcomes = null;
+        renderValidationReport(null);
+        closeMappingWizard();
+        closeSheetPicker();
+        AppState.rawData = generateSampleData(100);
+        AppState.processedData = processData(AppState.rawData, AppState.policy);
+        recordAudit('import', 'Generated 100 sample customers', { source: 'Sample data', rows: 100 });
+        recordScoringRun('sample data');
+        updateUI();
+        showUploadStatus('Successfully loaded 100 sample customers', 'success');
+    });
+
+    // Clear data button
+    document.getElementById('clearData').addEventListener('click', () => {
+        // The saved session is kept; the next load starts a new one
+        detachSession();
+        clearReviews();
+        AppState.outcomes = null;
+        AppState.rawData = [];
+        AppState.processedData = [];
+        AppState.filteredData = [];
+        updateUI();
+        clearCharts();
+        showUploadStatus('Data cleared', 'success');
+    });
+
+    // Search input
+    document.getElementById('searchInput').addEventListener('input', () => {
+        AppState.pagination.currentPage = 1;
+        updateTable();
+        scheduleSessionSave();
+    });
 
     // Risk filter
     document.getElementById('filterRisk').addEventListener('change', () => {
         AppState.pagination.currentPage = 1;
         updateTable();
+        scheduleSessionSave();
+    });
+
+    // Query builder
+    document.getElementById('toggleQueryBuilder').addEventListener('click', (e) => {
+        const builder = document.getElementById('queryBuilder');
+        builder.hidden = !builder.hidden;
+        e.currentTarget.setAttribute('aria-expanded', String(!builder.hidden));
+    });
+    document.getElementById('queryMatch').addEventListener('change', (e) => {
+        AppState.query = { [e.target.value]: getQueryGroups() };
+        applyQuery(true);
+    });
+    document.getElementById('addQueryGroup').addEventListener('click', () => {
+        getQueryGroups().push({ all: [createQueryCondition('decision')] });
+        applyQuery(true);
+    });
+    document.getElementById('clearQuery').addEventListener('click', () => {
+        AppState.query = null;
+        applyQuery(true);
+    });
+    document.getElementById('queryGroups').addEventListener('change', handleQueryBuilderEvent);
+    document.getElementById('queryGroups').addEventListener('click', handleQueryBuilderEvent);
+
+    // Fair lending monitor
+    document.getElementById('fairAttribute').addEventListener('change', (e) => {
+        AppState.fairLending = { attribute: e.target.value, reference: null };
+        updateFairLending();
+        scheduleSessionSave();
+    });
+    document.getElementById('fairReference').addEventListener('change', (e) => {
+        AppState.fairLending.reference = e.target.value ? e.target.value.slice(1) : null;
+        updateFairLending();
+        scheduleSessionSave();
+    });
+    document.getElementById('fairScore').addEventListener('change', renderFairScoreChart);
+    document.getElementById('downloadFairLending').addEventListener('click', downloadFairLending);
+
+    // Saved views
+    document.getElementById('savedViewSelect').addEventListener('change', (e) => {
+        if (e.target.value) openSavedView(e.target.value);
+    });
+    document.getElementById('viewName').addEventListener('input', (e) => {
+        document.getElementById('deleteView').disabled =
+            !loadSavedViews().some(view => view.name === e.target.value.trim());
+    });
+    document.getElementById('saveView').addEventListener('click', () => {
+        saveCurrentView(document.getElementById('viewName').value.trim());
+    });
+    document.getElementById('deleteView').addEventListener('click', () => {
+        const name = document.getElementById('viewName').value.trim();
+        storeSavedViews(loadSavedViews().filter(view => view.name !== name));
+        renderSavedViews();
+        showStatus('viewStatus', `Deleted view "${name}"`, 'success');
+    });
+    document.getElementById('exportViews').addEventListener('click', exportSavedViews);
+    document.getElementById('importViews').addEventListener('click', () => {
+        document.getElementById('viewsFileInput').click();
+    });
+    document.getElementById('viewsFileInput').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            importSavedViews(e.target.files[0]);
+        }
+        e.target.value = '';
     });
 
     // Customer selector for radar chart
+    // Segment view
+    document.getElementById('segmentDimension').addEventListener('change', (e) => {
+        AppState.segment = { dimension: e.target.value, value: null };
+        updateSegmentViews();
+    });
+
+    document.getElementById('segmentView').addEventListener('change', (e) => {
+        AppState.segment.value = e.target.value === '*' ? null : e.target.value.slice(1);
+        updateSegmentViews();
+    });
+
+    document.getElementById('segmentBreakdownBody').addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-segment]');
+        if (!row) return;
+        // A second click on the filtered segment goes back to comparing all
+        AppState.segment.value = AppState.segment.value === row.dataset.segment ? null : row.dataset.segment;
+        updateSegmentViews();
+    });
+
     document.getElementById('customerSelect').addEventListener('change', (e) => {
         renderRadarChart(e.target.value);
+        document.getElementById('radarMemo').disabled = e.target.value === 'all';
+    });
+
+    // Credit memo
+    document.getElementById('radarMemo').addEventListener('click', () => {
+        generateCreditMemo(document.getElementById('customerSelect').value);
+    });
+    document.getElementById('tableBody').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-memo]');
+        if (button) {
+            generateCreditMemo(button.dataset.memo);
+            return;
+        }
+
+        const row = e.target.closest('tr[data-id]');
+        if (row) {
+            openCustomerDrawer(row.dataset.id);
+        }
+    });
+
+    // Review queue
+    document.getElementById('reviewStatusFilter').addEventListener('change', (e) => {
+        AppState.reviewQueue.status = e.target.value;
+        updateReviewQueue();
+    });
+    document.getElementById('reviewAssigneeFilter').addEventListener('change', (e) => {
+        AppState.reviewQueue.assignee = e.target.value;
+        updateReviewQueue();
+    });
+    document.getElementById('reviewTableBody').addEventListener('click', (e) => {
+        const row = e.target.closest('[data-review]');
+        if (row) {
+            openReviewForm(row.dataset.review);
+        }
+    });
+    document.getElementById('reviewDecision').addEventListener('change', (e) => {
+        // Choosing a final decision means the review is being decided
+        if (e.target.value) {
+            document.getElementById('reviewStatusSelect').value = 'decided';
+        }
+    });
+    document.getElementById('saveReview').addEventListener('click', saveReview);
+    document.getElementById('cancelReview').addEventListener('click', closeReviewForm);
+
+    // Snapshot trends
+    document.getElementById('addSnapshot').addEventListener('click', addSnapshot);
+    document.getElementById('snapshotList').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-snapshot-action]');
+        if (button) {
+            handleSnapshotAction(button.dataset.snapshotAction, button.dataset.id);
+        }
+    });
+
+    // Outcome backtesting
+    document.getElementById('uploadOutcomes').addEventListener('click', () => {
+        document.getElementById('outcomesFileInput').click();
+    });
+    document.getElementById('outcomesFileInput').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            loadOutcomesFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('clearOutcomes').addEventListener('click', () => {
+        clearOutcomes();
+        showStatus('backtestStatus', 'Outcomes cleared', 'success');
+    });
+    document.getElementById('runOptimization').addEventListener('click', runOptimization);
+    document.getElementById('trialThresholds').addEventListener('click', trialSuggestedThresholds);
+
+    // Transition matrix
+    ['transitionFrom', 'transitionTo', 'transitionField'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            AppState.transition.from = document.getElementById('transitionFrom').value;
+            AppState.transition.to = document.getElementById('transitionTo').value;
+            AppState.transition.field = document.getElementById('transitionField').value;
+            AppState.transition.cell = null;
+            updateTrends();
+        });
+    });
+    document.getElementById('transitionMatrix').addEventListener('click', (e) => {
+        const cell = e.target.closest('[data-from]');
+        if (!cell || !transitionMatrix) return;
+
+        AppState.transition.cell = { from: cell.dataset.from, to: cell.dataset.to };
+        renderTransitionTable();
+        renderTransitionCustomers();
+    });
+    document.getElementById('downloadTransition').addEventListener('click', downloadTransitionCell);
+
+    // Audit log
+    document.getElementById('auditUser').addEventListener('change', (e) => {
+        try {
+            localStorage.setItem(AUDIT_USER_KEY, e.target.value.trim());
+        } catch (error) {
+            // Not critical - the label applies for this visit
+        }
+    });
+    document.getElementById('verifyAudit').addEventListener('click', verifyLocalAuditLog);
+    document.getElementById('exportAudit').addEventListener('click', exportAuditLog);
+    document.getElementById('verifyAuditFile').addEventListener('click', () => {
+        document.getElementById('auditFileInput').click();
+    });
+    document.getElementById('auditFileInput').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            verifyAuditFile(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    // Customer detail drawer
+    document.getElementById('drawerClose').addEventListener('click', closeCustomerDrawer);
+    document.getElementById('drawerOverlay').addEventListener('click', closeCustomerDrawer);
+    document.getElementById('drawerPrev').addEventListener('click', () => stepCustomerDrawer(-1));
+    document.getElementById('drawerNext').addEventListener('click', () => stepCustomerDrawer(1));
+    document.getElementById('drawerMemo').addEventListener('click', () => {
+        generateCreditMemo(AppState.drawerCustomerId);
+    });
+    document.getElementById('drawerSimilar').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-id]');
+        if (item) {
+            openCustomerDrawer(item.dataset.id);
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!AppState.drawerCustomerId) return;
+        if (e.key === 'Escape') closeCustomerDrawer();
+
+        // Arrow keys keep their meaning inside form fields
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+        if (e.key === 'ArrowLeft') stepCustomerDrawer(-1);
+        if (e.key === 'ArrowRight') stepCustomerDrawer(1);
     });
 
     // Table sorting
@@ -1199,14 +5997,9 @@ function initEventListeners() {
                 AppState.sortConfig.direction = 'asc';
             }
 
-            // Update header styles
-            document.querySelectorAll('.data-table th').forEach(header => {
-                header.classList.remove('sorted', 'sorted-asc', 'sorted-desc');
-            });
-
-            th.classList.add('sorted', `sorted-${AppState.sortConfig.direction}`);
-
+            renderSortIndicators();
             updateTable();
+            scheduleSessionSave();
         });
     });
 
@@ -1216,11 +6009,202 @@ function initEventListeners() {
             AppState.pagination.currentPage = parseInt(e.target.dataset.page);
             renderTable();
             renderPagination();
+            scheduleSessionSave();
+        }
+    });
+
+    // Saved sessions
+    document.getElementById('sessionList').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button) {
+            handleSessionAction(button.dataset.action, button.closest('li').dataset.id);
         }
     });
 
+    document.getElementById('saveSessionAs').addEventListener('click', saveSessionAs);
+
+    // Column mapping wizard
+    document.getElementById('mappingFields').addEventListener('change', renderMappingPreview);
+    document.getElementById('mappingProfileSelect').addEventListener('change', (e) => {
+        selectMappingProfile(e.target.value);
+    });
+    document.getElementById('deleteMappingProfile').addEventListener('click', () => {
+        const name = document.getElementById('mappingProfileSelect').value;
+        if (!name || !confirm(`Delete mapping profile "${name}"?`)) return;
+
+        deleteMappingProfile(name);
+        renderMappingProfiles(null);
+    });
+    document.getElementById('applyMapping').addEventListener('click', applyMappingWizard);
+    document.getElementById('cancelMapping').addEventListener('click', () => {
+        closeMappingWizard();
+        showUploadStatus('Import cancelled', 'error');
+    });
+
+    // Workbook sheet picker
+    document.getElementById('importSheet').addEventListener('click', () => {
+        if (!AppState.pendingWorkbook) return;
+
+        const { fileName, workbook } = AppState.pendingWorkbook;
+        const sheetName = document.getElementById('sheetSelect').value;
+        closeSheetPicker();
+        importWorkbookSheet(fileName, workbook, sheetName);
+    });
+    document.getElementById('cancelSheet').addEventListener('click', closeSheetPicker);
+
+    // Validation error report
+    document.getElementById('downloadErrors').addEventListener('click', downloadValidationErrors);
+
     // Export button
     document.getElementById('exportBtn').addEventListener('click', exportData);
+    document.getElementById('snapshotBtn').addEventListener('click', exportSnapshot);
+
+    // Policy editor
+    const policyRules = document.getElementById('policyRules');
+
+    policyRules.addEventListener('change', (e) => {
+        if (e.target.dataset.field) {
+            handleRuleFieldChange(e.target);
+        }
+    });
+
+    policyRules.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (button && !button.disabled) {
+            handleRuleAction(button);
+        }
+    });
+
+    document.getElementById('policyDefaultDecision').addEventListener('change', (e) => {
+        const policy = clonePolicy(AppState.policy);
+        policy.defaultDecision = e.target.value;
+        applyPolicy(policy);
+    });
+
+    document.getElementById('addRule').addEventListener('click', addPolicyRule);
+
+    // Criterion weights - live label while dragging, re-score on release
+    const weightControls = document.getElementById('weightControls');
+
+    weightControls.addEventListener('input', () => {
+        const weights = readWeightControls();
+        const total = CRITERIA.reduce((sum, criterion) => sum + weights[criterion], 0);
+        CRITERIA.forEach(criterion => {
+            document.getElementById(`weightValue-${criterion}`).textContent =
+                formatWeightShare(weights[criterion], total);
+        });
+    });
+
+    weightControls.addEventListener('change', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.weights = readWeightControls();
+        applyPolicy(policy);
+    });
+
+    document.getElementById('resetWeights').addEventListener('click', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.weights = { ...DEFAULT_POLICY.weights };
+        applyPolicy(policy);
+    });
+
+    // Loss model - re-score on change; invalid values are rejected by applyPolicy
+    document.getElementById('lossModelControls').addEventListener('change', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.lossModel = readLossModelControls();
+        if (!applyPolicy(policy)) renderLossModelControls();
+    });
+
+    document.getElementById('resetLossModel').addEventListener('click', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.lossModel = clonePolicy(DEFAULT_POLICY.lossModel);
+        applyPolicy(policy);
+    });
+
+    // Affordability check - same pattern as the loss model
+    document.getElementById('affordabilityControls').addEventListener('change', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.affordabilityCheck = readAffordabilityControls();
+        if (!applyPolicy(policy)) renderAffordabilityControls();
+    });
+
+    document.getElementById('resetAffordability').addEventListener('click', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.affordabilityCheck = { ...DEFAULT_POLICY.affordabilityCheck };
+        applyPolicy(policy);
+    });
+
+    document.getElementById('resetPolicy').addEventListener('click', () => {
+        if (applyPolicy(clonePolicy(DEFAULT_POLICY))) {
+            showStatus('policyStatus', 'Policy reset to default', 'success');
+        }
+    });
+
+    // What-if simulator - re-simulate at most once per frame while dragging
+    let simulationFrame = null;
+    document.getElementById('simulatorControls').addEventListener('input', (e) => {
+        const key = e.target.dataset.threshold;
+        if (!key) return;
+
+        enforceThresholdOrder(key);
+        if (simulationFrame) cancelAnimationFrame(simulationFrame);
+        simulationFrame = requestAnimationFrame(() => {
+            simulationFrame = null;
+            runSimulation();
+        });
+    });
+
+    document.getElementById('resetSimulator').addEventListener('click', () => {
+        setSimulatorThresholds(RISK_THRESHOLDS);
+        runSimulation();
+    });
+
+    document.getElementById('revertSimulator').addEventListener('click', () => {
+        setSimulatorThresholds(AppState.policy.thresholds);
+        runSimulation();
+    });
+
+    document.getElementById('applySimulator').addEventListener('click', () => {
+        const policy = clonePolicy(AppState.policy);
+        policy.thresholds = readSimulatorThresholds();
+        if (applyPolicy(policy)) {
+            showStatus('simulatorStatus', 'Simulated thresholds applied to the active policy', 'success');
+        }
+    });
+
+    // Champion / challenger comparison
+    document.getElementById('runComparison').addEventListener('click', () => {
+        const champion = readComparisonPolicy('champion');
+        const challenger = champion && readComparisonPolicy('challenger');
+        if (!champion || !challenger) return;
+
+        AppState.comparison = { champion, challenger };
+        updateComparison();
+
+        if (AppState.rawData.length === 0) {
+            showStatus('comparisonStatus', 'Policies saved - load data to compare', 'success');
+        }
+    });
+
+    document.querySelectorAll('[data-copy-active]').forEach(button => {
+        button.addEventListener('click', () => {
+            const role = button.dataset.copyActive;
+            document.getElementById(`${role}Policy`).value = JSON.stringify(AppState.policy, null, 2);
+        });
+    });
+
+    document.getElementById('applyPolicyJson').addEventListener('click', () => {
+        let policy;
+        try {
+            policy = JSON.parse(document.getElementById('policyJson').value);
+        } catch (error) {
+            showStatus('policyStatus', `Invalid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        if (applyPolicy(policy)) {
+            showStatus('policyStatus', 'Policy applied', 'success');
+        }
+    });
 
     // Scroll progress
     window.addEventListener('scroll', updateScrollProgress);
@@ -1251,12 +6235,33 @@ function initEventListeners() {
 }
 
 /**
- * Handles CSV file upload
+ * Handles file upload
  */
 function handleFileUpload(e) {
     const file = e.target.files[0];
     if (file) {
+        processFile(file);
+    }
+    // Allow the same file to be chosen again
+    e.target.value = '';
+}
+
+/**
+ * Routes an uploaded file to the parser for its format
+ *
+ * @param {File} file - Uploaded file
+ */
+function processFile(file) {
+    const format = getFileFormat(file.name);
+
+    if (format === 'csv') {
         processCSVFile(file);
+    } else if (format === 'xlsx') {
+        processWorkbookFile(file);
+    } else if (format === 'json' || format === 'ndjson') {
+        processJSONFile(file);
+    } else {
+        showUploadStatus('Unsupported file type. Upload CSV, XLSX, JSON or NDJSON.', 'error');
     }
 }
 
@@ -1266,87 +6271,276 @@ function handleFileUpload(e) {
  * @param {File} file - CSV file object
  *
  * DATA TRANSFORMATION:
- * 1. Parse CSV using PapaParse
- * 2. Validate required columns
- * 3. Convert string values to numbers
- * 4. Filter invalid rows
- */
-function processCSVFile(file) {
-    Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-            const requiredColumns = ['customer_id', 'transaction_history', 'affordability', 'employment', 'behavior'];
-            const columns = Object.keys(results.data[0] || {}).map(c => c.toLowerCase().trim());
-
-            // Validate columns
-            const missingColumns = requiredColumns.filter(col =>
-                !columns.some(c => c.includes(col.replace('_', '')))
-            );
-
-            if (missingColumns.length > 0) {
-                showUploadStatus(`Missing columns: ${missingColumns.join(', ')}`, 'error');
-                return;
-            }
+ * 1. Parse CSV with the engine's parser (delimiter detected), as the CLI does
+ * 2. Route to ledger derivation, direct import or the mapping wizard
+ */
+async function processCSVFile(file) {
+    let rows;
+    try {
+        rows = parseCSV(await file.text());
+    } catch (error) {
+        showUploadStatus(`Error parsing file: ${error.message}`, 'error');
+        return;
+    }
 
-            // Process data
-            let invalidCount = 0;
-            const data = results.data
-                .map(row => {
-                    // Normalize column names
-                    const normalized = {};
-                    Object.keys(row).forEach(key => {
-                        const normalizedKey = key.toLowerCase().trim().replace(/\s+/g, '_');
-                        normalized[normalizedKey] = row[key];
-                    });
-
-                    return {
-                        customer_id: String(normalized.customer_id || '').trim(),
-                        transaction_history: parseFloat(normalized.transaction_history) || 0,
-                        affordability: parseFloat(normalized.affordability) || 0,
-                        employment: parseFloat(normalized.employment) || 0,
-                        behavior: parseFloat(normalized.behavior) || 0
-                    };
-                })
-                .filter(row => {
-                    // Validate row
-                    const valid = row.customer_id &&
-                        !isNaN(row.transaction_history) &&
-                        !isNaN(row.affordability) &&
-                        !isNaN(row.employment) &&
-                        !isNaN(row.behavior);
-
-                    if (!valid) invalidCount++;
-                    return valid;
-                });
+    routeParsedRows(file.name, rows, Object.keys(rows[0] || {}));
+}
 
-            if (data.length === 0) {
-                showUploadStatus('No valid data found in file', 'error');
-                return;
-            }
+/**
+ * Processes an uploaded Excel workbook; asks for a sheet when there are several
+ *
+ * @param {File} file - XLSX/XLS file object
+ */
+async function processWorkbookFile(file) {
+    if (typeof XLSX === 'undefined') {
+        showUploadStatus('Excel support could not be loaded. Check your connection or upload CSV.', 'error');
+        return;
+    }
+
+    let workbook;
+    try {
+        // cellDates keeps ledger dates as dates instead of Excel serial numbers
+        workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    } catch (error) {
+        showUploadStatus(`Error reading workbook: ${error.message}`, 'error');
+        return;
+    }
 
-            AppState.rawData = data;
-            AppState.processedData = processData(data);
-            updateUI();
+    if (workbook.SheetNames.length === 1) {
+        importWorkbookSheet(file.name, workbook, workbook.SheetNames[0]);
+        return;
+    }
 
-            let message = `Successfully loaded ${data.length} customers`;
-            if (invalidCount > 0) {
-                message += ` (${invalidCount} invalid rows skipped)`;
-            }
+    AppState.pendingWorkbook = { fileName: file.name, workbook };
+    document.getElementById('sheetPickerFile').textContent = file.name;
+    document.getElementById('sheetSelect').innerHTML = workbook.SheetNames.map(name => {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false }).length;
+        return `<option value="${escapeHtml(name)}">${escapeHtml(name)} (${Math.max(0, rows - 1)} rows)</option>`;
+    }).join('');
+    document.getElementById('sheetPicker').hidden = false;
+}
 
-            showUploadStatus(message, 'success');
-        },
-        error: (error) => {
-            showUploadStatus(`Error parsing file: ${error.message}`, 'error');
-        }
+/**
+ * Imports one sheet of a workbook; cell types (numbers, dates) are kept
+ *
+ * @param {string} fileName - Workbook file name
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Sheet to import
+ */
+function importWorkbookSheet(fileName, workbook, sheetName) {
+    const sheet = workbook.Sheets[sheetName];
+    const headerRow = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false })[0] || [];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', blankrows: false });
+    const label = workbook.SheetNames.length > 1 ? `${fileName} [${sheetName}]` : fileName;
+
+    routeParsedRows(label, rows, headerRow.map(String));
+}
+
+/**
+ * Closes the sheet picker
+ */
+function closeSheetPicker() {
+    AppState.pendingWorkbook = null;
+    document.getElementById('sheetPicker').hidden = true;
+}
+
+/**
+ * Processes an uploaded JSON or NDJSON file
+ *
+ * @param {File} file - JSON/NDJSON file object
+ */
+async function processJSONFile(file) {
+    let rows;
+    try {
+        rows = parseJSONRecords(await file.text());
+    } catch (error) {
+        showUploadStatus(`Error parsing file: ${error.message}`, 'error');
+        return;
+    }
+
+    // Records may omit keys, so take the union of all of them as headers
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+    routeParsedRows(file.name, rows, headers);
+}
+
+/**
+ * Sends parsed rows to ledger derivation, direct import or the mapping wizard
+ *
+ * @param {string} fileName - Source name shown in status messages and sessions
+ * @param {Array} rows - Rows keyed by source header
+ * @param {Array} headers - Source headers in file order
+ */
+function routeParsedRows(fileName, rows, headers) {
+    if (rows.length === 0) {
+        showUploadStatus('No valid data found in file', 'error');
+        return;
+    }
+
+    // Ledgers and standard headers import directly; anything else goes through the wizard
+    const normalized = headers.map(normalizeColumnName);
+    if (isLedgerFormat(headers)) {
+        closeMappingWizard();
+        importRows(fileName, rows, { ledger: true });
+    } else if (REQUIRED_COLUMNS.every(col => normalized.includes(col))) {
+        closeMappingWizard();
+        importRows(fileName, rows);
+    } else {
+        openMappingWizard(fileName, rows, headers);
+    }
+}
+
+/**
+ * Validates parsed rows and loads them as a new session
+ *
+ * @param {string} fileName - Source file name
+ * @param {Array} rows - Rows keyed by required field names (or standard headers)
+ * @param {Object} options - { ledger: true } to derive the criteria from
+ *   raw transaction lines (see deriveCriteria in engine.js)
+ */
+function importRows(fileName, rows, options = {}) {
+    const mode = document.getElementById('invalidRowMode').value;
+    const validation = options.ledger ? deriveCriteria(rows, mode) : validateRecords(rows, mode);
+    const { data, missingColumns } = validation;
+
+    if (missingColumns.length > 0) {
+        renderValidationReport(null);
+        showUploadStatus(`Missing columns: ${missingColumns.join(', ')}`, 'error');
+        return;
+    }
+
+    renderValidationReport(fileName, validation);
+
+    if (validation.rejected) {
+        showUploadStatus(`File rejected: ${validation.invalidRowCount} invalid rows. See the error report below.`, 'error');
+        return;
+    }
+
+    if (data.length === 0) {
+        showUploadStatus('No valid data found in file', 'error');
+        return;
+    }
+
+    startNewSession(fileName);
+    clearReviews();
+    AppState.outcomes = null;
+    AppState.rawData = data;
+    AppState.processedData = processData(data, AppState.policy);
+    recordAudit('import', `Imported ${data.length} customers from ${fileName}`, {
+        fileName,
+        rows: data.length,
+        ledgerLines: options.ledger ? validation.lineCount : null,
+        invalidRowMode: mode,
+        invalidRows: validation.invalidRowCount,
+        imputedRows: validation.imputedCount
+    });
+    recordScoringRun('import');
+    updateUI();
+
+    const skipped = validation.invalidRowCount - validation.imputedCount;
+    let message = `Successfully loaded ${data.length} customers`;
+    if (options.ledger) {
+        message += ` derived from ${validation.lineCount} ledger lines`;
+    }
+    if (validation.imputedCount > 0) {
+        message += ` (${validation.imputedCount} rows imputed)`;
+    }
+    if (skipped > 0) {
+        message += ` (${skipped} invalid ${options.ledger ? 'lines' : 'rows'} skipped)`;
+    }
+
+    showUploadStatus(message, 'success');
+}
+
+/**
+ * Maximum validation problems listed on the page (the download has all)
+ */
+const MAX_VALIDATION_ROWS_SHOWN = 50;
+
+/**
+ * Renders the row-level validation report for an uploaded file
+ *
+ * @param {string|null} fileName - Uploaded file name, or null to hide the report
+ * @param {Object} validation - Result of validateRecords
+ */
+function renderValidationReport(fileName, validation) {
+    const report = document.getElementById('validationReport');
+    AppState.validation = { fileName, errors: validation ? validation.errors : [] };
+
+    if (!fileName || (validation.errors.length === 0 && validation.skippedColumns.length === 0)) {
+        report.hidden = true;
+        return;
+    }
+
+    const { errors, skippedColumns } = validation;
+    report.hidden = false;
+
+    // Extra columns that did not become segments, e.g. region in a two-row file
+    const columnsNote = document.getElementById('validationColumns');
+    columnsNote.hidden = skippedColumns.length === 0;
+    columnsNote.textContent = `Not kept as segments: ${skippedColumns
+        .map(skipped => `${skipped.column} (${skipped.reason})`).join(', ')}`;
+
+    const hasErrors = errors.length > 0;
+    document.getElementById('downloadErrors').disabled = !hasErrors;
+    document.getElementById('validationTable').hidden = !hasErrors;
+
+    const reasons = {};
+    errors.forEach(error => {
+        const key = error.reason.replace(/ \(.*\)$/, '');
+        reasons[key] = (reasons[key] || 0) + 1;
     });
+
+    document.getElementById('validationSummary').innerHTML = !hasErrors ? 'No row problems.' : `
+        <strong>${validation.invalidRowCount}</strong> row${validation.invalidRowCount === 1 ? '' : 's'} in
+        ${escapeHtml(fileName)} ${validation.invalidRowCount === 1 ? 'has' : 'have'} problems:
+        ${Object.entries(reasons).map(([reason, count]) => `${escapeHtml(reason)} (${count})`).join(', ')}
+    `;
+
+    document.getElementById('validationTableBody').innerHTML = errors
+        .slice(0, MAX_VALIDATION_ROWS_SHOWN)
+        .map(error => `
+            <tr>
+                <td>${error.row}</td>
+                <td>${escapeHtml(error.customer_id) || '<em>blank</em>'}</td>
+                <td>${error.column}</td>
+                <td><code>${escapeHtml(error.value)}</code></td>
+                <td>${escapeHtml(error.reason)}</td>
+                <td>${escapeHtml(error.action)}</td>
+            </tr>
+        `).join('');
+
+    document.getElementById('validationMore').textContent = errors.length > MAX_VALIDATION_ROWS_SHOWN
+        ? `Showing ${MAX_VALIDATION_ROWS_SHOWN} of ${errors.length} problems. Download the report for the full list.`
+        : '';
+}
+
+/**
+ * Downloads the last upload's validation problems as CSV
+ */
+function downloadValidationErrors() {
+    const { fileName, errors } = AppState.validation;
+    if (errors.length === 0) return;
+
+    const csv = formatCSV(toErrorRows(errors));
+    downloadFile(csv, `${fileName.replace(/\.[^.]+$/, '')}-errors.csv`, FILE_FORMATS.csv.mimeType);
 }
 
 /**
  * Shows upload status message
  */
 function showUploadStatus(message, type) {
-    const status = document.getElementById('uploadStatus');
+    showStatus('uploadStatus', message, type);
+}
+
+/**
+ * Shows a status message in any status element
+ *
+ * @param {string} elementId - Status element ID
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showStatus(elementId, message, type) {
+    const status = document.getElementById(elementId);
     status.textContent = message;
     status.className = `upload-status ${type}`;
 
@@ -1366,7 +6560,13 @@ function clearCharts() {
         'criteriaBreakdownChart',
         'scoreDistributionChart',
         'radarChart',
-        'heatmapChart'
+        'heatmapChart',
+        'rocChart',
+        'gainsChart',
+        'frontierChart',
+        'migrationSankeyChart',
+        'fairAirChart',
+        'fairScoreChart'
     ];
 
     chartIds.forEach(id => {
@@ -1386,7 +6586,15 @@ function updateScrollProgress() {
 }
 
 /**
- * Exports filtered data as CSV
+ * Exports filtered data in the selected format: the rows the table shows
+ * (search, risk filter and query applied) in table order
+ *
+ * FORMATS:
+ * - CSV: same columns and quoting as the CLI (see engine.js)
+ * - XLSX: "Results" sheet with typed cells plus a "Metadata" sheet
+ * - JSON: { metadata, records }
+ * - NDJSON: metadata line, then one record per line
+ * Metadata records the policy, thresholds and weights behind the decisions.
  */
 function exportData() {
     const data = AppState.filteredData;
@@ -1396,39 +6604,49 @@ function exportData() {
         return;
     }
 
-    // Create CSV content
-    const headers = [
-        'Customer ID',
-        'Transaction History',
-        'Affordability',
-        'Employment',
-        'Behavior',
-        'Combined Score',
-        'Risk Level',
-        'Decision'
-    ];
+    const format = document.getElementById('exportFormat').value;
+    const baseName = `risk-assessment-export-${new Date().toISOString().slice(0, 10)}`;
+    const reviews = AppState.reviews;
+    const metadata = buildExportMetadata(AppState.policy, {
+        source: AppState.session.name || 'Unsaved data',
+        recordCount: data.length,
+        portfolioSize: AppState.processedData.length,
+        tableView: describeTableView(),
+        ...getReviewMetadata()
+    });
 
-    const rows = data.map(d => [
-        d.customer_id,
-        d.transaction_history,
-        d.affordability,
-        d.employment,
-        d.behavior,
-        d.combined_score,
-        d.risk_level,
-        d.decision
-    ]);
+    if (format === 'xlsx') {
+        if (typeof XLSX === 'undefined') {
+            alert('Excel support could not be loaded. Export CSV or JSON instead.');
+            return;
+        }
 
-    const csv = [headers, ...rows]
-        .map(row => row.map(cell => `"${cell}"`).join(','))
-        .join('\n');
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(toExportRows(data, reviews)), 'Results');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(toMetadataRows(metadata)), 'Metadata');
+        XLSX.writeFile(workbook, `${baseName}.xlsx`);
+    } else if (format === 'json') {
+        downloadFile(formatJSONExport(data, metadata, reviews), `${baseName}.json`, FILE_FORMATS.json.mimeType);
+    } else if (format === 'ndjson') {
+        downloadFile(formatNDJSON(data, metadata, reviews) + '\n', `${baseName}.ndjson`, FILE_FORMATS.ndjson.mimeType);
+    } else {
+        downloadFile(formatCSV(toExportRows(data, reviews)), `${baseName}.csv`, FILE_FORMATS.csv.mimeType);
+    }
+}
 
-    // Download
-    const blob = new Blob([csv], { type: 'text/csv' });
+/**
+ * Downloads text as a file
+ *
+ * @param {string} content - File contents
+ * @param {string} fileName - Download name
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `risk-assessment-export-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.download = fileName;
     a.click();
     URL.revokeObjectURL(url);
 }
@@ -1441,10 +6659,26 @@ function exportData() {
  * Initialize application on DOM load
  */
 document.addEventListener('DOMContentLoaded', () => {
+    AppState.policy = loadSavedPolicy();
     initEventListeners();
+    renderPolicyEditor();
+    setSimulatorThresholds(AppState.policy.thresholds);
+
+    AppState.comparison = {
+        champion: clonePolicy(AppState.policy),
+        challenger: { ...clonePolicy(AppState.policy), name: 'Challenger Policy' }
+    };
+    renderComparisonEditors();
+    renderQueryBuilder();
+    updateFairLending();
 
     // Reset bars
     document.querySelectorAll('.bar-fill').forEach(bar => {
         bar.style.width = '0%';
     });
+
+    // The stored log is loaded before the restored session logs its scoring run
+    loadAuditLog();
+    restoreLastSession();
+    loadSnapshots();
 });